@@ -0,0 +1,775 @@
+/* ==========================================================================
+   PROGRAM: Options Page Module (options.js)
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Extension – Frontend UI
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Handles the extension options page where users manage the analysis
+       backend profiles, request settings, the result cache and the language.
+   DESCRIPTION:
+       This module is part of the Tun-Eye extension frontend. It manages:
+         - Rendering the saved backend profiles
+         - Selecting, adding and deleting profiles
+         - Requesting host permissions for a profile at runtime
+         - Pinging each profile and showing reachability, latency and model
+         - Editing the request timeout, retry count and offline estimate
+         - Turning on "Analyze immediately" and notifications for long analyses
+         - Editing the result cache time to live and size, and clearing it
+         - Editing the confidence needed for a Likely Real or Likely Fake verdict
+         - Listing and removing feed scanning sites, pausing scanning and
+           editing its limits
+         - Picking the language of the extension
+         - Setting the feedback endpoint, sending queued feedback and
+           exporting it as a CSV or JSONL training set
+         - Importing, updating and deleting fact-check feeds
+         - Importing the domain reputation list and editing your own site ratings
+   DATA & LOGIC:
+       Uses the helpers in i18n.js, backend_profiles.js, api_client.js,
+       result_cache.js, verdict.js, scan_settings.js, analysis_jobs.js, feedback_store.js,
+       fact_checks.js, domain_reputation.js and chrome.storage.local.
+========================================================================== */
+
+
+document.addEventListener('DOMContentLoaded', () => {
+
+    // --- 1. ELEMENT REFERENCES ---
+    const profileList = document.getElementById('profile-list');
+    const profileMessage = document.getElementById('profile-message');
+    const profileForm = document.getElementById('profile-form');
+    const profileNameInput = document.getElementById('profile-name');
+    const profileUrlInput = document.getElementById('profile-url');
+    const requestForm = document.getElementById('request-form');
+    const requestTimeoutInput = document.getElementById('request-timeout');
+    const requestRetriesInput = document.getElementById('request-retries');
+    const requestOfflineInput = document.getElementById('request-offline');
+    const requestMessage = document.getElementById('request-message');
+    const jobsForm = document.getElementById('jobs-form');
+    const jobsAnalyzeNowInput = document.getElementById('jobs-analyze-now');
+    const jobsNotifyInput = document.getElementById('jobs-notify');
+    const jobsMessage = document.getElementById('jobs-message');
+    const cacheForm = document.getElementById('cache-form');
+    const cacheEnabledInput = document.getElementById('cache-enabled');
+    const cacheTtlInput = document.getElementById('cache-ttl');
+    const cacheMaxInput = document.getElementById('cache-max');
+    const cacheCount = document.getElementById('cache-count');
+    const clearCacheBtn = document.getElementById('clear-cache-btn');
+    const cacheMessage = document.getElementById('cache-message');
+    const verdictForm = document.getElementById('verdict-form');
+    const verdictRealInput = document.getElementById('verdict-real');
+    const verdictFakeInput = document.getElementById('verdict-fake');
+    const verdictMessage = document.getElementById('verdict-message');
+    const scanSiteList = document.getElementById('scan-site-list');
+    const scanForm = document.getElementById('scan-form');
+    const scanPausedInput = document.getElementById('scan-paused');
+    const scanConcurrencyInput = document.getElementById('scan-concurrency');
+    const scanPerMinuteInput = document.getElementById('scan-per-minute');
+    const scanMessage = document.getElementById('scan-message');
+    const languageSelect = document.getElementById('language-select');
+    const languageMessage = document.getElementById('language-message');
+    const factCheckList = document.getElementById('fact-check-list');
+    const factCheckForm = document.getElementById('fact-check-form');
+    const factCheckNameInput = document.getElementById('fact-check-name');
+    const factCheckUrlInput = document.getElementById('fact-check-url');
+    const factCheckFileInput = document.getElementById('fact-check-file');
+    const factCheckUpdateFileInput = document.getElementById('fact-check-update-file');
+    const factCheckMessage = document.getElementById('fact-check-message');
+    const reputationListStatus = document.getElementById('reputation-list-status');
+    const reputationResetBtn = document.getElementById('reputation-reset-btn');
+    const reputationImportForm = document.getElementById('reputation-import-form');
+    const reputationFileInput = document.getElementById('reputation-file');
+    const reputationOverrideList = document.getElementById('reputation-override-list');
+    const reputationOverrideForm = document.getElementById('reputation-override-form');
+    const reputationDomainInput = document.getElementById('reputation-domain');
+    const reputationCategorySelect = document.getElementById('reputation-category');
+    const reputationMessage = document.getElementById('reputation-message');
+    const feedbackForm = document.getElementById('feedback-form');
+    const feedbackEndpointInput = document.getElementById('feedback-endpoint');
+    const feedbackCount = document.getElementById('feedback-count');
+    const feedbackSendBtn = document.getElementById('feedback-send-btn');
+    const feedbackClearBtn = document.getElementById('feedback-clear-btn');
+    const feedbackMessage = document.getElementById('feedback-message');
+
+    // =================================================================================
+    // HELPER FUNCTIONS
+    // =================================================================================
+
+    /**
+     * Shows a short message under the profile list.
+     * @param {string} text - Message to display.
+     * @param {'error'|'success'|''} kind - Message style.
+     */
+    function showMessage(text, kind = '') {
+        profileMessage.textContent = text;
+        profileMessage.className = `form-message ${kind}`;
+    }
+
+    /**
+     * Pings a profile and updates its status dot and label.
+     * @param {object} profile - The backend profile.
+     * @param {HTMLElement} row - The profile's list row.
+     */
+    async function refreshProfileStatus(profile, row) {
+        const dot = row.querySelector('.status-dot');
+        const label = row.querySelector('.profile-status');
+        dot.className = 'status-dot';
+        label.textContent = t('optionsChecking');
+
+        const health = await checkBackendHealth(profile);
+        dot.classList.add(health.state);
+        label.textContent = [health.detail, health.model?.name, health.latency !== null ? `${health.latency} ms` : '']
+            .filter(Boolean).join(' · ');
+    }
+
+    // =================================================================================
+    // RENDERING FUNCTIONS
+    // =================================================================================
+
+    /**
+     * Renders all saved profiles with a radio button for the selected one.
+     */
+    async function renderProfiles() {
+        const { profiles, selectedId } = await loadBackendProfiles();
+        profileList.innerHTML = '';
+
+        profiles.forEach(profile => {
+            const row = document.createElement('li');
+            row.className = 'profile-row';
+            row.innerHTML = `
+                <label>
+                    <input type="radio" name="selected-profile">
+                    <span class="status-dot"></span>
+                    <span class="profile-name"></span>
+                    <span class="profile-url"></span>
+                </label>
+                <span class="profile-status"></span>
+                <button class="icon-button test-btn"><i class="fa-solid fa-rotate"></i></button>
+                <button class="icon-button delete-btn"><i class="fa-solid fa-trash"></i></button>
+            `;
+            row.querySelector('.test-btn').title = t('optionsTestConnection');
+            row.querySelector('.delete-btn').title = t('optionsDeleteBackend');
+
+            // Set user-provided values as text to avoid injecting markup
+            row.querySelector('.profile-name').textContent = profile.name;
+            row.querySelector('.profile-url').textContent = profile.baseUrl;
+
+            const radio = row.querySelector('input[type="radio"]');
+            radio.checked = profile.id === selectedId;
+            radio.addEventListener('change', () => selectProfile(profile));
+
+            row.querySelector('.test-btn').addEventListener('click', () => refreshProfileStatus(profile, row));
+
+            // At least one profile must always remain
+            const deleteBtn = row.querySelector('.delete-btn');
+            deleteBtn.disabled = profiles.length <= 1;
+            deleteBtn.addEventListener('click', () => deleteProfile(profile));
+
+            profileList.appendChild(row);
+            refreshProfileStatus(profile, row);
+        });
+    }
+
+    // =================================================================================
+    // PROFILE ACTIONS
+    // =================================================================================
+
+    /**
+     * Selects a profile after making sure its host permission is granted.
+     * @param {object} profile - The profile picked by the user.
+     */
+    async function selectProfile(profile) {
+        const granted = await ensureBackendPermission(profile);
+        const { profiles, selectedId } = await loadBackendProfiles();
+
+        if (!granted) {
+            showMessage(t('optionsPermissionDenied', profile.baseUrl), 'error');
+            await saveBackendProfiles(profiles, selectedId);
+            renderProfiles(); // Restore the previous selection
+            return;
+        }
+
+        await saveBackendProfiles(profiles, profile.id);
+        showMessage(t('optionsNowUsing', profile.name), 'success');
+    }
+
+    /**
+     * Deletes a profile. The selection moves to the first profile if needed.
+     * @param {object} profile - The profile to delete.
+     */
+    async function deleteProfile(profile) {
+        const { profiles, selectedId } = await loadBackendProfiles();
+        const remaining = profiles.filter(p => p.id !== profile.id);
+        if (!remaining.length) return;
+
+        const nextSelected = selectedId === profile.id ? remaining[0].id : selectedId;
+        await saveBackendProfiles(remaining, nextSelected);
+        showMessage(t('optionsDeleted', profile.name));
+        renderProfiles();
+    }
+
+    // =================================================================================
+    // REQUEST SETTINGS
+    // =================================================================================
+
+    /**
+     * Fills the request form from storage.
+     */
+    async function renderRequestSettings() {
+        const settings = await loadRequestSettings();
+        requestTimeoutInput.value = settings.timeoutSeconds;
+        requestRetriesInput.value = settings.maxRetries;
+        requestOfflineInput.checked = settings.offlineFallback;
+    }
+
+    // =================================================================================
+    // BACKGROUND ANALYSIS SETTINGS
+    // =================================================================================
+
+    /**
+     * Fills the background analysis form from storage.
+     */
+    async function renderJobSettings() {
+        const settings = await loadAnalysisJobSettings();
+        jobsAnalyzeNowInput.checked = settings.analyzeImmediately;
+        jobsNotifyInput.checked = settings.notifyWhenDone;
+    }
+
+    // =================================================================================
+    // VERDICT SETTINGS
+    // =================================================================================
+
+    /**
+     * Fills the verdict form from storage.
+     */
+    async function renderVerdictSettings() {
+        const settings = await loadVerdictSettings();
+        [verdictRealInput, verdictFakeInput].forEach(input => {
+            input.min = VERDICT_THRESHOLD_MIN;
+            input.max = VERDICT_THRESHOLD_MAX;
+        });
+        verdictRealInput.value = settings.realThreshold;
+        verdictFakeInput.value = settings.fakeThreshold;
+    }
+
+    // =================================================================================
+    // FEED SCANNING SETTINGS
+    // =================================================================================
+
+    /**
+     * Fills the scan form from storage and lists the scanned sites.
+     */
+    async function renderScanSettings() {
+        const settings = await loadScanSettings();
+        scanPausedInput.checked = settings.paused;
+        scanConcurrencyInput.max = SCAN_CONCURRENCY_MAX;
+        scanPerMinuteInput.max = SCAN_PER_MINUTE_MAX;
+        scanConcurrencyInput.value = settings.concurrency;
+        scanPerMinuteInput.value = settings.perMinute;
+
+        scanSiteList.innerHTML = '';
+        if (!settings.sites.length) {
+            const empty = document.createElement('li');
+            empty.className = 'profile-row';
+            empty.textContent = t('optionsScanNoSites');
+            scanSiteList.appendChild(empty);
+        }
+        [...settings.sites].sort().forEach(site => {
+            const row = document.createElement('li');
+            row.className = 'profile-row';
+            row.innerHTML = `
+                <label>
+                    <span class="profile-name"></span>
+                </label>
+                <button class="icon-button delete-btn"><i class="fa-solid fa-trash"></i></button>
+            `;
+            row.querySelector('.profile-name').textContent = site;
+            const deleteBtn = row.querySelector('.delete-btn');
+            deleteBtn.title = t('optionsScanRemove');
+            deleteBtn.addEventListener('click', async () => {
+                await setScanSite(site, false);
+                scanMessage.textContent = t('optionsScanRemoved', site);
+                scanMessage.className = 'form-message';
+                renderScanSettings();
+            });
+            scanSiteList.appendChild(row);
+        });
+    }
+
+    // =================================================================================
+    // LANGUAGE SETTINGS
+    // =================================================================================
+
+    /**
+     * Fills the language picker from UI_LANGUAGES. Language names are shown
+     * in their own language, except the "Same as browser" entry.
+     */
+    async function renderLanguageSettings() {
+        languageSelect.innerHTML = '';
+        Object.entries(UI_LANGUAGES).forEach(([code, name]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = code === 'auto' ? t(name) : name;
+            languageSelect.appendChild(option);
+        });
+        languageSelect.value = await loadLanguageSetting();
+    }
+
+    // =================================================================================
+    // CACHE SETTINGS
+    // =================================================================================
+    /**
+     * Fills the cache form from storage and shows how many results are cached.
+     */
+    async function renderCacheSettings() {
+        const settings = await loadCacheSettings();
+        cacheEnabledInput.checked = settings.enabled;
+        cacheTtlInput.value = settings.ttlHours;
+        cacheMaxInput.value = settings.maxEntries;
+
+        const count = await countCachedResults();
+        cacheCount.textContent = count === 1 ? t('optionsCacheCountOne') : t('optionsCacheCount', count);
+    }
+
+    // =================================================================================
+    // FACT-CHECK FEEDS
+    // =================================================================================
+
+    // Feed whose update file is being picked
+    let factCheckFeedToUpdate = null;
+
+    /**
+     * Shows a short message under the fact-check feeds.
+     * @param {string} text - Message to display.
+     * @param {'error'|'success'|''} kind - Message style.
+     */
+    function showFactCheckMessage(text, kind = '') {
+        factCheckMessage.textContent = text;
+        factCheckMessage.className = `form-message ${kind}`;
+    }
+
+    /**
+     * Renders the imported feeds with their claim count and import date.
+     */
+    async function renderFactCheckFeeds() {
+        const feeds = await loadFactCheckFeeds();
+        factCheckList.innerHTML = '';
+        if (!feeds.length) {
+            const empty = document.createElement('li');
+            empty.className = 'profile-row';
+            empty.textContent = t('optionsFactChecksEmpty');
+            factCheckList.appendChild(empty);
+            return;
+        }
+
+        feeds.forEach(feed => {
+            const row = document.createElement('li');
+            row.className = 'profile-row';
+            row.innerHTML = `
+                <label>
+                    <span class="profile-name"></span>
+                    <span class="profile-url"></span>
+                </label>
+                <span class="profile-status"></span>
+                <button class="icon-button update-btn"><i class="fa-solid fa-rotate"></i></button>
+                <button class="icon-button delete-btn"><i class="fa-solid fa-trash"></i></button>
+            `;
+            row.querySelector('.update-btn').title = t(feed.url ? 'optionsUpdateFactChecks' : 'optionsReplaceFactChecks');
+            row.querySelector('.delete-btn').title = t('optionsDeleteFactChecks');
+
+            // Set user-provided values as text to avoid injecting markup
+            row.querySelector('.profile-name').textContent = feed.name;
+            row.querySelector('.profile-url').textContent = feed.url || t('optionsFactCheckFromFile');
+            row.querySelector('.profile-status').textContent = t('optionsFactCheckCount', [
+                feed.claims.length, new Date(feed.importedAt).toLocaleDateString(getUiLocale())]);
+
+            row.querySelector('.update-btn').addEventListener('click', () => updateFactCheckFeed(feed));
+            row.querySelector('.delete-btn').addEventListener('click', async () => {
+                await deleteFactCheckFeed(feed.id);
+                showFactCheckMessage(t('optionsFactChecksDeleted', feed.name));
+                renderFactCheckFeeds();
+            });
+            factCheckList.appendChild(row);
+        });
+    }
+
+    /**
+     * Parses a feed and stores it, reporting the outcome.
+     * @param {{id?: string, name: string, url?: string}} feed - Feed to add or update.
+     * @param {function(): Promise<object[]>} readClaims - Fetches or reads the claims.
+     * @returns {Promise<boolean>} True if the feed was stored.
+     */
+    async function importFactCheckFeed(feed, readClaims) {
+        showFactCheckMessage(t('optionsFactChecksImporting'));
+        try {
+            const claims = await readClaims();
+            await storeFactCheckFeed({ ...feed, claims });
+            showFactCheckMessage(t('optionsFactChecksImported', [claims.length, feed.name]), 'success');
+            renderFactCheckFeeds();
+            return true;
+        } catch (error) {
+            showFactCheckMessage(t('optionsFactChecksFailed', error.name === 'AbortError' ? t('healthUnreachable') : error.message), 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Updates a feed from its link, or from a new file for file feeds.
+     * @param {object} feed - The stored feed.
+     */
+    async function updateFactCheckFeed(feed) {
+        if (!feed.url) {
+            factCheckFeedToUpdate = feed;
+            factCheckUpdateFileInput.click();
+            return;
+        }
+        if (!(await ensureBackendPermission({ baseUrl: feed.url }))) {
+            showFactCheckMessage(t('optionsPermissionDenied', feed.url), 'error');
+            return;
+        }
+        importFactCheckFeed(feed, () => fetchFactCheckFeed(feed.url));
+    }
+
+    // =================================================================================
+    // DOMAIN REPUTATION
+    // =================================================================================
+
+    // Message keys of the site ratings in domain_reputation.js
+    const REPUTATION_LABEL_KEYS = {
+        established: 'reputationEstablished',
+        'state-media': 'reputationStateMedia',
+        satire: 'reputationSatire',
+        disinformation: 'reputationDisinformation',
+        unrated: 'reputationUnrated'
+    };
+
+    /**
+     * Shows a short message under the reputation section.
+     * @param {string} text - Message to display.
+     * @param {'error'|'success'|''} kind - Message style.
+     */
+    function showReputationMessage(text, kind = '') {
+        reputationMessage.textContent = text;
+        reputationMessage.className = `form-message ${kind}`;
+    }
+
+    /**
+     * Shows which domain list is used and the user's own ratings.
+     */
+    async function renderReputationSettings() {
+        const list = await loadReputationList();
+        reputationListStatus.textContent = list.imported
+            ? t('optionsReputationImported', [list.entries.length, new Date(list.importedAt).toLocaleDateString(getUiLocale())])
+            : t('optionsReputationBuiltIn', list.entries.length);
+        reputationResetBtn.disabled = !list.imported;
+
+        reputationCategorySelect.innerHTML = '';
+        [...REPUTATION_CATEGORIES, 'unrated'].forEach(category => {
+            reputationCategorySelect.appendChild(new Option(t(REPUTATION_LABEL_KEYS[category]), category));
+        });
+
+        const overrides = await loadReputationOverrides();
+        reputationOverrideList.innerHTML = '';
+        Object.entries(overrides).sort(([a], [b]) => a.localeCompare(b)).forEach(([domain, category]) => {
+            const row = document.createElement('li');
+            row.className = 'profile-row';
+            row.innerHTML = `
+                <label>
+                    <span class="profile-name"></span>
+                    <span class="profile-url"></span>
+                </label>
+                <button class="icon-button delete-btn"><i class="fa-solid fa-trash"></i></button>
+            `;
+            row.querySelector('.profile-name').textContent = domain;
+            row.querySelector('.profile-url').textContent = t(REPUTATION_LABEL_KEYS[category] || 'reputationUnrated');
+            const deleteBtn = row.querySelector('.delete-btn');
+            deleteBtn.title = t('optionsReputationRemove');
+            deleteBtn.addEventListener('click', async () => {
+                await setReputationOverride(domain, null);
+                showReputationMessage(t('optionsReputationRemoved', domain));
+                renderReputationSettings();
+            });
+            reputationOverrideList.appendChild(row);
+        });
+    }
+
+    // =================================================================================
+    // FEEDBACK SETTINGS
+    // =================================================================================
+
+    /**
+     * Fills the feedback form from storage and shows how much feedback is kept.
+     */
+    async function renderFeedbackSettings() {
+        const settings = await loadFeedbackSettings();
+        feedbackEndpointInput.value = settings.endpoint;
+
+        const { total, waiting } = await countFeedback();
+        feedbackCount.textContent = t('optionsFeedbackCount', [total, waiting]);
+        feedbackSendBtn.disabled = !settings.endpoint || !waiting;
+    }
+
+    /**
+     * Shows a short message under the feedback section.
+     * @param {string} text - Message to display.
+     * @param {'error'|'success'} kind - Message style.
+     */
+    function showFeedbackMessage(text, kind) {
+        feedbackMessage.textContent = text;
+        feedbackMessage.className = `form-message ${kind}`;
+    }
+
+    /**
+     * Downloads the labelled feedback as a training set.
+     * @param {'csv'|'jsonl'} format - Output format.
+     */
+    async function exportFeedback(format) {
+        const items = await loadFeedback();
+        const rows = buildFeedbackDataset(items);
+        if (!rows.length) {
+            showFeedbackMessage(t('optionsFeedbackNothing'), 'error');
+            return;
+        }
+
+        const content = format === 'csv' ? feedbackToCsv(rows) : feedbackToJsonl(rows);
+        const type = format === 'csv' ? 'text/csv' : 'application/x-ndjson';
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `tun-eye-feedback-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        showFeedbackMessage(t('optionsFeedbackExported', [rows.length, items.length]), 'success');
+    }
+
+    // =================================================================================
+    // EVENT LISTENERS
+    // =================================================================================
+
+    // Save the language and redraw this page in it; open side panels follow via storage
+    languageSelect.addEventListener('change', async () => {
+        await saveLanguageSetting(languageSelect.value);
+        await initI18n();
+        localizePage();
+        renderLanguageSettings();
+        renderProfiles();
+        renderCacheSettings();
+        renderScanSettings();
+        renderFactCheckFeeds();
+        renderReputationSettings();
+        renderFeedbackSettings();
+        languageMessage.textContent = t('optionsLanguageSaved');
+        languageMessage.className = 'form-message success';
+    });
+
+    // Save request settings; they apply to the next analysis
+    requestForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveRequestSettings({
+            timeoutSeconds: Number(requestTimeoutInput.value),
+            maxRetries: Number(requestRetriesInput.value),
+            offlineFallback: requestOfflineInput.checked
+        });
+        requestMessage.textContent = t('optionsRequestsSaved');
+        requestMessage.className = 'form-message success';
+    });
+
+    // Save background analysis settings; the menu item appears or disappears right away (background.js)
+    jobsForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveAnalysisJobSettings({
+            analyzeImmediately: jobsAnalyzeNowInput.checked,
+            notifyWhenDone: jobsNotifyInput.checked
+        });
+        jobsMessage.textContent = t('optionsJobsSaved');
+        jobsMessage.className = 'form-message success';
+    });
+
+    // Save verdict thresholds; open side panels use them for the next result
+    verdictForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveVerdictSettings({
+            realThreshold: Number(verdictRealInput.value),
+            fakeThreshold: Number(verdictFakeInput.value)
+        });
+        verdictMessage.textContent = t('optionsVerdictSaved');
+        verdictMessage.className = 'form-message success';
+    });
+
+    // Save scan settings; open pages follow the pause at once, and the limits apply to the next post
+    scanForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const settings = await loadScanSettings();
+        await saveScanSettings({
+            ...settings,
+            paused: scanPausedInput.checked,
+            concurrency: Number(scanConcurrencyInput.value),
+            perMinute: Number(scanPerMinuteInput.value)
+        });
+        scanMessage.textContent = t('optionsScanSaved');
+        scanMessage.className = 'form-message success';
+    });
+
+    // Save cache settings; the cache is trimmed to the new limits right away
+    cacheForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveCacheSettings({
+            enabled: cacheEnabledInput.checked,
+            ttlHours: Number(cacheTtlInput.value),
+            maxEntries: Number(cacheMaxInput.value)
+        });
+        cacheMessage.textContent = t('optionsCacheSaved');
+        cacheMessage.className = 'form-message success';
+        renderCacheSettings();
+    });
+
+    clearCacheBtn.addEventListener('click', async () => {
+        await clearResultCache();
+        cacheMessage.textContent = t('optionsCacheCleared');
+        cacheMessage.className = 'form-message success';
+        renderCacheSettings();
+    });
+
+    // Import a fact-check feed from a link or a file
+    factCheckForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = factCheckNameInput.value.trim();
+        const file = factCheckFileInput.files[0];
+        const url = factCheckUrlInput.value.trim();
+        if (!name || (url && !/^https?:\/\//i.test(url)) || (!url && !file)) {
+            showFactCheckMessage(t('optionsInvalidFactCheckFeed'), 'error');
+            return;
+        }
+        if (url && !file && !(await ensureBackendPermission({ baseUrl: url }))) {
+            showFactCheckMessage(t('optionsPermissionDenied', url), 'error');
+            return;
+        }
+
+        // A chosen file wins over the link
+        const imported = await importFactCheckFeed(
+            { name, url: file ? '' : url },
+            file ? async () => parseFactCheckFeed(await file.text()) : () => fetchFactCheckFeed(url)
+        );
+        if (imported) factCheckForm.reset();
+    });
+
+    factCheckUpdateFileInput.addEventListener('change', async () => {
+        const file = factCheckUpdateFileInput.files[0];
+        const feed = factCheckFeedToUpdate;
+        factCheckUpdateFileInput.value = ''; // Lets the same file be picked again
+        if (!file || !feed) return;
+        importFactCheckFeed(feed, async () => parseFactCheckFeed(await file.text()));
+    });
+
+    // Replace the domain list with an imported file
+    reputationImportForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const file = reputationFileInput.files[0];
+        if (!file) return;
+        try {
+            const entries = parseReputationList(await file.text());
+            await saveReputationList(entries);
+            reputationImportForm.reset();
+            showReputationMessage(t('optionsReputationImportDone', entries.length), 'success');
+        } catch (error) {
+            showReputationMessage(t('optionsReputationImportFailed', error.message), 'error');
+        }
+        renderReputationSettings();
+    });
+
+    reputationResetBtn.addEventListener('click', async () => {
+        await resetReputationList();
+        showReputationMessage(t('optionsReputationResetDone'), 'success');
+        renderReputationSettings();
+    });
+
+    // Rate a site yourself; subdomains follow the rating
+    reputationOverrideForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const domain = normalizeDomain(reputationDomainInput.value);
+        if (!domain || !domain.includes('.')) {
+            showReputationMessage(t('optionsReputationInvalidDomain'), 'error');
+            return;
+        }
+        await setReputationOverride(domain, reputationCategorySelect.value);
+        reputationOverrideForm.reset();
+        showReputationMessage(t('optionsReputationSaved', domain), 'success');
+        renderReputationSettings();
+    });
+
+    // Save the feedback endpoint; everything not yet sent is queued for it
+    feedbackForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const endpoint = feedbackEndpointInput.value.trim() ? normalizeBaseUrl(feedbackEndpointInput.value) : '';
+        if (endpoint === null) {
+            showFeedbackMessage(t('optionsInvalidFeedbackEndpoint'), 'error');
+            return;
+        }
+        if (endpoint && !(await ensureBackendPermission({ baseUrl: endpoint }))) {
+            showFeedbackMessage(t('optionsPermissionDenied', endpoint), 'error');
+            return;
+        }
+
+        await saveFeedbackSettings({ endpoint });
+        if (endpoint) await requeueFeedback();
+        showFeedbackMessage(t('optionsFeedbackSaved'), 'success');
+        renderFeedbackSettings();
+    });
+
+    feedbackSendBtn.addEventListener('click', async () => {
+        feedbackSendBtn.disabled = true;
+        await requeueFeedback();
+        const { sent, failed } = await submitPendingFeedback();
+        showFeedbackMessage(t('optionsFeedbackSendResult', [sent, failed]), failed ? 'error' : 'success');
+        renderFeedbackSettings();
+    });
+
+    feedbackClearBtn.addEventListener('click', async () => {
+        await clearFeedback();
+        showFeedbackMessage(t('optionsFeedbackCleared'), 'success');
+        renderFeedbackSettings();
+    });
+
+    document.querySelectorAll('[data-feedback-export]').forEach(button => {
+        button.addEventListener('click', () => exportFeedback(button.dataset.feedbackExport));
+    });
+
+    // Add a new profile from the form
+    profileForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = profileNameInput.value.trim();
+        const baseUrl = normalizeBaseUrl(profileUrlInput.value);
+
+        if (!name || !baseUrl) {
+            showMessage(t('optionsInvalidProfile'), 'error');
+            return;
+        }
+
+        const profile = { id: `profile-${Date.now()}`, name, baseUrl };
+        const { profiles, selectedId } = await loadBackendProfiles();
+        await saveBackendProfiles([...profiles, profile], selectedId);
+
+        profileForm.reset();
+        showMessage(t('optionsAdded', name), 'success');
+        renderProfiles();
+    });
+
+    // =================================================================================
+    // INITIAL EXECUTION
+    // =================================================================================
+
+    // Text comes from the chosen message catalog, so wait for it first
+    i18nReady.then(() => {
+        localizePage();
+        renderLanguageSettings();
+        renderProfiles();
+        renderRequestSettings();
+        renderJobSettings();
+        renderVerdictSettings();
+        renderCacheSettings();
+        renderScanSettings();
+        renderFactCheckFeeds();
+        renderReputationSettings();
+        renderFeedbackSettings();
+    });
+});
@@ -0,0 +1,295 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Analysis Jobs
+   FILE: analysis_jobs.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Turns captured content into a result, and keeps track of the analysis
+       running for each tab so it does not depend on the side panel staying
+       open.
+   DESCRIPTION:
+       analyzeContent builds the request for a capture, answers repeats from
+       the result cache, sends the rest to the backend and falls back to the
+       on-device estimate for text when the server cannot answer. Results are
+       saved to history and cached. The background script runs one analysis
+       job per tab with it and stores the job's state (running, done, failed
+       or cancelled, with the latest progress line) in the tab's session, so
+       a side panel opened later can pick it up; open panels are also sent
+       every change. Jobs stream their request, so the verdict is kept with
+       the job (as partial) while the word explanation still runs. The
+       settings here turn on the "Analyze immediately" menu item and the
+       notification for long analyses.
+   NOTES:
+       - Shared by background.js, sidepanel.js and the options page (loaded
+         as a plain script); analyses need api_client.js, backend_profiles.js,
+         image_payload.js, result_cache.js, history_store.js, verdict.js and
+         tab_sessions.js loaded too
+       - Does not touch the DOM
+       - The offline classifier is passed in: the side panel runs it in a
+         worker, the background script calls it directly
+========================================================================== */
+
+const ANALYSIS_JOB_SETTINGS_KEY = 'analysisJobSettings';
+
+const DEFAULT_ANALYSIS_JOB_SETTINGS = {
+  analyzeImmediately: false, // Right-click menu item that skips the preview
+  notifyWhenDone: true // Notification when a long analysis finishes
+};
+
+const ANALYSIS_NOTIFY_AFTER_MS = 15000; // Quicker analyses finish while the user is still watching
+
+// Server failures that the on-device classifier answers instead
+const OFFLINE_FALLBACK_ERRORS = ['offline', 'unreachable', 'timeout', 'rate_limited', 'server'];
+
+/**
+ * Loads the analysis job settings, filling in defaults for missing values.
+ * @returns {Promise<{analyzeImmediately: boolean, notifyWhenDone: boolean}>}
+ */
+async function loadAnalysisJobSettings() {
+  const stored = await chrome.storage.local.get(ANALYSIS_JOB_SETTINGS_KEY);
+  return { ...DEFAULT_ANALYSIS_JOB_SETTINGS, ...(stored[ANALYSIS_JOB_SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Saves the analysis job settings.
+ * @param {object} settings - {analyzeImmediately, notifyWhenDone}
+ */
+async function saveAnalysisJobSettings(settings) {
+  await chrome.storage.local.set({ [ANALYSIS_JOB_SETTINGS_KEY]: settings });
+}
+
+/**
+ * Builds the API request body for captured content.
+ * Articles are sent as text with the headline as the first paragraph.
+ * Posts are sent as their text plus the shared link's title, or as
+ * their first image when they have no text.
+ * Images are sent as their encoded pixels when those could be captured,
+ * else as the URL for the backend to download.
+ * @param {object|null} content - The captured content object.
+ * @returns {{type: 'text'|'image'|'image_data', value: string, mime?: string}|null} Null if there is nothing to analyze.
+ */
+function buildAnalysisPayload(content) {
+  if (!content) return null;
+  if (content.type === 'text' && content.data) return { type: 'text', value: content.data };
+  if (content.type === 'image' && content.imageData) return buildImageDataPayload(content.imageData);
+  if (content.type === 'image' && content.data) return { type: 'image', value: content.data };
+  if (content.type === 'article' && content.data?.text) {
+    const { headline, text } = content.data;
+    return { type: 'text', value: headline ? `${headline}\n\n${text}` : text };
+  }
+  if (content.type === 'post' && content.data) {
+    const { headline, text, link, images } = content.data;
+    const value = [headline, text, link?.title, link?.description].filter(Boolean).join('\n\n');
+    if (value) return { type: 'text', value };
+    if (images.length) return { type: 'image', value: images[0] };
+  }
+  return null;
+}
+
+/**
+ * Returns the input kept with a result in history. Uploaded image bytes are
+ * replaced by the page URL, or by a thumbnail when the URL only works
+ * inside the page, so history does not fill storage.
+ * @param {object} content - The analyzed content object.
+ * @param {object} payload - The API request body built for it.
+ * @returns {Promise<{type: string, value: string}>}
+ */
+async function buildResultInput(content, payload) {
+  if (payload.type !== 'image_data') return payload;
+  const value = /^https?:/.test(content.data)
+    ? content.data
+    : await createImageThumbnail(content.imageData).catch(() => '');
+  return { type: 'image', value };
+}
+
+/**
+ * Returns an on-device estimate after a failed backend request, or rethrows
+ * the backend error when no estimate can be made (images, cancelled or
+ * rejected requests, fallback turned off, or no offline model built).
+ * @param {{type: string, value: string}} payload - The request that failed.
+ * @param {Error} error - The backend error.
+ * @param {function} [classifyOffline] - Resolves text to an /api/process style answer.
+ * @returns {Promise<object>} The estimate in the /api/process shape.
+ */
+async function getOfflineEstimate(payload, error, classifyOffline) {
+  const { offlineFallback } = await loadRequestSettings();
+  const serverFailed = OFFLINE_FALLBACK_ERRORS.includes(error.kind) && !(error.kind === 'server' && error.status < 500);
+  if (!classifyOffline || !offlineFallback || payload.type !== 'text' || !serverFailed) throw error;
+
+  try {
+    return validateAnalysisResponse(await classifyOffline(payload.value));
+  } catch (offlineError) {
+    console.error('Offline estimate failed:', offlineError);
+    throw error;
+  }
+}
+
+/**
+ * Returns the name of the backend behind a result. On-device estimates are
+ * named in the current language, as their results only carry the offline flag.
+ * @param {object} result - An analysis result.
+ * @returns {string}
+ */
+function getResultBackendName(result) {
+  return result.offline ? t('offlineEstimate') : result.backend;
+}
+
+/**
+ * Sends content to the backend, formats the response and saves it to history.
+ * Repeat requests are answered from the result cache unless forced.
+ * @param {object} content - A captured or queued content object.
+ * @param {object} backendProfile - The backend profile to send the request to.
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Skip the cache and ask the backend again.
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @param {function} [options.onRetry] - Called before the request is retried (see postAnalysis).
+ * @param {object} [options.verdictSettings] - Thresholds for the verdict (verdict.js).
+ * @param {function} [options.classifyOffline] - On-device classifier (see getOfflineEstimate).
+ * @param {function} [options.onStage] - When given, the request is streamed (postAnalysisStream) and this is
+ *     called with each stage; the 'verdict' stage also carries partial, the result without its keywords.
+ * @param {boolean} [options.saveToHistory=true] - Add the result to history; feed scan results are only
+ *     added when the user opens them.
+ * @returns {Promise<object>} Result {input, source, timestamp, verdict, thresholds, confidence, keywords, text, model, backend, offline},
+ *     plus cachedAt when it came from the cache.
+ * @throws {ApiError} When the backend cannot produce a usable result.
+ */
+async function analyzeContent(content, backendProfile, {
+  force = false, signal, onRetry, verdictSettings, classifyOffline, onStage, saveToHistory = true
+} = {}) {
+  const contentToAnalyze = buildAnalysisPayload(content);
+  if (!contentToAnalyze) throw new Error(t('noContentToAnalyze'));
+  const input = await buildResultInput(content, contentToAnalyze);
+
+  const knownModel = (await loadBackendModels())[backendProfile.id];
+  const cacheKey = await getCacheKey(contentToAnalyze, backendProfile, knownModel?.id);
+  const cached = force ? null : await getCachedResult(cacheKey);
+  if (cached) {
+    const result = {
+      input,
+      source: content.source || null,
+      timestamp: Date.now(),
+      ...cached.result,
+      cachedAt: cached.cachedAt
+    };
+    if (saveToHistory) addHistoryEntry(result).catch(err => console.error('Saving history failed:', err));
+    return result;
+  }
+
+  // The verdict arrives before the explanation when streaming, so it can be shown early
+  const forwardStage = onStage && ((event) => {
+    if (event.stage !== 'verdict') return onStage(event);
+    const formattedData = formatAnalysisData(validateAnalysisResponse({ ...event, words: [] }));
+    onStage({
+      ...event,
+      partial: {
+        input,
+        source: content.source || null,
+        timestamp: Date.now(),
+        ...judgeVerdict(formattedData.confidence, verdictSettings),
+        confidence: formattedData.confidence,
+        keywords: [],
+        text: formattedData.text !== input.value ? formattedData.text : '',
+        model: getResponseModel(event),
+        backend: backendProfile.name,
+        offline: false
+      }
+    });
+  });
+
+  // Send data to the backend API (timeout, retries and response checks live in api_client.js).
+  // Text falls back to the on-device model when the server cannot answer.
+  let analysisData;
+  let offline = false;
+  try {
+    analysisData = forwardStage
+      ? await postAnalysisStream(backendProfile, contentToAnalyze, { signal, onRetry, onStage: forwardStage })
+      : await postAnalysis(backendProfile, contentToAnalyze, { signal, onRetry });
+    rememberBackendModel(backendProfile, getResponseModel(analysisData));
+  } catch (error) {
+    analysisData = await getOfflineEstimate(contentToAnalyze, error, classifyOffline);
+    offline = true;
+  }
+
+  // Transform API data into a format suitable for our charts
+  const formattedData = formatAnalysisData(analysisData);
+
+  const result = {
+    input,
+    source: content.source || null,
+    timestamp: Date.now(),
+    ...judgeVerdict(formattedData.confidence, verdictSettings), // Verdict and the thresholds behind it
+    confidence: formattedData.confidence,
+    keywords: formattedData.keywords,
+    text: formattedData.text !== input.value ? formattedData.text : '', // OCR text; text requests keep theirs in input
+    model: getResponseModel(analysisData), // null for backends that do not say
+    backend: offline ? null : backendProfile.name, // Named at display time (getResultBackendName)
+    offline
+  };
+
+  // Save it so it can be re-opened from the history page, and cache it for repeat requests.
+  // Offline estimates are not cached so the next try goes to the server again.
+  if (saveToHistory) addHistoryEntry(result).catch(err => console.error('Saving history failed:', err));
+  if (offline) return result;
+  setCachedResult(cacheKey, {
+    verdict: result.verdict,
+    thresholds: result.thresholds,
+    confidence: result.confidence,
+    keywords: result.keywords,
+    text: result.text,
+    model: result.model,
+    backend: result.backend
+  }).catch(err => console.error('Caching result failed:', err));
+  return result;
+}
+
+/**
+ * Returns the progress line shown for a stage of a streamed analysis.
+ * @param {object} event - A stage event from postAnalysisStream.
+ * @returns {string} Empty for unknown stages.
+ */
+function describeAnalysisStage(event) {
+  switch (event.stage) {
+    case 'image': return t('stageImage');
+    case 'ocr': return t('stageOcr');
+    case 'verdict': return t('stageVerdict');
+    case 'explanation': return t('stageExplanation', String(Math.round(event.progress * 100)));
+    default: return '';
+  }
+}
+
+/**
+ * Turns an error into the plain object kept with a job, which can be stored
+ * and sent between scripts.
+ * @param {Error} error - Usually an ApiError.
+ * @returns {{kind: string, message: string, status: number|null, messageKey: string|null, messageSubs: string[]}}
+ */
+function describeJobError(error) {
+  return {
+    kind: error.kind || 'unknown',
+    message: error.message,
+    status: error.status ?? null,
+    messageKey: error.messageKey || null,
+    messageSubs: error.messageSubs || []
+  };
+}
+
+/**
+ * Loads the latest analysis job of a tab.
+ * @param {number} tabId - The tab.
+ * @returns {Promise<object|null>} {id, tabId, status, progress, partial, profile, compareProfile,
+ *     result, otherResult, error, startedAt, finishedAt}, or null when none ran.
+ */
+async function loadAnalysisJob(tabId) {
+  const key = getTabKey(TAB_JOB_KEY, tabId);
+  return (await chrome.storage.session.get(key))[key] || null;
+}
+
+/**
+ * Stores the state of a tab's analysis job.
+ * @param {object} job - See loadAnalysisJob.
+ */
+async function saveAnalysisJob(job) {
+  await chrome.storage.session.set({ [getTabKey(TAB_JOB_KEY, job.tabId)]: job });
+}
@@ -0,0 +1,386 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye API Client
+   FILE: api_client.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Sends analysis requests to the backend and turns every way they can
+       fail into a distinct, actionable error.
+   DESCRIPTION:
+       Requests have a configurable timeout and can be cancelled through an
+       AbortSignal. Network errors, 5xx responses and 429 responses are
+       retried with exponential backoff, honouring the Retry-After header.
+       Responses are checked against the expected /api/process shape before
+       they are handed to the UI, and turned into the percentages and
+       normalized word weights that results are stored with.
+       postAnalysisStream uses the streaming endpoint instead, passing each
+       stage (OCR text, verdict, explanation progress) on as it arrives so
+       the side panel can show the verdict before the word explanation.
+   NOTES:
+       - Shared by sidepanel.js and the options page (loaded as a plain script)
+       - Does not touch the DOM so it can also be used by background.js
+       - Errors are ApiError instances; error.kind says what went wrong
+       - Error messages are localized with t() from i18n.js, loaded first;
+         malformed-response errors also keep their messageKey so they are
+         translated again where they are shown (localizeError)
+       - formatAnalysisData uses getConfidenceSlices from verdict.js
+========================================================================== */
+
+const REQUEST_SETTINGS_KEY = 'requestSettings';
+
+const DEFAULT_REQUEST_SETTINGS = {
+  timeoutSeconds: 120, // LIME with 300 samples (plus OCR for images) is slow
+  maxRetries: 3,
+  offlineFallback: true // Use the on-device estimate (offline_classifier.js) for text when the server fails
+};
+
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+/**
+ * Error raised by the API client.
+ * kind is one of: 'offline', 'unreachable', 'timeout', 'cancelled',
+ * 'rate_limited', 'server', 'bad_response', 'image_fetch', 'bad_image'.
+ * Messages the extension writes itself may keep their messageKey and
+ * messageSubs, so the script showing them can translate them again
+ * (localizeError in i18n.js).
+ */
+class ApiError extends Error {
+  constructor(kind, message, { status = null, cause = null, messageKey = null, messageSubs = [] } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.cause = cause;
+    this.messageKey = messageKey;
+    this.messageSubs = messageSubs;
+  }
+}
+
+/**
+ * Loads the request settings, filling in defaults for missing values.
+ * @returns {Promise<{timeoutSeconds: number, maxRetries: number, offlineFallback: boolean}>}
+ */
+async function loadRequestSettings() {
+  const stored = await chrome.storage.local.get(REQUEST_SETTINGS_KEY);
+  return { ...DEFAULT_REQUEST_SETTINGS, ...(stored[REQUEST_SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Saves the request settings.
+ * @param {object} settings - {timeoutSeconds, maxRetries, offlineFallback}
+ */
+async function saveRequestSettings(settings) {
+  await chrome.storage.local.set({ [REQUEST_SETTINGS_KEY]: settings });
+}
+
+/**
+ * Waits for a delay, stopping early with a 'cancelled' error if the signal aborts.
+ * @param {number} ms - Delay in milliseconds.
+ * @param {AbortSignal} [signal] - Cancels the wait.
+ */
+function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new ApiError('cancelled', t('apiCancelled')));
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new ApiError('cancelled', t('apiCancelled')));
+    }, { once: true });
+  });
+}
+
+/**
+ * Works out how long to wait before the next attempt.
+ * Retry-After may hold seconds or an HTTP date.
+ * @param {number} attempt - Zero-based attempt that just failed.
+ * @param {Response} [response] - The failed response, if any.
+ * @returns {number} Delay in milliseconds.
+ */
+function getRetryDelay(attempt, response) {
+  const retryAfter = response?.headers.get('Retry-After');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(ms) && ms >= 0) return Math.min(ms, RETRY_MAX_DELAY_MS);
+  }
+  const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  const jitter = Math.random() * RETRY_BASE_DELAY_MS;
+  return Math.min(backoff + jitter, RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Checks that a response body has the /api/process shape:
+ * {verdict, confidence: {"Fake News", "Real News"}, words: [{word, weight}]},
+ * plus the optional text and model that newer backends send.
+ * @param {*} data - Parsed JSON body.
+ * @returns {object} The same data when valid.
+ * @throws {ApiError} 'bad_response' describing the first problem found.
+ */
+function validateAnalysisResponse(data) {
+  const fail = (messageKey, messageSubs = []) => {
+    throw new ApiError('bad_response', t(messageKey, messageSubs), { messageKey, messageSubs });
+  };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) fail('apiBadResponseNotObject');
+  if (!data.confidence || typeof data.confidence !== 'object') fail('apiBadResponseNoConfidence');
+
+  ['Fake News', 'Real News'].forEach(label => {
+    const value = parseFloat(data.confidence[label]);
+    if (!Number.isFinite(value) || value < 0 || value > 1) fail('apiBadResponseBadConfidence', [label]);
+  });
+
+  if (!Array.isArray(data.words)) fail('apiBadResponseNoWords');
+  data.words.forEach((item, index) => {
+    if (!item || typeof item.word !== 'string') fail('apiBadResponseWordText', [String(index + 1)]);
+    if (!Number.isFinite(parseFloat(item.weight))) fail('apiBadResponseWordWeight', [String(index + 1)]);
+  });
+
+  return data;
+}
+
+/**
+ * Transforms a validated response into the format used by results and charts.
+ * @param {object} analysisData - Body returned by postAnalysis.
+ * @returns {object} {confidence: {fake, neutral, real}, keywords: [{word, score, weight}], text}
+ */
+function formatAnalysisData(analysisData) {
+  const fake = Math.round(parseFloat(analysisData.confidence['Fake News']) * 100);
+  const real = Math.round(parseFloat(analysisData.confidence['Real News']) * 100);
+  return {
+    confidence: {
+      fake,
+      neutral: getConfidenceSlices({ fake, real }).neutral, // Where fake and real overlap
+      real
+    },
+    keywords: analysisData.words.map(item => {
+      const raw = parseFloat(item.weight);
+      return {
+        word: item.word,
+        score: Math.tanh(raw), // Normalized to the -1 to +1 range
+        weight: raw
+      };
+    }),
+    text: typeof analysisData.text === 'string' ? analysisData.text : '' // Analyzed (or OCR) text
+  };
+}
+
+/**
+ * Builds the error for a non-OK response, using the JSON error body that the
+ * backend sends for known failures when there is one.
+ * @param {Response} response - The failed response.
+ * @returns {Promise<ApiError>}
+ */
+async function errorFromResponse(response) {
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (e) {
+    // Not JSON (e.g. an HTML error page from a proxy)
+  }
+
+  const status = response.status;
+  if (body?.error === 'image_fetch_failed') {
+    return new ApiError('image_fetch', body.message || t('apiImageFetch'), { status });
+  }
+  if (body?.error === 'image_invalid' || status === 413) {
+    return new ApiError('bad_image', body?.message || t('apiBadImage'), { status });
+  }
+  if (status === 429) {
+    return new ApiError('rate_limited', t('apiBusy'), { status });
+  }
+  if (status >= 500) {
+    return new ApiError('server', body?.message || t('apiServerProblem', status), { status });
+  }
+  return new ApiError('server', body?.message || t('apiRejected', status), { status });
+}
+
+/**
+ * Posts a request to a backend, retrying connection problems, 5xx and 429
+ * responses. The timeout covers each attempt until the response headers arrive.
+ * @param {object} profile - The backend profile.
+ * @param {string} path - API path, e.g. '/api/process'.
+ * @param {{type: string, value: string}} payload - Request body.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @param {function} [options.onRetry] - Called with {attempt, maxRetries, delayMs, reason} before each retry.
+ * @returns {Promise<Response>} The first OK response, body unread.
+ * @throws {ApiError}
+ */
+async function fetchWithRetries(profile, path, payload, { signal, onRetry } = {}) {
+  const { timeoutSeconds, maxRetries } = await loadRequestSettings();
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw new ApiError('cancelled', t('apiCancelled'));
+    if (!navigator.onLine) throw new ApiError('offline', t('apiOffline'));
+
+    // One controller per attempt, aborted by the timeout or the caller's signal
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutSeconds * 1000);
+    const forwardAbort = () => controller.abort();
+    signal?.addEventListener('abort', forwardAbort, { once: true });
+
+    let response = null;
+    let failure = null;
+    try {
+      response = await fetch(buildApiUrl(profile, path), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (signal?.aborted) throw new ApiError('cancelled', t('apiCancelled'), { cause: error });
+      if (timedOut) {
+        throw new ApiError('timeout', t('apiTimeout', timeoutSeconds), { cause: error });
+      }
+      failure = new ApiError('unreachable', t('apiUnreachable', profile.baseUrl), { cause: error });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', forwardAbort);
+    }
+
+    if (response && !response.ok) failure = await errorFromResponse(response);
+    if (!failure) return response;
+
+    // Only connection problems, 5xx and 429 are worth another attempt
+    const retryable = failure.kind === 'unreachable' || failure.kind === 'rate_limited' ||
+      (failure.kind === 'server' && failure.status >= 500);
+    if (!retryable || attempt >= maxRetries) throw failure;
+
+    const delayMs = getRetryDelay(attempt, response);
+    if (onRetry) onRetry({ attempt: attempt + 1, maxRetries, delayMs, reason: failure.message });
+    await waitForRetry(delayMs, signal);
+  }
+}
+
+/**
+ * Sends content to a backend's /api/process endpoint.
+ * @param {object} profile - The backend profile.
+ * @param {{type: string, value: string}} payload - Request body.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request (e.g. a Cancel button).
+ * @param {function} [options.onRetry] - Called with {attempt, maxRetries, delayMs, reason} before each retry.
+ * @returns {Promise<object>} The validated response body.
+ * @throws {ApiError}
+ */
+async function postAnalysis(profile, payload, { signal, onRetry } = {}) {
+  const response = await fetchWithRetries(profile, '/api/process', payload, { signal, onRetry });
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    throw new ApiError('bad_response', t('apiNotJson'), { cause: error });
+  }
+  return validateAnalysisResponse(data);
+}
+
+/**
+ * Reads the next chunk of a streamed response. The timeout restarts with
+ * every chunk, so a slow analysis that keeps reporting is not cut off.
+ * @param {ReadableStreamDefaultReader} reader - Reader of the decoded body.
+ * @param {object} options
+ * @param {object} options.profile - The backend profile, for the error message.
+ * @param {number} options.timeoutSeconds - Longest wait for a chunk.
+ * @param {AbortSignal} [options.signal] - Cancels the read.
+ * @returns {Promise<{value: string|undefined, done: boolean}>}
+ * @throws {ApiError} 'timeout', 'cancelled' or 'unreachable' (connection dropped).
+ */
+function readStreamChunk(reader, { profile, timeoutSeconds, signal }) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const fail = (error) => {
+      cleanup();
+      reader.cancel().catch(() => {});
+      reject(error);
+    };
+    const onAbort = () => fail(new ApiError('cancelled', t('apiCancelled')));
+    const timer = setTimeout(() => fail(new ApiError('timeout', t('apiTimeout', timeoutSeconds))), timeoutSeconds * 1000);
+
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    reader.read().then(chunk => {
+      cleanup();
+      resolve(chunk);
+    }, error => {
+      cleanup();
+      reject(new ApiError('unreachable', t('apiUnreachable', profile.baseUrl), { cause: error }));
+    });
+  });
+}
+
+/**
+ * Sends content to a backend's /api/process/stream endpoint, which answers
+ * with one JSON object per line as each stage finishes: 'image' (downloaded
+ * or decoded), 'ocr' {text}, 'verdict' {verdict, confidence, text, model},
+ * 'explanation' {progress: 0 to 1}, then 'done' with the /api/process body.
+ * Backends without the endpoint are sent the request through postAnalysis.
+ * @param {object} profile - The backend profile.
+ * @param {{type: string, value: string}} payload - Request body.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @param {function} [options.onRetry] - See postAnalysis.
+ * @param {function} [options.onStage] - Called with each stage event before 'done'.
+ * @returns {Promise<object>} The validated response body, as from postAnalysis.
+ * @throws {ApiError}
+ */
+async function postAnalysisStream(profile, payload, { signal, onRetry, onStage } = {}) {
+  let response;
+  try {
+    response = await fetchWithRetries(profile, '/api/process/stream', payload, { signal, onRetry });
+  } catch (error) {
+    // Backends from before streaming do not know the path
+    if (error.kind === 'server' && (error.status === 404 || error.status === 405)) {
+      return postAnalysis(profile, payload, { signal, onRetry });
+    }
+    throw error;
+  }
+
+  const { timeoutSeconds } = await loadRequestSettings();
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = '';
+  try {
+    for (;;) {
+      const { value, done } = await readStreamChunk(reader, { profile, timeoutSeconds, signal });
+      const lines = (buffered + (value || '')).split('\n');
+      buffered = done ? '' : lines.pop(); // The last line may still be coming
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (error) {
+          throw new ApiError('bad_response', t('apiNotJson'), { cause: error });
+        }
+
+        if (event.stage === 'error') {
+          // Image problems are answered before the stream starts, so this is a server failure
+          throw new ApiError('server', event.message || t('apiServerProblem', 500), { status: 500 });
+        }
+        if (event.stage === 'done') {
+          const { stage, ...data } = event;
+          return validateAnalysisResponse(data);
+        }
+        if (onStage) onStage(event);
+      }
+
+      if (done) {
+        throw new ApiError('bad_response', t('apiBadResponseStreamEnded'), { messageKey: 'apiBadResponseStreamEnded' });
+      }
+    }
+  } finally {
+    // Close the response however the stream was left, so the connection is not kept open
+    reader.cancel().catch(() => {});
+  }
+}
@@ -0,0 +1,149 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Article Extractor
+   FILE: article_extractor.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Pulls the main article out of a news page so the whole story can be
+       analyzed without highlighting it by hand.
+   DESCRIPTION:
+       This script is injected into the active tab with
+       chrome.scripting.executeScript, and loaded by the side panel to read
+       articles fetched from a URL the user typed in. It finds the headline, byline,
+       publish date and site name from page metadata, then scores block
+       elements by the amount of paragraph text they hold (readability
+       style) to locate the article body while skipping navigation bars,
+       ads, share widgets and comments.
+   NOTES:
+       - Needs page_provenance.js loaded or injected first, for its page
+         metadata readers
+       - Only declares a function (no let/const) so repeated injections do
+         not clash
+       - In a tab the article object is the script's last value, which
+         executeScript returns to the caller (background.js)
+       - Works on any Document, including one built by DOMParser
+       - Does not modify the page
+========================================================================== */
+
+/**
+ * Extracts the main article of a document.
+ * @param {Document} doc - A rendered page or a parsed HTML document.
+ * @param {string} hostname - Host the document came from, the site name fallback.
+ * @returns {{headline: string, byline: string, publishedAt: string, siteName: string, text: string}}
+ */
+function extractArticleFromDocument(doc, hostname) {
+
+  // Containers whose class or id suggest they are not part of the story
+  const NEGATIVE_PATTERN = /comment|footer|footnote|nav|menu|sidebar|side-bar|widget|share|social|related|recommend|promo|sponsor|advert|\bads?\b|banner|subscribe|newsletter|popup|modal|cookie|breadcrumb|tags?\b|masthead|header/i;
+  // Containers whose class or id suggest they hold the story
+  const POSITIVE_PATTERN = /article|body|content|entry|main|post|story|text|blog/i;
+
+  const MIN_PARAGRAPH_LENGTH = 40;
+  const MAX_ARTICLE_LENGTH = 20000; // Keep the request to the backend reasonable
+
+  // Page metadata is read with the helpers in page_provenance.js
+  const cleanText = cleanPageText;
+  const readMeta = (...selectors) => readPageMeta(doc, ...selectors);
+
+  // Class and id of an element as one string (SVG elements have no string className)
+  const classAndId = (element) => `${typeof element.className === 'string' ? element.className : ''} ${element.id || ''}`;
+
+  // Class and id weight of an element, readability style
+  const classWeight = (element) => {
+    const names = classAndId(element);
+    let weight = 0;
+    if (NEGATIVE_PATTERN.test(names)) weight -= 25;
+    if (POSITIVE_PATTERN.test(names)) weight += 25;
+    return weight;
+  };
+
+  // Share of an element's text that sits inside links
+  const linkDensity = (element) => {
+    const textLength = cleanText(element.textContent).length || 1;
+    const linkLength = [...element.querySelectorAll('a')]
+      .reduce((sum, link) => sum + cleanText(link.textContent).length, 0);
+    return linkLength / textLength;
+  };
+
+  // Skip elements that are hidden or inside obviously unrelated parts of the page
+  const isBoilerplate = (element) => {
+    if (element.closest('nav, aside, footer, form, [role="navigation"], [role="complementary"], [aria-hidden="true"]')) {
+      return true;
+    }
+    for (let node = element; node && node !== doc.body; node = node.parentElement) {
+      const names = classAndId(node);
+      if (NEGATIVE_PATTERN.test(names) && !POSITIVE_PATTERN.test(names)) return true;
+    }
+    return false;
+  };
+
+  // Find the element that most likely holds the article body
+  const findArticleRoot = () => {
+    const explicit = doc.querySelector('[itemprop="articleBody"]');
+    if (explicit && cleanText(explicit.textContent).length > 200) return explicit;
+
+    const scores = new Map();
+    doc.querySelectorAll('p, pre, td').forEach(paragraph => {
+      const text = cleanText(paragraph.textContent);
+      if (text.length < MIN_PARAGRAPH_LENGTH || isBoilerplate(paragraph)) return;
+
+      // One point per comma and per 100 characters, capped per paragraph
+      const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+      const parent = paragraph.parentElement;
+      const grandparent = parent?.parentElement;
+      if (parent) scores.set(parent, (scores.get(parent) || classWeight(parent)) + score);
+      if (grandparent) scores.set(grandparent, (scores.get(grandparent) || classWeight(grandparent)) + score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+      const adjusted = score * (1 - linkDensity(element));
+      if (adjusted > bestScore) {
+        best = element;
+        bestScore = adjusted;
+      }
+    });
+
+    return best || doc.querySelector('article, main, [role="main"]') || doc.body;
+  };
+
+  // Collect the readable paragraphs of the article root
+  const collectParagraphs = (root) => {
+    const paragraphs = [];
+    root.querySelectorAll('p, h2, h3, li, blockquote, pre').forEach(element => {
+      if (element.closest('blockquote') && element.tagName !== 'BLOCKQUOTE') return; // Counted with its quote
+      if (isBoilerplate(element) || linkDensity(element) > 0.5) return;
+      const text = cleanText(element.innerText || element.textContent);
+      const isHeading = /^H[23]$/.test(element.tagName);
+      if (text && (isHeading || text.length >= MIN_PARAGRAPH_LENGTH) && !paragraphs.includes(text)) {
+        paragraphs.push(text);
+      }
+    });
+    if (!paragraphs.length) paragraphs.push(cleanText(root.innerText || root.textContent));
+    return paragraphs;
+  };
+
+  const root = findArticleRoot();
+  const headline =
+    cleanText(root.closest('article')?.querySelector('h1')?.textContent) ||
+    cleanText(doc.querySelector('h1')?.textContent) ||
+    readMeta('meta[property="og:title"]', 'meta[name="twitter:title"]') ||
+    cleanText(doc.title);
+  const byline =
+    readMeta('meta[name="author"]', 'meta[property="article:author"]') ||
+    readPageJsonLd(doc, 'author') ||
+    cleanText(doc.querySelector('[rel="author"], [itemprop="author"], .byline, .author')?.textContent);
+  const publishedAt = readPagePublishDate(doc);
+  const siteName = readMeta('meta[property="og:site_name"]') || hostname;
+
+  let text = collectParagraphs(root).filter(p => p !== headline).join('\n\n');
+  if (text.length > MAX_ARTICLE_LENGTH) text = text.slice(0, MAX_ARTICLE_LENGTH);
+
+  return { headline, byline, publishedAt, siteName, text };
+}
+
+// Injected into a tab: extract that page. Extension pages only load the function.
+location.protocol === 'chrome-extension:' ? undefined : extractArticleFromDocument(document, location.hostname);
@@ -0,0 +1,203 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Backend Profiles
+   FILE: backend_profiles.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Stores the list of named analysis backends (public host, staging,
+       local Flask) and resolves which one the extension should talk to.
+   DESCRIPTION:
+       Profiles are kept in chrome.storage.local together with the ID of the
+       selected profile. This script also builds API URLs, requests the
+       optional host permission for a profile's origin and pings the
+       backend's health endpoint to measure reachability and latency.
+       Each backend serves one model (DistilmBERT or AdaBoost-RF); the model
+       it reports is remembered per profile so the side panel can name it.
+   NOTES:
+       - Shared by the options page and sidepanel.js (loaded as a plain script)
+       - Does not touch the DOM so it can also be used by background.js
+       - The health check calls GET /api/health on the Flask backend
+       - Health details are localized with t() from i18n.js, loaded first
+========================================================================== */
+
+// Storage keys for the profile list, the selected profile and the model each profile serves
+const BACKEND_PROFILES_KEY = 'backendProfiles';
+const SELECTED_PROFILE_KEY = 'selectedBackendProfileId';
+const BACKEND_MODELS_KEY = 'backendModels';
+
+// Profiles created on first use; the public host stays the default
+const DEFAULT_BACKEND_PROFILES = [
+  { id: 'public', name: 'Public Server', baseUrl: 'https://tuneye.sabihinmolang.eu.org' },
+  { id: 'local', name: 'Local Flask (port 1234)', baseUrl: 'http://127.0.0.1:1234' },
+  { id: 'local-second', name: 'Local Flask (port 1235)', baseUrl: 'http://127.0.0.1:1235' } // Second model for comparisons
+];
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Loads all backend profiles and the selected profile ID from storage.
+ * Falls back to the default profiles when nothing has been saved yet.
+ * @returns {Promise<{profiles: object[], selectedId: string}>}
+ */
+async function loadBackendProfiles() {
+  const stored = await chrome.storage.local.get([BACKEND_PROFILES_KEY, SELECTED_PROFILE_KEY]);
+  const profiles = Array.isArray(stored[BACKEND_PROFILES_KEY]) && stored[BACKEND_PROFILES_KEY].length
+    ? stored[BACKEND_PROFILES_KEY]
+    : DEFAULT_BACKEND_PROFILES;
+
+  // Keep the selection valid even if the selected profile was deleted
+  const selectedId = profiles.some(p => p.id === stored[SELECTED_PROFILE_KEY])
+    ? stored[SELECTED_PROFILE_KEY]
+    : profiles[0].id;
+
+  return { profiles, selectedId };
+}
+
+/**
+ * Saves the profile list and the selected profile ID.
+ * @param {object[]} profiles - List of {id, name, baseUrl} objects.
+ * @param {string} selectedId - ID of the profile to use for analysis.
+ */
+async function saveBackendProfiles(profiles, selectedId) {
+  await chrome.storage.local.set({
+    [BACKEND_PROFILES_KEY]: profiles,
+    [SELECTED_PROFILE_KEY]: selectedId
+  });
+}
+
+/**
+ * Returns the profile currently selected for analysis.
+ * @returns {Promise<object>} The selected {id, name, baseUrl} profile.
+ */
+async function getSelectedBackendProfile() {
+  const { profiles, selectedId } = await loadBackendProfiles();
+  return profiles.find(p => p.id === selectedId);
+}
+
+/**
+ * Loads the models last reported by each profile.
+ * @returns {Promise<object>} Map of profile ID to {id, name}.
+ */
+async function loadBackendModels() {
+  const stored = await chrome.storage.local.get(BACKEND_MODELS_KEY);
+  return stored[BACKEND_MODELS_KEY] || {};
+}
+
+// Model updates run one after another so parallel health checks do not overwrite each other
+let backendModelWrites = Promise.resolve();
+
+/**
+ * Remembers which model a profile serves, as reported by the backend.
+ * @param {object} profile - The backend profile.
+ * @param {{id: string, name: string}|null} model - Model from the response; null is ignored.
+ * @returns {Promise<void>}
+ */
+function rememberBackendModel(profile, model) {
+  if (!model) return backendModelWrites;
+  backendModelWrites = backendModelWrites.then(async () => {
+    const models = await loadBackendModels();
+    if (models[profile.id]?.id === model.id && models[profile.id]?.name === model.name) return;
+    await chrome.storage.local.set({ [BACKEND_MODELS_KEY]: { ...models, [profile.id]: model } });
+  }).catch(error => console.error('Saving the backend model failed:', error));
+  return backendModelWrites;
+}
+
+/**
+ * Reads the model identity from a backend answer. Older backends send none;
+ * the offline classifier sends only a name.
+ * @param {object} data - Parsed /api/process or /api/health body.
+ * @returns {{id: string, name: string}|null}
+ */
+function getResponseModel(data) {
+  const model = data?.model;
+  if (typeof model === 'string' && model) return { id: model, name: model };
+  if (model && typeof model.id === 'string' && model.id) {
+    return { id: model.id, name: typeof model.name === 'string' && model.name ? model.name : model.id };
+  }
+  return null;
+}
+
+/**
+ * Removes trailing slashes and validates a backend base URL.
+ * @param {string} url - URL typed by the user.
+ * @returns {string|null} The cleaned URL, or null if it is not http(s).
+ */
+function normalizeBaseUrl(url) {
+  try {
+    const parsed = new URL(url.trim());
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    return parsed.href.replace(/\/+$/, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Builds a full API URL for a profile.
+ * @param {object} profile - The backend profile.
+ * @param {string} path - API path such as '/api/process'.
+ * @returns {string}
+ */
+function buildApiUrl(profile, path) {
+  return profile.baseUrl.replace(/\/+$/, '') + path;
+}
+
+/**
+ * Returns the host permission match pattern for a profile's origin.
+ * @param {object} profile - The backend profile.
+ * @returns {string} e.g. 'http://127.0.0.1/*'
+ */
+function getProfileOriginPattern(profile) {
+  const { protocol, hostname } = new URL(profile.baseUrl);
+  return `${protocol}//${hostname}/*`;
+}
+
+/**
+ * Makes sure the extension may call the profile's host, asking the user for
+ * the optional host permission if needed. Must run from a user gesture.
+ * @param {object} profile - The backend profile.
+ * @returns {Promise<boolean>} True if the permission is granted.
+ */
+async function ensureBackendPermission(profile) {
+  const permission = { origins: [getProfileOriginPattern(profile)] };
+  if (await chrome.permissions.contains(permission)) return true;
+  return chrome.permissions.request(permission);
+}
+
+/**
+ * Pings the profile's health endpoint.
+ * Any HTTP answer counts as reachable; only a 2xx answer counts as online.
+ * The model the backend reports is remembered for the profile.
+ * @param {object} profile - The backend profile.
+ * @returns {Promise<{state: 'online'|'degraded'|'offline', latency: number|null, detail: string, model: object|null}>}
+ */
+async function checkBackendHealth(profile) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), HEALTH_CHECK_TIMEOUT_MS);
+  const started = performance.now();
+
+  try {
+    const response = await fetch(buildApiUrl(profile, '/api/health'), {
+      method: 'GET',
+      cache: 'no-store',
+      signal: controller.signal
+    });
+    const latency = Math.round(performance.now() - started);
+    if (!response.ok) return { state: 'degraded', latency, detail: t('healthDegraded', response.status), model: null };
+
+    const model = getResponseModel(await response.json().catch(() => null));
+    await rememberBackendModel(profile, model);
+    return { state: 'online', latency, detail: t('healthOnline'), model };
+  }
+  catch (error) {
+    const detail = error.name === 'AbortError'
+      ? t('healthNoResponse', HEALTH_CHECK_TIMEOUT_MS / 1000)
+      : t('healthUnreachable');
+    return { state: 'offline', latency: null, detail, model: null };
+  }
+  finally {
+    clearTimeout(timer);
+  }
+}
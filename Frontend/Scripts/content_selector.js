@@ -4,28 +4,65 @@
    AUTHOR: G10 Tun-Eye Group
    SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
    CREATED: 10-09-2025
-   LAST REVISED: 01-18-2026
+   LAST REVISED: 10-18-2026
    PURPOSE:
        Handles content selection on web pages for analysis by the Tun-Eye
        extension. Allows users to select either highlighted text or clicked
        images and sends the selected content to the extension backend.
    DESCRIPTION:
        This script activates a temporary selection mode on the active webpage.
-       During this mode, users can highlight text or click an image. The selected
-       content is captured and sent to the extension using Chrome messaging.
+       During this mode, users can highlight text, click a post or click an
+       image. A clicked post is captured whole (author, time, permalink,
+       images and shared link) by the site adapters in post_adapters.js. The
+       selected content is captured and sent to the extension using Chrome
+       messaging.
+       Clicked images are sent as the pixels shown on the page (see
+       image_payload.js), not only as a URL the server has to download.
+       In region capture mode the user drags a rectangle instead, and the
+       background script screenshots that part of the tab.
+       In multi-select mode the page stays in selection mode, showing a counter
+       and a Done button, so several items can be queued for batch analysis.
+       Selection mode also works from the keyboard: Enter captures the
+       selected text or the focused post or image, and Escape cancels.
+       After an analysis, the side panel can ask this script to highlight the
+       influential words inside the region the text was selected from.
    NOTES:
        - Selection mode is visually indicated by a cursor change and notice
-       - Event listeners are cleaned up immediately after selection
+       - Event listeners are cleaned up immediately after selection, or when
+         Done is pressed in multi-select mode
+       - Highlights are <mark> elements that can be removed without a trace;
+         words pointing to fake news get a wavy underline as well as a colour
        - Works in coordination with sidepanel.js
+       - Injected together with i18n.js, image_payload.js, post_adapters.js and
+         page_provenance.js, whose page details go with every captured item
 ========================================================================== */
 
-// Activate selection mode on the current webpage
+// Element that contained the last text selection, used to scope highlights
+let selectedRegion = null;
 
-const activateSelector = () => {
+const HIGHLIGHT_CLASS = 'tun-eye-highlight';
 
-  // Create a temporary on-screen notice for user guidance
+// Colour-blind-safe highlight colours (RGB), matching the side panel palette
+const HIGHLIGHT_REAL_RGB = '0, 114, 178';
+const HIGHLIGHT_FAKE_RGB = '213, 94, 0';
+
+// Cleanup of the selection mode currently running, if any
+let stopActiveSelector = null;
+
+// Activate selection mode on the current webpage.
+// With multiple set, selection stays active until Done is pressed.
+
+const activateSelector = (multiple = false) => {
+
+  // Only one selection mode at a time
+  if (stopActiveSelector) stopActiveSelector();
+
+  let collectedCount = 0;
+
+  // Create an on-screen notice for user guidance
   const notice = document.createElement('div');
-  notice.textContent = "Selection mode active. Highlight text or click an image.";
+  notice.textContent = multiple ? t('selectorNoticeMultiple') : t('selectorNotice');
+  notice.setAttribute('role', 'status'); // Read out by screen readers
   
   // Visual Styles
   Object.assign(notice.style, {
@@ -43,9 +80,34 @@ const activateSelector = () => {
     transition: 'opacity 0.5s ease',
   });
 
-  // Display notice and auto-remove after 3 seconds
+  // Display notice; a single selection notice auto-removes after 3 seconds
   document.body.appendChild(notice);
-  setTimeout(() => notice.remove(), 3000);
+  if (!multiple) setTimeout(() => notice.remove(), 3000);
+
+  // Multi-select adds a counter and Done button to the notice
+  const counter = document.createElement('span');
+  const doneButton = document.createElement('button');
+  if (multiple) {
+    Object.assign(notice.style, { display: 'flex', alignItems: 'center', gap: '10px' });
+    Object.assign(counter.style, { fontWeight: 'bold', whiteSpace: 'nowrap' });
+    counter.textContent = t('selectorCollected', 0);
+    doneButton.textContent = t('selectorDone');
+    Object.assign(doneButton.style, {
+      background: '#091263',
+      color: '#fff',
+      border: 'none',
+      borderRadius: '4px',
+      padding: '3px 10px',
+      fontSize: '12px',
+      cursor: 'pointer',
+      fontFamily: 'inherit'
+    });
+    doneButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      cleanup();
+    });
+    notice.append(counter, doneButton);
+  }
 
   // Change cursor to indicate selection mode
   document.body.style.cursor = 'crosshair';
@@ -54,42 +116,392 @@ const activateSelector = () => {
   const cleanup = () => {
     document.body.style.cursor = 'default';
     document.removeEventListener('mouseup', textSelectHandler);
-    document.removeEventListener('click', imageClickHandler, true);
+    document.removeEventListener('click', clickHandler, true);
+    document.removeEventListener('keydown', keyHandler, true);
+    notice.remove();
+    stopActiveSelector = null;
   };
+  stopActiveSelector = cleanup;
 
-  // Handle highlighted text selection
-  const textSelectHandler = () => {
-    const selectedText = window.getSelection().toString().trim();
-    if (selectedText) {
-      chrome.runtime.sendMessage({
-        type: "CONTENT_SELECTED",
-        payload: { type: 'text', data: selectedText }
-      });
+  // Time of the last text capture; the click that ends a text drag is not a post click
+  let lastTextCaptureAt = 0;
+
+  // Send captured content; single mode ends here, multi-select keeps going
+  const submit = (payload) => {
+    chrome.runtime.sendMessage({
+      type: "CONTENT_SELECTED",
+      payload,
+      provenance: extractPageProvenance(document, location.href),
+      queue: multiple
+    });
+    if (!multiple) {
       cleanup();
+      return;
+    }
+    collectedCount++;
+    counter.textContent = t('selectorCollected', collectedCount);
+  };
+
+  // Capture the highlighted text, if any; returns whether there was some
+  const captureSelection = () => {
+    const selection = window.getSelection();
+    const selectedText = selection.toString().trim();
+    if (!selectedText) return false;
+
+    // Remember where the text came from so highlights stay inside it
+    const container = selection.getRangeAt(0).commonAncestorContainer;
+    selectedRegion = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+
+    lastTextCaptureAt = Date.now();
+    submit({ type: 'text', data: selectedText });
+    selection.removeAllRanges(); // Do not capture the same text again on the next mouseup
+    return true;
+  };
+
+  // Capture what an element belongs to: inside a post card the whole post
+  // (post_adapters.js); otherwise, or with imageOnly, the image itself.
+  // Returns whether anything was captured.
+  const captureElement = (element, imageOnly) => {
+    const captured = imageOnly ? null : extractPostAt(element);
+    if (captured) {
+      selectedRegion = captured.card; // Highlights go inside the post
+      submit({ type: 'post', data: captured.post });
+      return true;
+    }
+
+    if (element.tagName === 'IMG') {
+      captureImage(element).then(submit);
+      return true;
     }
+    return false;
+  };
+
+  // Handle highlighted text selection
+  const textSelectHandler = (event) => {
+    if (notice.contains(event.target)) return; // Ignore clicks on the notice itself
+    captureSelection();
   };
 
-  // Handle image selection via click
-  const imageClickHandler = (event) => {
-    if (event.target.tagName === 'IMG') {
+  // Handle clicks; Alt picks the clicked image even inside a post
+  const clickHandler = (event) => {
+    if (notice.contains(event.target) || Date.now() - lastTextCaptureAt < 500) return;
+    if (captureElement(event.target, event.altKey)) {
       event.preventDefault();
       event.stopPropagation();
-      chrome.runtime.sendMessage({
-        type: "CONTENT_SELECTED",
-        payload: { type: 'image', data: event.target.src }
-      });
+    }
+  };
+
+  // Keyboard: Enter captures the selected text, else the focused post or
+  // image (a focused link captures the image inside it); Escape cancels
+  const keyHandler = (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
       cleanup();
+      return;
+    }
+    if (event.key !== 'Enter' || notice.contains(event.target)) return;
+
+    const focused = document.activeElement;
+    const target = focused?.tagName === 'IMG' ? focused : focused?.querySelector?.('img') || focused;
+    if (captureSelection() || (target && target !== document.body && captureElement(target, event.altKey))) {
+      event.preventDefault();
+      event.stopPropagation();
     }
   };
 
   // Enable listeners for text and image selection
   document.addEventListener('mouseup', textSelectHandler);
-  document.addEventListener('click', imageClickHandler, true);
+  document.addEventListener('click', clickHandler, true);
+  document.addEventListener('keydown', keyHandler, true);
 };
 
-// Listen for activation command from the extension UI
-chrome.runtime.onMessage.addListener((request) => {
+// Smallest rectangle worth capturing, in CSS pixels
+const MIN_REGION_SIZE = 10;
+
+// Activate region capture: the user drags a rectangle over anything on the
+// page (CSS backgrounds, video frames, canvas charts, iframes) and the
+// background script screenshots the tab and crops it to that rectangle.
+
+const activateRegionCapture = () => {
+
+  // Only one selection mode at a time
+  if (stopActiveSelector) stopActiveSelector();
+
+  // Transparent layer over the page that receives the drag
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    inset: '0',
+    cursor: 'crosshair',
+    background: 'rgba(9, 18, 99, 0.15)',
+    zIndex: '2147483647',
+  });
+
+  const notice = document.createElement('div');
+  notice.textContent = t('regionNotice');
+  notice.setAttribute('role', 'status'); // Read out by screen readers
+  Object.assign(notice.style, {
+    position: 'fixed',
+    top: '10px',
+    left: '50%',
+    transform: 'translateX(-50%)',
+    background: '#7ebfebff',
+    color: '#383737ff',
+    padding: '6px 12px',
+    borderRadius: '5px',
+    fontSize: '12px',
+    fontFamily: 'Poppins, sans-serif',
+    pointerEvents: 'none',
+  });
+
+  const box = document.createElement('div');
+  Object.assign(box.style, {
+    position: 'fixed',
+    border: '2px dashed #091263',
+    background: 'rgba(255, 255, 255, 0.2)',
+    display: 'none',
+    pointerEvents: 'none',
+  });
+
+  overlay.append(notice, box);
+  document.body.appendChild(overlay);
+
+  let start = null;
+
+  // Rectangle between the drag start and the pointer, in viewport CSS pixels
+  const regionTo = (event) => ({
+    x: Math.min(start.x, event.clientX),
+    y: Math.min(start.y, event.clientY),
+    width: Math.abs(event.clientX - start.x),
+    height: Math.abs(event.clientY - start.y),
+  });
+
+  const cleanup = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', keyHandler, true);
+    stopActiveSelector = null;
+  };
+  stopActiveSelector = cleanup;
+
+  const keyHandler = (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      cleanup();
+    }
+  };
+
+  overlay.addEventListener('mousedown', (event) => {
+    event.preventDefault();
+    start = { x: event.clientX, y: event.clientY };
+    notice.remove();
+  });
+
+  overlay.addEventListener('mousemove', (event) => {
+    if (!start) return;
+    const region = regionTo(event);
+    Object.assign(box.style, {
+      display: 'block',
+      left: `${region.x}px`,
+      top: `${region.y}px`,
+      width: `${region.width}px`,
+      height: `${region.height}px`,
+    });
+  });
+
+  overlay.addEventListener('mouseup', (event) => {
+    if (!start) return;
+    const region = regionTo(event);
+    start = null;
+    if (region.width < MIN_REGION_SIZE || region.height < MIN_REGION_SIZE) {
+      box.style.display = 'none'; // Too small, let the user drag again
+      return;
+    }
+
+    // Remove the overlay and wait for the page to repaint without it before
+    // the tab is captured, so the dimming does not end up in the screenshot
+    cleanup();
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      chrome.runtime.sendMessage({
+        type: "CAPTURE_REGION",
+        region,
+        viewport: { width: window.innerWidth, height: window.innerHeight },
+        devicePixelRatio: window.devicePixelRatio,
+        provenance: extractPageProvenance(document, location.href)
+      });
+    }));
+  });
+
+  document.addEventListener('keydown', keyHandler, true);
+};
+
+// Lazy-loading attributes that hold the real image while src is a placeholder
+const LAZY_IMAGE_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original', 'data-srcset', 'data-lazy-srcset'];
+
+// URL of the image the user actually sees: the chosen srcset / <picture>
+// variant, or the lazy-load source while a placeholder is still showing
+const resolveImageUrl = (img) => {
+  const shown = img.currentSrc || img.src;
+  const isPlaceholder = !img.complete || img.naturalWidth <= 2 || /^data:image\/(gif|svg)/.test(shown);
+  if (!isPlaceholder) return shown;
+
+  for (const attribute of LAZY_IMAGE_ATTRIBUTES) {
+    const value = img.getAttribute(attribute);
+    if (value) return new URL(value.trim().split(/\s+/)[0], document.baseURI).href; // First srcset candidate
+  }
+  return shown;
+};
+
+// Encode the image as it is displayed (image_payload.js). Cross-origin images
+// taint the canvas; for those background.js downloads the URL instead.
+const captureImage = async (img) => {
+  const url = resolveImageUrl(img);
+  let imageData = null;
+
+  if (url === (img.currentSrc || img.src) && img.complete && img.naturalWidth > 2) {
+    try {
+      imageData = await encodeImageSource(img, img.naturalWidth, img.naturalHeight);
+    } catch (error) {
+      // Tainted canvas; background.js will fetch the URL
+    }
+  }
+  if (!imageData && url.startsWith('blob:')) {
+    // Blob URLs only resolve inside the page that created them
+    imageData = await fetchImageAsDataUrl(url).catch(() => null);
+  }
+
+  return { type: 'image', data: url, imageData };
+};
+
+// Find the region to highlight in: the remembered selection if it still holds
+// the analyzed text, else the smallest element containing it, else the body.
+// The start of the first and last paragraphs identify the text, so a whole
+// article (headline + body) resolves to the article container.
+const findHighlightRegion = (analyzedText) => {
+  const normalize = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+  const paragraphs = (analyzedText || '').split(/\n+/).map(normalize).filter(Boolean);
+  if (!paragraphs.length) return document.body;
+
+  const snippets = [...new Set([paragraphs[0], paragraphs[paragraphs.length - 1]])].map(p => p.slice(0, 60));
+  const containsText = (element) => {
+    const text = normalize(element.textContent);
+    return snippets.every(snippet => text.includes(snippet));
+  };
+
+  if (selectedRegion && document.contains(selectedRegion) && containsText(selectedRegion)) {
+    return selectedRegion;
+  }
+
+  // Walk down while a single child still contains the text
+  let region = document.body;
+  let descended = true;
+  while (descended) {
+    descended = false;
+    for (const child of region.children) {
+      if (containsText(child)) {
+        region = child;
+        descended = true;
+        break;
+      }
+    }
+  }
+  return region;
+};
+
+// Build a case-insensitive pattern for an n-gram, allowing any punctuation
+// or spacing between its words, and not matching inside longer words
+const buildNgramPattern = (ngram) => {
+  const escaped = ngram.trim().split(/\s+/).map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped.join('[^\\p{L}\\p{N}_]+')}(?![\\p{L}\\p{N}_])`, 'giu');
+};
+
+// Remove all highlights and merge the split text nodes back together
+const removeHighlights = () => {
+  document.querySelectorAll(`mark.${HIGHLIGHT_CLASS}`).forEach(mark => {
+    const parent = mark.parentNode;
+    parent.replaceChild(document.createTextNode(mark.textContent), mark);
+    parent.normalize();
+  });
+};
+
+// Wrap every occurrence of the given n-grams inside the region with a
+// colour-coded <mark>: green for positive weights, red for negative ones
+const highlightWords = (words, analyzedText) => {
+  removeHighlights();
+  const region = findHighlightRegion(analyzedText);
+
+  // Longer n-grams first so a trigram is not split by one of its unigrams
+  const sorted = [...words].sort((a, b) => b.word.split(/\s+/).length - a.word.split(/\s+/).length);
+  let count = 0;
+
+  sorted.forEach(({ word, weight }) => {
+    const pattern = buildNgramPattern(word);
+    const intensity = Math.min(Math.abs(Math.tanh(weight)), 1);
+
+    // Collect text nodes first since wrapping changes the tree
+    const walker = document.createTreeWalker(region, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        const parent = node.parentElement;
+        if (!parent || parent.closest(`script, style, textarea, mark.${HIGHLIGHT_CLASS}`)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+      const matches = [...node.nodeValue.matchAll(pattern)];
+      // Wrap from the end so earlier match offsets stay valid
+      matches.reverse().forEach(match => {
+        const matchNode = node.splitText(match.index);
+        matchNode.splitText(match[0].length);
+
+        const mark = document.createElement('mark');
+        mark.className = HIGHLIGHT_CLASS;
+        mark.textContent = matchNode.nodeValue;
+        mark.title = t('highlightTitle', [word, weight.toFixed(4)]);
+        Object.assign(mark.style, {
+          backgroundColor: `rgba(${weight >= 0 ? HIGHLIGHT_REAL_RGB : HIGHLIGHT_FAKE_RGB}, ${0.2 + 0.5 * intensity})`,
+          textDecoration: weight >= 0 ? 'underline solid' : 'underline wavy', // Not only colour tells them apart
+          textDecorationColor: `rgb(${weight >= 0 ? HIGHLIGHT_REAL_RGB : HIGHLIGHT_FAKE_RGB})`,
+          color: 'inherit',
+          borderRadius: '3px',
+          padding: '0 1px'
+        });
+        matchNode.parentNode.replaceChild(mark, matchNode);
+        count++;
+      });
+    });
+  });
+
+  // Bring the first highlight into view
+  const first = region.querySelector(`mark.${HIGHLIGHT_CLASS}`);
+  if (first) first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  return count;
+};
+
+// Listen for commands from the extension UI
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.type === "PING_CONTENT_SCRIPT") {
+    sendResponse({ ready: true });
+  }
+  // Notices are shown in the chosen language, so wait for its messages
   if (request.type === "ACTIVATE_SELECTION_MODE") {
-    activateSelector();
+    i18nReady.then(() => activateSelector(!!request.multiple));
+  }
+  if (request.type === "ACTIVATE_REGION_CAPTURE") {
+    i18nReady.then(activateRegionCapture);
+  }
+  if (request.type === "CANCEL_SELECTION_MODE") {
+    // Escape pressed in the side panel
+    if (stopActiveSelector) stopActiveSelector();
+  }
+  if (request.type === "HIGHLIGHT_WORDS") {
+    sendResponse({ count: highlightWords(request.words, request.text) });
+  }
+  if (request.type === "CLEAR_HIGHLIGHTS") {
+    removeHighlights();
+    sendResponse({ cleared: true });
   }
 });
@@ -0,0 +1,238 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Domain Reputation
+   FILE: domain_reputation.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Tells the user what kind of site the content came from: a known
+       satire site, a known disinformation source, an established outlet or
+       state media.
+   DESCRIPTION:
+       Domains are looked up in a list that starts with a small built-in set
+       and can be replaced by importing a JSON or CSV list in Settings. The
+       user's own ratings (overrides) always win over the list. Subdomains
+       inherit the rating of their parent domain (news.example.com is rated
+       as example.com unless it has its own entry). Links that only redirect,
+       such as Facebook's outbound links or URL shorteners, are resolved to
+       the address they lead to before the lookup.
+   NOTES:
+       - Shared by sidepanel.js and the options page (loaded as a plain script)
+       - A rating describes the site, not the individual story
+       - CSV lists are read with parseCsvRows from fact_checks.js, and
+         messages come from i18n.js; both are loaded first
+========================================================================== */
+
+const REPUTATION_LIST_KEY = 'domainReputationList';
+const REPUTATION_OVERRIDES_KEY = 'domainReputationOverrides';
+
+// Ratings and the words accepted for them in imported lists
+const REPUTATION_CATEGORIES = ['established', 'state-media', 'satire', 'disinformation'];
+const REPUTATION_CATEGORY_ALIASES = {
+  established: 'established', reliable: 'established', reputable: 'established', mainstream: 'established',
+  outlet: 'established', state: 'state-media', government: 'state-media', statemedia: 'state-media',
+  stateowned: 'state-media', satire: 'satire', satirical: 'satire', parody: 'satire', humor: 'satire', humour: 'satire',
+  disinformation: 'disinformation', disinfo: 'disinformation', fake: 'disinformation', fakenews: 'disinformation',
+  misinformation: 'disinformation', unreliable: 'disinformation', propaganda: 'disinformation'
+};
+
+// Used until a list is imported
+const DEFAULT_REPUTATION_LIST = [
+  { domain: 'rappler.com', category: 'established' },
+  { domain: 'inquirer.net', category: 'established' },
+  { domain: 'philstar.com', category: 'established' },
+  { domain: 'abs-cbn.com', category: 'established' },
+  { domain: 'gmanetwork.com', category: 'established' },
+  { domain: 'mb.com.ph', category: 'established' },
+  { domain: 'verafiles.org', category: 'established' },
+  { domain: 'reuters.com', category: 'established' },
+  { domain: 'apnews.com', category: 'established' },
+  { domain: 'bbc.com', category: 'established' },
+  { domain: 'pna.gov.ph', category: 'state-media' },
+  { domain: 'ptvnews.ph', category: 'state-media' },
+  { domain: 'pco.gov.ph', category: 'state-media' },
+  { domain: 'rt.com', category: 'state-media' },
+  { domain: 'cgtn.com', category: 'state-media' },
+  { domain: 'adobochronicles.com', category: 'satire' },
+  { domain: 'theonion.com', category: 'satire' },
+  { domain: 'babylonbee.com', category: 'satire' }
+];
+
+// Hosts whose links only forward to another address
+const URL_SHORTENERS = ['bit.ly', 'tinyurl.com', 't.co', 'fb.me', 'ow.ly', 'buff.ly', 'goo.gl', 'rb.gy',
+  'is.gd', 'cutt.ly', 'shorturl.at', 'tiny.cc', 'lnkd.in', 'dlvr.it', 'trib.al'];
+const REDIRECT_TIMEOUT_MS = 5000;
+
+/**
+ * Loads the domain list, or the built-in list if none was imported.
+ * @returns {Promise<{entries: object[], imported: boolean, importedAt: number|null}>}
+ *     entries are {domain, category, note}.
+ */
+async function loadReputationList() {
+  const stored = (await chrome.storage.local.get(REPUTATION_LIST_KEY))[REPUTATION_LIST_KEY];
+  return stored && Array.isArray(stored.entries)
+    ? { entries: stored.entries, imported: true, importedAt: stored.importedAt || null }
+    : { entries: DEFAULT_REPUTATION_LIST, imported: false, importedAt: null };
+}
+
+/**
+ * Replaces the domain list with an imported one.
+ * @param {object[]} entries - List of {domain, category, note}.
+ */
+async function saveReputationList(entries) {
+  await chrome.storage.local.set({ [REPUTATION_LIST_KEY]: { entries, importedAt: Date.now() } });
+}
+
+/**
+ * Goes back to the built-in domain list.
+ */
+async function resetReputationList() {
+  await chrome.storage.local.remove(REPUTATION_LIST_KEY);
+}
+
+/**
+ * Loads the user's own ratings.
+ * @returns {Promise<object>} Map of domain to category.
+ */
+async function loadReputationOverrides() {
+  const stored = await chrome.storage.local.get(REPUTATION_OVERRIDES_KEY);
+  return stored[REPUTATION_OVERRIDES_KEY] || {};
+}
+
+/**
+ * Sets or removes the user's rating of a domain.
+ * @param {string} domain - The domain, e.g. 'example.com'.
+ * @param {string|null} category - One of REPUTATION_CATEGORIES, 'unrated' to ignore the list's
+ *     rating, or null to remove the override.
+ */
+async function setReputationOverride(domain, category) {
+  const overrides = { ...(await loadReputationOverrides()) };
+  if (category) overrides[domain] = category;
+  else delete overrides[domain];
+  await chrome.storage.local.set({ [REPUTATION_OVERRIDES_KEY]: overrides });
+}
+
+/**
+ * Cleans a domain or URL typed by the user or found in a list.
+ * @param {string} value - 'https://www.Example.com/x', 'example.com.' ...
+ * @returns {string} Lowercase host without "www.", or '' if unusable.
+ */
+function normalizeDomain(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return '';
+  try {
+    const host = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(text) ? text : `http://${text}`).hostname;
+    return host.replace(/^www\d*\./, '').replace(/\.$/, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Maps a category word from an imported list to one of REPUTATION_CATEGORIES.
+ * @param {string} value - Category as written in the list.
+ * @returns {string|null}
+ */
+function normalizeReputationCategory(value) {
+  const key = String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return REPUTATION_CATEGORY_ALIASES[key] || REPUTATION_CATEGORY_ALIASES[key.replace(/-/g, '')] || null;
+}
+
+/**
+ * Parses an imported domain list. JSON may be an array of {domain, category,
+ * note} or an object mapping domains to categories; CSV needs a header row
+ * with domain and category columns. Unknown categories are skipped.
+ * @param {string} text - File content.
+ * @returns {object[]} Entries of {domain, category, note}.
+ * @throws {Error} When the file holds no usable entries.
+ */
+function parseReputationList(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  let rows;
+  if (/^[[{]/.test(trimmed)) {
+    const data = JSON.parse(trimmed);
+    rows = Array.isArray(data)
+      ? data.map(item => ({ domain: item.domain || item.url, category: item.category || item.type, note: item.note || '' }))
+      : Object.entries(data).map(([domain, category]) => ({ domain, category, note: '' }));
+  } else {
+    const [header = [], ...lines] = parseCsvRows(trimmed).map(values => values.map(value => value.trim()));
+    const names = header.map(name => name.toLowerCase());
+    const domainIndex = names.findIndex(name => ['domain', 'site', 'url', 'host'].includes(name));
+    const categoryIndex = names.findIndex(name => ['category', 'type', 'rating', 'label'].includes(name));
+    const noteIndex = names.findIndex(name => ['note', 'notes', 'comment'].includes(name));
+    if (domainIndex < 0 || categoryIndex < 0) throw new Error(t('reputationNoColumns'));
+    rows = lines.map(values => ({
+      domain: values[domainIndex],
+      category: values[categoryIndex],
+      note: noteIndex >= 0 ? values[noteIndex] || '' : ''
+    }));
+  }
+
+  const entries = rows
+    .map(row => ({ domain: normalizeDomain(row.domain), category: normalizeReputationCategory(row.category), note: row.note }))
+    .filter(entry => entry.domain && entry.category);
+  if (!entries.length) throw new Error(t('reputationNoEntries'));
+  return entries;
+}
+
+/**
+ * Rates a URL's site. The user's overrides win, then the list; a host
+ * without an entry takes the rating of its closest parent domain.
+ * @param {string} url - Page or link address.
+ * @param {object[]} entries - Domain list entries.
+ * @param {object} overrides - Map of domain to category.
+ * @returns {{host: string, domain: string, category: string|null, origin: 'override'|'list'|null, note: string}}
+ *     domain is the entry that matched (the host itself if none did).
+ */
+function lookupDomainReputation(url, entries, overrides) {
+  const host = normalizeDomain(url);
+  const byDomain = new Map(entries.map(entry => [entry.domain, entry]));
+  const labels = host.split('.');
+
+  // Most specific first: a.news.example.com, news.example.com, example.com (never the bare TLD)
+  for (let i = 0; i < labels.length - 1; i++) {
+    const domain = labels.slice(i).join('.');
+    if (overrides[domain]) {
+      const category = overrides[domain] === 'unrated' ? null : overrides[domain]; // 'unrated' hides a list entry
+      return { host, domain, category, origin: 'override', note: '' };
+    }
+    const entry = byDomain.get(domain);
+    if (entry) return { host, domain, category: entry.category, origin: 'list', note: entry.note || '' };
+  }
+  return { host, domain: host, category: null, origin: null, note: '' };
+}
+
+/**
+ * Follows links that only forward to another address: outbound-link
+ * wrappers are decoded, and URL shorteners are asked where they lead.
+ * @param {string} url - A link.
+ * @returns {Promise<string>} The address it leads to, or the link itself.
+ */
+async function resolveRedirectUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return url;
+  }
+
+  // l.facebook.com/l.php?u=..., www.google.com/url?q=..., and similar wrappers
+  const wrapped = parsed.searchParams.get('u') || parsed.searchParams.get('url') || parsed.searchParams.get('q');
+  if (/^(l|lm)\.facebook\.com$|^(www\.)?google\.[a-z.]+$|^l\.messenger\.com$/.test(parsed.hostname) &&
+      /^https?:\/\//.test(wrapped || '')) {
+    return wrapped;
+  }
+
+  if (!URL_SHORTENERS.includes(parsed.hostname.replace(/^www\./, ''))) return url;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REDIRECT_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { method: 'HEAD', redirect: 'follow', signal: controller.signal });
+    return response.url || url;
+  } catch (e) { // Unreachable shortener: rate the short link itself
+    return url;
+  } finally {
+    clearTimeout(timer);
+  }
+}
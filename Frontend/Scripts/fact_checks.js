@@ -0,0 +1,351 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Fact-Check Store
+   FILE: fact_checks.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Finds claims that fact-checkers have already reviewed in the text
+       being analyzed, so editors have a published rating to cite next to
+       the model's probability.
+   DESCRIPTION:
+       Fact-check feeds are imported from ClaimReview JSON (schema.org
+       ClaimReview objects, DataFeed exports or the Google Fact Check Tools
+       "claims" format) or from CSV with claim, rating, publisher, date and
+       url columns. Each feed is stored with its claims in chrome.storage.local
+       (unlimited for this extension, as fact-checkers' exports run to many
+       megabytes) and can be updated from its link or deleted.
+       Matching normalizes both texts for Taglish spelling (accents, repeated
+       letters, texting short forms such as "lng" or "kc", c/k and z/s
+       variants), drops common English and Filipino function words and
+       scores how many of a claim's words occur in the analyzed text,
+       allowing one-letter spelling differences in longer words.
+   NOTES:
+       - Shared by sidepanel.js and the options page (loaded as a plain script)
+========================================================================== */
+
+const FACT_CHECK_FEEDS_KEY = 'factCheckFeeds';
+
+const FACT_CHECK_MIN_MATCHED_WORDS = 3; // Claims need at least this many words in the text
+const FACT_CHECK_MIN_SCORE = 0.6; // Share of a claim's words that must occur in the text
+const FACT_CHECK_MAX_RESULTS = 5;
+const FACT_CHECK_FETCH_TIMEOUT_MS = 20000;
+
+// Texting short forms and spelling variants, mapped to one spelling
+const TAGLISH_VARIANTS = {
+  lng: 'lang', lang: 'lang', nmn: 'naman', nman: 'naman', tlga: 'talaga', tlaga: 'talaga',
+  kc: 'kasi', kse: 'kasi', kasi: 'kasi', d2: 'dito', dto: 'dito', jan: 'diyan', dyan: 'diyan',
+  dun: 'doon', dn: 'din', rin: 'din', dw: 'daw', raw: 'daw', xa: 'siya', sya: 'siya', cya: 'siya',
+  aq: 'ako', q: 'ko', nyo: 'niyo', ninyo: 'niyo', nila: 'nila', yan: 'iyan', eto: 'ito', yun: 'iyon',
+  yung: 'iyong', ung: 'iyong', wla: 'wala', gov: 'gobyerno', govt: 'gobyerno', gobyerno: 'gobyerno',
+  u: 'you', ur: 'your', pls: 'please', plz: 'please', pres: 'president', prez: 'president', pangulo: 'president'
+};
+
+// Words that say little about the claim itself, spelled the way getClaimWords
+// normalizes text ("will" is compared as "wil", "mayroon" as "mayron")
+const FACT_CHECK_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'he', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'she', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with', 'you', 'your',
+  'ang', 'ng', 'nang', 'sa', 'na', 'at', 'ay', 'mga', 'si', 'ni', 'kay', 'ko', 'mo', 'ka', 'ako', 'siya',
+  'ito', 'iyan', 'iyon', 'iyong', 'yung', 'lang', 'naman', 'daw', 'din', 'po', 'pa', 'ba', 'nga', 'kasi',
+  'para', 'pero', 'kung', 'may', 'mayroon', 'hindi', 'di', 'talaga', 'niyo', 'nila', 'natin', 'namin'
+].map(normalizeTaglishWord));
+
+/**
+ * Loads all imported feeds.
+ * @returns {Promise<object[]>} Feeds of {id, name, url, importedAt, claims}.
+ */
+async function loadFactCheckFeeds() {
+  const stored = await chrome.storage.local.get(FACT_CHECK_FEEDS_KEY);
+  return Array.isArray(stored[FACT_CHECK_FEEDS_KEY]) ? stored[FACT_CHECK_FEEDS_KEY] : [];
+}
+
+/**
+ * Saves the feed list.
+ * @param {object[]} feeds - Feeds of {id, name, url, importedAt, claims}.
+ * @throws {Error} With a message for the user when the device has no room left.
+ */
+async function saveFactCheckFeeds(feeds) {
+  try {
+    await chrome.storage.local.set({ [FACT_CHECK_FEEDS_KEY]: feeds });
+  } catch (error) {
+    // Chrome only says "QUOTA_BYTES quota exceeded", or that the disk is full
+    if (/quota/i.test(error.message)) throw new Error(t('factCheckStorageFull'));
+    throw error;
+  }
+}
+
+/**
+ * Adds a feed, or replaces the claims of an existing one.
+ * @param {{id?: string, name: string, url?: string, claims: object[]}} feed - id is set when updating.
+ * @returns {Promise<object>} The stored feed.
+ */
+async function storeFactCheckFeed(feed) {
+  const feeds = await loadFactCheckFeeds();
+  const stored = {
+    id: feed.id || `feed-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: feed.name,
+    url: feed.url || '',
+    importedAt: Date.now(),
+    claims: feed.claims
+  };
+  const index = feeds.findIndex(f => f.id === stored.id);
+  if (index >= 0) feeds[index] = stored;
+  else feeds.push(stored);
+  await saveFactCheckFeeds(feeds);
+  return stored;
+}
+
+/**
+ * Deletes a feed and its claims.
+ * @param {string} id - The feed ID.
+ */
+async function deleteFactCheckFeed(id) {
+  const feeds = await loadFactCheckFeeds();
+  await saveFactCheckFeeds(feeds.filter(feed => feed.id !== id));
+}
+
+/**
+ * Downloads a feed from its link.
+ * @param {string} url - Link to a ClaimReview JSON or CSV file.
+ * @returns {Promise<object[]>} The parsed claims.
+ * @throws {Error} When the link cannot be fetched or holds no claims.
+ */
+async function fetchFactCheckFeed(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FACT_CHECK_FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { cache: 'no-store', signal: controller.signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return parseFactCheckFeed(await response.text());
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// =================================================================================
+// FEED PARSING
+// =================================================================================
+
+/**
+ * Parses a ClaimReview JSON or CSV feed. The format is told apart by content.
+ * @param {string} text - File content.
+ * @returns {object[]} Claims of {claim, rating, publisher, date, url}.
+ * @throws {Error} When the file holds no usable claims.
+ */
+function parseFactCheckFeed(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  const claims = /^[[{]/.test(trimmed)
+    ? parseClaimReviewJson(JSON.parse(trimmed))
+    : parseClaimReviewCsv(trimmed);
+  const usable = claims.filter(claim => claim.claim && (claim.rating || claim.url));
+  if (!usable.length) throw new Error(t('factCheckNoClaims'));
+  return usable;
+}
+
+/**
+ * Returns the first non-empty string among the values; objects with a
+ * name (schema.org Organization or Person) give their name.
+ * @param {...*} values - Candidate values.
+ * @returns {string}
+ */
+function pickText(...values) {
+  for (const value of values) {
+    const text = value && typeof value === 'object' ? value.name : value;
+    if (typeof text === 'string' && text.trim()) return text.trim();
+  }
+  return '';
+}
+
+/**
+ * Collects claims from any of the supported JSON shapes.
+ * @param {*} data - Parsed JSON.
+ * @returns {object[]}
+ */
+function parseClaimReviewJson(data) {
+  const claims = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    const type = [].concat(node['@type'] || []);
+    if (type.includes('ClaimReview')) {
+      // schema.org ClaimReview
+      claims.push({
+        claim: pickText(node.claimReviewed, node.itemReviewed?.name),
+        rating: pickText(node.reviewRating?.alternateName, node.reviewRating?.name),
+        publisher: pickText(node.author, node.publisher),
+        date: pickText(node.datePublished, node.itemReviewed?.datePublished),
+        url: pickText(node.url)
+      });
+      return;
+    }
+    if (typeof node.text === 'string' && Array.isArray(node.claimReview)) {
+      // Google Fact Check Tools: one claim with its reviews
+      node.claimReview.forEach(review => claims.push({
+        claim: node.text.trim(),
+        rating: pickText(review.textualRating),
+        publisher: pickText(review.publisher, review.publisher?.site),
+        date: pickText(review.reviewDate, node.claimDate),
+        url: pickText(review.url)
+      }));
+      return;
+    }
+    // Containers: {claims: [...]}, DataFeed {dataFeedElement: [{item: [...]}]}, {@graph: [...]}
+    ['claims', 'dataFeedElement', 'item', '@graph', 'itemListElement'].forEach(key => visit(node[key]));
+  };
+  visit(data);
+  return claims;
+}
+
+/**
+ * Splits CSV text into rows (RFC 4180 quoting).
+ * @param {string} text - CSV content.
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+/**
+ * Reads claims from CSV with a header row. Column names are matched
+ * loosely so exports from different fact-checkers work.
+ * @param {string} text - CSV content.
+ * @returns {object[]}
+ */
+function parseClaimReviewCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+  const names = header.map(name => name.trim().toLowerCase().replace(/[\s_-]+/g, ''));
+  const column = (...candidates) => names.findIndex(name => candidates.includes(name));
+  const columns = {
+    claim: column('claim', 'claimreviewed', 'claimtext', 'text'),
+    rating: column('rating', 'textualrating', 'alternatename', 'verdict'),
+    publisher: column('publisher', 'author', 'factchecker', 'organization'),
+    date: column('date', 'datepublished', 'reviewdate', 'claimdate'),
+    url: column('url', 'link', 'reviewurl')
+  };
+  if (columns.claim < 0) throw new Error(t('factCheckNoClaimColumn'));
+
+  return rows.map(row => Object.fromEntries(
+    Object.entries(columns).map(([key, index]) => [key, index >= 0 ? (row[index] || '').trim() : ''])
+  ));
+}
+
+// =================================================================================
+// MATCHING
+// =================================================================================
+
+/**
+ * Normalizes one word for matching: accents removed, letters repeated for
+ * emphasis collapsed, texting short forms expanded and c/k, z/s spelled one way.
+ * @param {string} word - A lowercase word.
+ * @returns {string}
+ */
+function normalizeTaglishWord(word) {
+  const plain = word.normalize('NFD').replace(/\p{M}/gu, '').replace(/(.)\1{2,}/g, '$1');
+  if (TAGLISH_VARIANTS[plain]) return TAGLISH_VARIANTS[plain];
+  return plain
+    .replace(/ph/g, 'f')
+    .replace(/c(?=[aou])/g, 'k')
+    .replace(/z/g, 's')
+    .replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Splits text into normalized content words.
+ * @param {string} text - Any text.
+ * @returns {string[]}
+ */
+function getClaimWords(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+    .map(normalizeTaglishWord)
+    .filter(word => word.length > 1 && !FACT_CHECK_STOP_WORDS.has(word));
+}
+
+/**
+ * Tells whether two words are at most one edit apart.
+ * @param {string} a - First word.
+ * @param {string} b - Second word.
+ * @returns {boolean}
+ */
+function isOneEditApart(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  while (i < a.length && a[i] === b[i]) i++;
+  if (a.length === b.length) return a.slice(i + 1) === b.slice(i + 1);
+  return a.length > b.length ? a.slice(i + 1) === b.slice(i) : a.slice(i) === b.slice(i + 1);
+}
+
+/**
+ * Finds the imported claims that the text talks about, best match first.
+ * @param {string} text - Analyzed text, or OCR text for images.
+ * @param {object[]} feeds - Feeds from loadFactCheckFeeds.
+ * @returns {object[]} Claims with their feed name and a score from 0 to 1.
+ */
+function findRelatedFactChecks(text, feeds) {
+  const textWords = new Set(getClaimWords(text || ''));
+  if (!textWords.size) return [];
+
+  // Longer words may differ by one letter; they are grouped by length for the lookup
+  const byLength = new Map();
+  textWords.forEach(word => {
+    if (!byLength.has(word.length)) byLength.set(word.length, []);
+    byLength.get(word.length).push(word);
+  });
+  const occurs = (word) => textWords.has(word) || (word.length >= 5 &&
+    [word.length - 1, word.length, word.length + 1].some(length =>
+      (byLength.get(length) || []).some(candidate => isOneEditApart(word, candidate))));
+
+  const matches = [];
+  feeds.forEach(feed => feed.claims.forEach(claim => {
+    const claimWords = [...new Set(getClaimWords(claim.claim))];
+    if (claimWords.length < FACT_CHECK_MIN_MATCHED_WORDS) return;
+    const matched = claimWords.filter(occurs).length;
+    const score = matched / claimWords.length;
+    if (matched >= FACT_CHECK_MIN_MATCHED_WORDS && score >= FACT_CHECK_MIN_SCORE) {
+      matches.push({ ...claim, feed: feed.name, score });
+    }
+  }));
+
+  // The same claim often appears in several feeds; keep its best entry
+  const seen = new Set();
+  return matches
+    .sort((a, b) => b.score - a.score)
+    .filter(match => {
+      const key = match.url || `${match.publisher}|${match.claim}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, FACT_CHECK_MAX_RESULTS);
+}
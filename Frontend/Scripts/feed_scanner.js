@@ -0,0 +1,314 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Feed Scanner
+   FILE: feed_scanner.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Checks a whole timeline or news feed without picking posts one by
+       one, and shows each post's verdict right next to it.
+   DESCRIPTION:
+       Once feed scanning is turned on for a site, this script finds the
+       post cards on the page (post_adapters.js) and keeps finding new ones
+       as the feed scrolls, through a MutationObserver. Posts are sent for
+       analysis when they come into view, so a long feed is not analyzed
+       ahead of the reader. The background script queues them and keeps to
+       the concurrency and per-minute limits from Settings. Each analyzed
+       post gets a small badge with the verdict and confidence; clicking it
+       opens the full result in the side panel, and clicking a failed
+       badge tries again. A bar in the corner of the page shows how many
+       posts were checked and can pause scanning or turn it off for the site.
+   NOTES:
+       - Injected after content_selector.js, whose highlight colours the
+         badges use, together with scan_settings.js
+       - Only text is scanned; images and short posts are skipped
+       - Pausing or turning the site off is stored in scan_settings.js, so
+         every tab of the site follows
+       - Badges are the only change made to the page and are removed when
+         scanning stops
+========================================================================== */
+
+const SCAN_BADGE_CLASS = 'tun-eye-scan-badge';
+const SCAN_RESCAN_DELAY_MS = 500; // Feeds add many nodes at once; look for new cards at most this often
+const SCAN_NEUTRAL_RGB = '118, 118, 118'; // Uncertain verdicts and posts still being checked
+
+// IDs are unique per page load, so answers for a page that was reloaded are ignored
+const SCAN_PAGE_ID = Math.random().toString(36).slice(2, 8);
+
+// The scan running on this page: {applySettings, handleResult, stop}, or null
+let activeFeedScan = null;
+
+// Build the text analyzed for a post, the same way the side panel does for a captured post
+const buildScanText = (post) => [post.headline, post.text, post.link?.title, post.link?.description]
+  .filter(Boolean)
+  .join('\n\n');
+
+// Start scanning this page, unless its site is not turned on or a scan is already running
+const startFeedScan = async () => {
+  if (activeFeedScan) return;
+  let settings = await loadScanSettings();
+  if (activeFeedScan || !isScanSiteEnabled(settings, location.href)) return;
+  const site = getScanSite(location.href);
+
+  // Post cards by ID: {id, card, status: ''|'waiting'|'done'|'error'|'skipped', badge, result, error}
+  const entries = new Map();
+  const cardIds = new WeakMap();
+  const visibleIds = new Set();
+  let nextId = 0;
+  let checkedCount = 0;
+  let rescanTimer = null;
+
+  // --- Control bar ---
+
+  const bar = document.createElement('div');
+  bar.setAttribute('role', 'region');
+  bar.setAttribute('aria-label', t('scanBarLabel'));
+  Object.assign(bar.style, {
+    position: 'fixed',
+    right: '16px',
+    bottom: '16px',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    background: '#7ebfebff',
+    color: '#383737ff',
+    padding: '6px 10px',
+    borderRadius: '5px',
+    fontSize: '12px',
+    fontFamily: 'Poppins, sans-serif',
+    boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)',
+    zIndex: '999999',
+  });
+
+  const status = document.createElement('span');
+  status.setAttribute('role', 'status'); // Read out by screen readers
+
+  const createBarButton = (onClick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    Object.assign(button.style, {
+      background: '#091263',
+      color: '#fff',
+      border: 'none',
+      borderRadius: '4px',
+      padding: '3px 10px',
+      fontSize: '12px',
+      cursor: 'pointer',
+      fontFamily: 'inherit'
+    });
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  };
+  const pauseButton = createBarButton(() => setScanPaused(!settings.paused));
+  const stopButton = createBarButton(() => setScanSite(site, false));
+  stopButton.textContent = t('scanBarStop');
+  stopButton.title = t('scanBarStopHint', site);
+
+  bar.append(status, pauseButton, stopButton);
+  document.body.appendChild(bar);
+
+  const updateBar = () => {
+    status.textContent = settings.paused ? t('scanBarPaused', checkedCount) : t('scanBarScanning', checkedCount);
+    pauseButton.textContent = settings.paused ? t('scanBarResume') : t('scanBarPause');
+  };
+
+  // --- Badges ---
+
+  // Show a post's state in its badge, adding the badge on first use
+  const renderBadge = (entry) => {
+    if (!entry.badge) {
+      entry.badge = document.createElement('button');
+      entry.badge.type = 'button';
+      entry.badge.className = SCAN_BADGE_CLASS;
+      Object.assign(entry.badge.style, {
+        display: 'inline-block',
+        margin: '4px 8px',
+        padding: '2px 8px',
+        border: '1px solid',
+        borderRadius: '10px',
+        background: '#fff',
+        fontSize: '12px',
+        fontWeight: 'bold',
+        fontFamily: 'Poppins, sans-serif',
+        lineHeight: '18px',
+        cursor: 'pointer',
+        position: 'relative',
+        zIndex: '1'
+      });
+      entry.badge.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation(); // Do not open the post itself
+        openEntry(entry);
+      });
+      entry.card.prepend(entry.badge);
+    }
+
+    let rgb = SCAN_NEUTRAL_RGB;
+    if (entry.status === 'waiting') {
+      entry.badge.textContent = t('scanBadgeChecking');
+      entry.badge.title = t('scanBadgeCheckingHint');
+    } else if (entry.status === 'error') {
+      entry.badge.textContent = t('scanBadgeFailed');
+      entry.badge.title = t('scanBadgeFailedHint', localizeError(entry.error));
+    } else {
+      const { verdict, confidence } = entry.result;
+      const label = { real: t('verdictRealShort'), fake: t('verdictFakeShort'), uncertain: t('verdictUncertainShort') }[verdict];
+      entry.badge.textContent = t('scanBadgeVerdict', [label, Math.max(confidence.fake, confidence.real)]);
+      entry.badge.title = t('scanBadgeOpenHint');
+      if (verdict === 'real') rgb = HIGHLIGHT_REAL_RGB;
+      if (verdict === 'fake') rgb = HIGHLIGHT_FAKE_RGB;
+    }
+    entry.badge.style.color = `rgb(${rgb})`;
+    entry.badge.style.borderColor = `rgb(${rgb})`;
+    entry.badge.style.borderStyle = entry.status === 'waiting' ? 'dashed' : 'solid'; // Not only colour tells states apart
+  };
+
+  // Badge click: a result opens in the side panel, a failure is tried again
+  const openEntry = (entry) => {
+    if (entry.status === 'done') {
+      chrome.runtime.sendMessage({ type: "OPEN_SCAN_RESULT", result: entry.result });
+    } else if (entry.status === 'error') {
+      // The post is read again without the badge, so its text stays out of the analysis
+      entry.badge.remove();
+      entry.badge = null;
+      entry.status = '';
+      queueEntry(entry);
+    }
+  };
+
+  // --- Queueing ---
+
+  // Send a visible post for analysis, once
+  const queueEntry = (entry) => {
+    if (entry.status || settings.paused) return;
+    const post = readPostCard(entry.card);
+    const text = post ? buildScanText(post) : '';
+    if (text.length < SCAN_MIN_TEXT_LENGTH) {
+      entry.status = 'skipped';
+      return;
+    }
+
+    entry.status = 'waiting';
+    renderBadge(entry);
+    chrome.runtime.sendMessage({
+      type: "SCAN_POST",
+      id: entry.id,
+      text,
+      provenance: extractPageProvenance(document, location.href)
+    });
+  };
+
+  // Posts are queued when they scroll into view
+  const intersection = new IntersectionObserver((records) => {
+    records.forEach(record => {
+      const id = cardIds.get(record.target);
+      if (!record.isIntersecting || !entries.has(id)) {
+        visibleIds.delete(id);
+        return;
+      }
+      visibleIds.add(id);
+      queueEntry(entries.get(id));
+    });
+  });
+
+  // Start watching new cards and forget cards the feed has removed
+  const findNewCards = () => {
+    rescanTimer = null;
+    findPostCards(document).forEach(card => {
+      if (cardIds.has(card)) return;
+      const id = `${SCAN_PAGE_ID}-${++nextId}`;
+      cardIds.set(card, id);
+      entries.set(id, { id, card, status: '', badge: null, result: null, error: '' });
+      intersection.observe(card);
+    });
+    entries.forEach((entry, id) => {
+      if (entry.card.isConnected) return;
+      intersection.unobserve(entry.card);
+      visibleIds.delete(id);
+      entries.delete(id);
+    });
+  };
+
+  const mutation = new MutationObserver(() => {
+    if (!rescanTimer) rescanTimer = setTimeout(findNewCards, SCAN_RESCAN_DELAY_MS);
+  });
+
+  // --- Scan controls ---
+
+  const stop = () => {
+    intersection.disconnect();
+    mutation.disconnect();
+    clearTimeout(rescanTimer);
+    bar.remove();
+    document.querySelectorAll(`.${SCAN_BADGE_CLASS}`).forEach(badge => badge.remove());
+    chrome.runtime.sendMessage({ type: "SCAN_CANCEL" });
+    activeFeedScan = null;
+  };
+
+  // Follow pausing and turning the site off, from this tab or any other
+  const applySettings = (newSettings) => {
+    const wasPaused = settings.paused;
+    settings = newSettings;
+    if (!isScanSiteEnabled(settings, location.href)) {
+      stop();
+      return;
+    }
+
+    if (settings.paused && !wasPaused) {
+      // Posts not yet sent are dropped from the queue and sent again on resume
+      chrome.runtime.sendMessage({ type: "SCAN_CANCEL" });
+      entries.forEach(entry => {
+        if (entry.status !== 'waiting') return;
+        entry.status = '';
+        entry.badge?.remove();
+        entry.badge = null;
+      });
+    }
+    if (!settings.paused && wasPaused) {
+      visibleIds.forEach(id => queueEntry(entries.get(id)));
+    }
+    updateBar();
+  };
+
+  // Answer from the background script for one post
+  const handleResult = ({ id, result, error }) => {
+    const entry = entries.get(id);
+    if (!entry) return; // Removed from the feed, or from before a reload
+    if (error) {
+      entry.status = 'error';
+      entry.error = error;
+    } else {
+      entry.status = 'done';
+      entry.result = result;
+      checkedCount++;
+    }
+    renderBadge(entry);
+    updateBar();
+  };
+
+  activeFeedScan = { applySettings, handleResult, stop };
+  updateBar();
+  findNewCards();
+  mutation.observe(document.body, { childList: true, subtree: true });
+};
+
+// Pausing, resuming and turning the site off are stored, so every tab follows
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace !== 'local' || !changes[SCAN_SETTINGS_KEY] || !activeFeedScan) return;
+  activeFeedScan.applySettings({ ...DEFAULT_SCAN_SETTINGS, ...(changes[SCAN_SETTINGS_KEY].newValue || {}) });
+});
+
+// Listen for the background script starting a scan and answering for posts
+chrome.runtime.onMessage.addListener((request) => {
+  // The bar and badges are shown in the chosen language, so wait for its messages
+  if (request.type === "START_FEED_SCAN") {
+    i18nReady.then(startFeedScan);
+  }
+  if (request.type === "SCAN_RESULT" && activeFeedScan) {
+    activeFeedScan.handleResult(request);
+  }
+});
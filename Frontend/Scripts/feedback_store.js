@@ -0,0 +1,294 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Verdict Feedback Store
+   FILE: feedback_store.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Keeps the users' "Correct / Incorrect" feedback on verdicts so the
+       models can be retrained on the cases they got wrong.
+   DESCRIPTION:
+       Each item holds the analyzed input and text, the source page, the
+       model's verdict, confidence and word weights, and the user's answer
+       with an optional correct label, comment and evidence link. Items are
+       stored in chrome.storage.local and, when a feedback endpoint is set,
+       posted to it. Items that cannot be sent stay queued and are retried
+       with a growing delay. The collection exports as CSV or JSONL with a
+       text/label pair per row, ready for retraining either model.
+   NOTES:
+       - Shared by sidepanel.js and the options page (loaded as a plain script)
+       - Labels follow the backends' class_names: 0 = Fake News, 1 = Real News
+========================================================================== */
+
+const FEEDBACK_KEY = 'verdictFeedback';
+const FEEDBACK_SETTINGS_KEY = 'feedbackSettings';
+const FEEDBACK_LIMIT = 1000; // Oldest items are dropped beyond this count
+
+const DEFAULT_FEEDBACK_SETTINGS = {
+  endpoint: '' // Where feedback is posted; empty keeps it on this device
+};
+
+const FEEDBACK_SUBMIT_TIMEOUT_MS = 10000;
+const FEEDBACK_RETRY_BASE_MS = 60 * 1000; // Delay after the first failed attempt, doubled per attempt
+const FEEDBACK_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+// Class names and label numbers used by both backends
+const FEEDBACK_LABELS = {
+  fake: { id: 0, name: 'Fake News' },
+  real: { id: 1, name: 'Real News' }
+};
+
+/**
+ * Loads the feedback settings, filling in defaults for missing values.
+ * @returns {Promise<{endpoint: string}>}
+ */
+async function loadFeedbackSettings() {
+  const stored = await chrome.storage.local.get(FEEDBACK_SETTINGS_KEY);
+  return { ...DEFAULT_FEEDBACK_SETTINGS, ...(stored[FEEDBACK_SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Saves the feedback settings.
+ * @param {object} settings - {endpoint}
+ */
+async function saveFeedbackSettings(settings) {
+  await chrome.storage.local.set({ [FEEDBACK_SETTINGS_KEY]: settings });
+}
+
+/**
+ * Loads all feedback items, newest first.
+ * @returns {Promise<object[]>}
+ */
+async function loadFeedback() {
+  const stored = await chrome.storage.local.get(FEEDBACK_KEY);
+  return Array.isArray(stored[FEEDBACK_KEY]) ? stored[FEEDBACK_KEY] : [];
+}
+
+// Writes run one after another so a retry pass and a new item do not overwrite each other
+let feedbackWrites = Promise.resolve();
+
+/**
+ * Applies a change to the stored feedback list.
+ * @param {function(object[]): object[]} change - Returns the new list.
+ * @returns {Promise<object[]>} The saved list.
+ */
+function updateFeedback(change) {
+  const write = feedbackWrites.then(async () => {
+    const items = change(await loadFeedback()).slice(0, FEEDBACK_LIMIT);
+    await chrome.storage.local.set({ [FEEDBACK_KEY]: items });
+    return items;
+  });
+  feedbackWrites = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Stores feedback on a result, replacing earlier feedback on the same analysis.
+ * @param {object} entry - {analyzedAt, input, text, source, model, backend, verdict,
+ *     confidence, keywords, feedback: 'correct'|'incorrect', label: 'real'|'fake'|'',
+ *     comment, evidenceUrl}
+ * @returns {Promise<object>} The stored item including its id, timestamp and send status.
+ */
+async function addFeedback(entry) {
+  const { endpoint } = await loadFeedbackSettings();
+  const stored = {
+    id: `feedback-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: Date.now(),
+    ...entry,
+    status: endpoint ? 'pending' : 'local', // 'local' items are sent once an endpoint is set
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: ''
+  };
+  await updateFeedback(items => [
+    stored,
+    ...items.filter(item => item.analyzedAt !== entry.analyzedAt)
+  ]);
+  return stored;
+}
+
+/**
+ * Finds the feedback given on an analysis.
+ * @param {number} analyzedAt - Timestamp of the result, which also identifies its history entry.
+ * @returns {Promise<object|undefined>}
+ */
+async function getFeedbackForAnalysis(analyzedAt) {
+  const items = await loadFeedback();
+  return items.find(item => item.analyzedAt === analyzedAt);
+}
+
+/**
+ * Removes every feedback item.
+ */
+async function clearFeedback() {
+  await updateFeedback(() => []);
+}
+
+/**
+ * Counts the feedback items by send status.
+ * @returns {Promise<{total: number, sent: number, waiting: number}>}
+ *     waiting counts items that are queued or kept locally.
+ */
+async function countFeedback() {
+  const items = await loadFeedback();
+  const sent = items.filter(item => item.status === 'sent').length;
+  return { total: items.length, sent, waiting: items.length - sent };
+}
+
+/**
+ * Returns the label the analyzed text should be trained with: the user's
+ * label if given, otherwise the model's verdict when marked correct or the
+ * opposite side when marked incorrect. Uncertain verdicts need a label.
+ * @param {object} item - A feedback item.
+ * @returns {'real'|'fake'|null}
+ */
+function getFeedbackLabel(item) {
+  if (item.label === 'real' || item.label === 'fake') return item.label;
+  if (item.verdict !== 'real' && item.verdict !== 'fake') return null;
+  if (item.feedback === 'correct') return item.verdict;
+  return item.verdict === 'real' ? 'fake' : 'real';
+}
+
+/**
+ * Builds the body posted to the feedback endpoint.
+ * @param {object} item - A feedback item.
+ * @returns {object}
+ */
+function buildFeedbackPayload(item) {
+  const label = getFeedbackLabel(item);
+  return {
+    id: item.id,
+    submittedAt: new Date(item.timestamp).toISOString(),
+    feedback: item.feedback,
+    label: label ? FEEDBACK_LABELS[label].name : null,
+    comment: item.comment || '',
+    evidenceUrl: item.evidenceUrl || '',
+    text: item.text || '',
+    input: item.input,
+    source: item.source || null,
+    model: item.model || null,
+    backend: item.backend || null,
+    output: { verdict: item.verdict, confidence: item.confidence, words: item.keywords || [] }
+  };
+}
+
+/**
+ * Posts one feedback item to the endpoint.
+ * @param {string} endpoint - Feedback endpoint URL.
+ * @param {object} item - A feedback item.
+ * @throws {Error} When the endpoint cannot be reached or does not answer 2xx.
+ */
+async function postFeedbackItem(endpoint, item) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FEEDBACK_SUBMIT_TIMEOUT_MS);
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(buildFeedbackPayload(item)),
+      signal: controller.signal
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Sends queued feedback whose retry time has come. Failed items are
+ * rescheduled with a doubled delay; nothing is sent while offline or
+ * without an endpoint.
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+async function submitPendingFeedback() {
+  const { endpoint } = await loadFeedbackSettings();
+  if (!endpoint || !navigator.onLine) return { sent: 0, failed: 0 };
+
+  const now = Date.now();
+  const due = (await loadFeedback()).filter(item => item.status !== 'sent' && item.nextAttemptAt <= now);
+  const outcomes = {};
+  for (const item of due) {
+    try {
+      await postFeedbackItem(endpoint, item);
+      outcomes[item.id] = { status: 'sent', lastError: '' };
+    } catch (error) {
+      const attempts = item.attempts + 1;
+      outcomes[item.id] = {
+        status: 'pending',
+        attempts,
+        nextAttemptAt: Date.now() + Math.min(FEEDBACK_RETRY_BASE_MS * 2 ** (attempts - 1), FEEDBACK_RETRY_MAX_MS),
+        lastError: error.name === 'AbortError' ? 'timeout' : error.message
+      };
+    }
+  }
+
+  if (due.length) {
+    await updateFeedback(items => items.map(item => (outcomes[item.id] ? { ...item, ...outcomes[item.id] } : item)));
+  }
+  const sent = Object.values(outcomes).filter(outcome => outcome.status === 'sent').length;
+  return { sent, failed: due.length - sent };
+}
+
+/**
+ * Queues locally kept items for sending and retries failed ones right away,
+ * e.g. after the endpoint has been set or changed.
+ */
+async function requeueFeedback() {
+  await updateFeedback(items => items.map(item => (
+    item.status === 'sent' ? item : { ...item, status: 'pending', attempts: 0, nextAttemptAt: 0 }
+  )));
+}
+
+/**
+ * Turns feedback items into training rows. Items without text or a known
+ * label are left out.
+ * @param {object[]} items - Feedback items.
+ * @returns {object[]} Rows of {text, label, label_name, ...} with the model output for reference.
+ */
+function buildFeedbackDataset(items) {
+  return items
+    .map(item => ({ item, label: getFeedbackLabel(item) }))
+    .filter(({ item, label }) => label && item.text)
+    .map(({ item, label }) => ({
+      text: item.text,
+      label: FEEDBACK_LABELS[label].id,
+      label_name: FEEDBACK_LABELS[label].name,
+      feedback: item.feedback,
+      model: item.model?.id || item.backend || '',
+      model_verdict: item.verdict,
+      model_real: item.confidence?.real ?? '',
+      model_fake: item.confidence?.fake ?? '',
+      input_type: item.input?.type || '',
+      source_url: item.source?.url || '',
+      evidence_url: item.evidenceUrl || '',
+      comment: item.comment || '',
+      submitted_at: new Date(item.timestamp).toISOString()
+    }));
+}
+
+/**
+ * Writes training rows as JSON Lines.
+ * @param {object[]} rows - From buildFeedbackDataset.
+ * @returns {string}
+ */
+function feedbackToJsonl(rows) {
+  return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+}
+
+/**
+ * Writes training rows as CSV (RFC 4180 quoting, header row first).
+ * @param {object[]} rows - From buildFeedbackDataset.
+ * @returns {string}
+ */
+function feedbackToCsv(rows) {
+  const columns = ['text', 'label', 'label_name', 'feedback', 'model', 'model_verdict', 'model_real',
+    'model_fake', 'input_type', 'source_url', 'evidence_url', 'comment', 'submitted_at'];
+  const quote = value => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(quote).join(','))
+    .join('\r\n') + '\r\n';
+}
@@ -0,0 +1,86 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Analysis History Store
+   FILE: history_store.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Keeps a persistent list of past analyses so users can go back to a
+       result without re-running the backend.
+   DESCRIPTION:
+       Each entry holds the analyzed input, the source tab URL and title,
+       a timestamp, the verdict, the confidence breakdown and the word
+       weights returned by the backend. Entries are stored newest first in
+       chrome.storage.local and capped to keep storage usage bounded.
+   NOTES:
+       - Shared by sidepanel.js (loaded as a plain script)
+       - Does not touch the DOM so it can also be used by background.js
+========================================================================== */
+
+const HISTORY_KEY = 'analysisHistory';
+const HISTORY_LIMIT = 200; // Oldest entries are dropped beyond this count
+
+/**
+ * Loads all history entries, newest first.
+ * @returns {Promise<object[]>}
+ */
+async function loadHistory() {
+  const stored = await chrome.storage.local.get(HISTORY_KEY);
+  return Array.isArray(stored[HISTORY_KEY]) ? stored[HISTORY_KEY] : [];
+}
+
+/**
+ * Saves a new analysis to the top of the history.
+ * @param {object} entry - {input, source, verdict, confidence, keywords, backend}
+ * @returns {Promise<object>} The stored entry including its generated id and timestamp.
+ */
+async function addHistoryEntry(entry) {
+  const history = await loadHistory();
+  const stored = {
+    id: `analysis-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: Date.now(),
+    ...entry
+  };
+  await chrome.storage.local.set({ [HISTORY_KEY]: [stored, ...history].slice(0, HISTORY_LIMIT) });
+  return stored;
+}
+
+/**
+ * Finds a single history entry.
+ * @param {string} id - The entry ID.
+ * @returns {Promise<object|undefined>}
+ */
+async function getHistoryEntry(id) {
+  const history = await loadHistory();
+  return history.find(entry => entry.id === id);
+}
+
+/**
+ * Deletes a single history entry.
+ * @param {string} id - The entry ID.
+ */
+async function deleteHistoryEntry(id) {
+  const history = await loadHistory();
+  await chrome.storage.local.set({ [HISTORY_KEY]: history.filter(entry => entry.id !== id) });
+}
+
+/**
+ * Removes every history entry.
+ */
+async function clearHistory() {
+  await chrome.storage.local.remove(HISTORY_KEY);
+}
+
+/**
+ * Returns the hostname of an entry's source page, or '' if unknown.
+ * @param {object} entry - A history entry.
+ * @returns {string}
+ */
+function getHistoryDomain(entry) {
+  try {
+    return entry.source && entry.source.url ? new URL(entry.source.url).hostname : '';
+  } catch (e) {
+    return '';
+  }
+}
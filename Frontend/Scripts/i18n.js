@@ -0,0 +1,156 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Localization
+   FILE: i18n.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Shows the extension in English or Filipino, following the browser
+       language or a language picked in Settings.
+   DESCRIPTION:
+       Messages live in the standard _locales/<code>/messages.json catalogs.
+       With the "auto" setting chrome.i18n picks the catalog from the
+       browser language. chrome.i18n cannot be told to use another
+       language, so when the user picks one in Settings its catalog is
+       fetched and read here, with English filling in missing messages.
+       Elements marked with data-i18n (text), data-i18n-html (trusted
+       markup from the catalog), data-i18n-title, data-i18n-placeholder,
+       data-i18n-alt and data-i18n-aria-label are filled in by localizePage().
+   NOTES:
+       - Loaded before every other script that shows text: side panel,
+         options page, background.js (importScripts) and content scripts
+       - i18nReady resolves once the chosen catalog is loaded
+       - Adding a language: add _locales/<code>/messages.json and an
+         entry to UI_LANGUAGES
+========================================================================== */
+
+const LANGUAGE_SETTING_KEY = 'uiLanguage';
+
+// Languages offered in Settings; 'auto' follows the browser
+const UI_LANGUAGES = {
+  auto: 'languageAuto',
+  en: 'English',
+  fil: 'Filipino'
+};
+
+let uiLanguage = 'auto';
+let uiMessages = null; // Catalog of the language picked in Settings, null for 'auto'
+let fallbackMessages = null; // English, for messages missing from uiMessages
+
+/**
+ * Loads the language picked in Settings.
+ * @returns {Promise<string>} A UI_LANGUAGES key.
+ */
+async function loadLanguageSetting() {
+  const stored = await chrome.storage.local.get(LANGUAGE_SETTING_KEY);
+  const language = stored[LANGUAGE_SETTING_KEY];
+  return UI_LANGUAGES[language] ? language : 'auto';
+}
+
+/**
+ * Saves the language picked in Settings.
+ * @param {string} language - A UI_LANGUAGES key.
+ */
+async function saveLanguageSetting(language) {
+  await chrome.storage.local.set({ [LANGUAGE_SETTING_KEY]: language });
+}
+
+/**
+ * Fetches a message catalog bundled with the extension.
+ * @param {string} language - Locale folder name under _locales.
+ * @returns {Promise<object>}
+ */
+async function fetchMessageCatalog(language) {
+  const response = await fetch(chrome.runtime.getURL(`_locales/${language}/messages.json`));
+  if (!response.ok) throw new Error(`No messages for "${language}".`);
+  return response.json();
+}
+
+/**
+ * Loads the catalog for the language picked in Settings.
+ * @returns {Promise<string>} The active language setting.
+ */
+async function initI18n() {
+  uiLanguage = await loadLanguageSetting();
+  uiMessages = null;
+  fallbackMessages = null;
+  if (uiLanguage !== 'auto') {
+    try {
+      [uiMessages, fallbackMessages] = await Promise.all([fetchMessageCatalog(uiLanguage), fetchMessageCatalog('en')]);
+    } catch (error) { // Fall back to the browser language
+      console.error('Loading messages failed:', error);
+      uiLanguage = 'auto';
+    }
+  }
+  return uiLanguage;
+}
+
+/**
+ * Returns the locale used for dates and numbers.
+ * @returns {string} BCP 47 language tag.
+ */
+function getUiLocale() {
+  return uiLanguage === 'auto' ? chrome.i18n.getUILanguage() : uiLanguage;
+}
+
+/**
+ * Fills a catalog entry's placeholders the way chrome.i18n does:
+ * $name$ refers to a placeholder whose content is $1, $2, ...
+ * @param {{message: string, placeholders?: object}} entry - Catalog entry.
+ * @param {string[]} substitutions - Values for $1, $2, ...
+ * @returns {string}
+ */
+function formatMessage(entry, substitutions) {
+  let message = entry.message;
+  Object.entries(entry.placeholders || {}).forEach(([name, placeholder]) => {
+    message = message.replace(new RegExp(`\\$${name}\\$`, 'gi'), placeholder.content);
+  });
+  return message.replace(/\$(\d)/g, (match, n) => substitutions[n - 1] ?? '').replace(/\$\$/g, '$');
+}
+
+/**
+ * Returns a localized message.
+ * @param {string} key - Message name in messages.json.
+ * @param {string|number|Array} [substitutions] - Values for the placeholders.
+ * @returns {string} The message, or the key when it is missing everywhere.
+ */
+function t(key, substitutions = []) {
+  const values = [].concat(substitutions).map(String);
+  const entry = uiMessages?.[key] || fallbackMessages?.[key];
+  if (entry) return formatMessage(entry, values);
+  return chrome.i18n.getMessage(key, values) || key;
+}
+
+/**
+ * Returns an error's message in the current language. Errors that carry
+ * their messageKey (ApiError, describeJobError) are translated here, where
+ * they are shown, instead of keeping the language of the script that
+ * raised them.
+ * @param {{message: string, messageKey?: string, messageSubs?: string[]}} error - The error.
+ * @returns {string}
+ */
+function localizeError(error) {
+  return error.messageKey ? t(error.messageKey, error.messageSubs) : error.message;
+}
+
+/**
+ * Localizes every marked element under a root.
+ * @param {Document|Element|DocumentFragment} [root=document] - Where to look.
+ */
+function localizePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-html]').forEach(el => {
+    el.innerHTML = t(el.dataset.i18nHtml); // Only markup from our own catalogs
+  });
+  [['data-i18n-title', 'title'], ['data-i18n-placeholder', 'placeholder'], ['data-i18n-alt', 'alt'], ['data-i18n-aria-label', 'aria-label']]
+    .forEach(([marker, attribute]) => {
+      root.querySelectorAll(`[${marker}]`).forEach(el => el.setAttribute(attribute, t(el.getAttribute(marker))));
+    });
+  if (root === document) document.documentElement.lang = getUiLocale();
+}
+
+// Start loading right away; pages wait on this before rendering text
+const i18nReady = initI18n();
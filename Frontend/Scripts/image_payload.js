@@ -0,0 +1,126 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Image Payload
+   FILE: image_payload.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Turns the image the user sees into bytes the backend can read, so
+       analysis no longer depends on the server downloading the image URL.
+   DESCRIPTION:
+       Images are drawn onto an OffscreenCanvas, downscaled to a maximum
+       size and re-encoded as JPEG until they fit the upload limit. The
+       result is a data URL that becomes an "image_data" request
+       ({type: 'image_data', value: <base64>, mime}). Images can come from
+       an element already shown on the page (content_selector.js) or be
+       fetched with the user's cookies (background.js), which covers data:
+       and blob: URLs, images behind a login and srcset variants.
+   NOTES:
+       - Loaded by background.js (importScripts), injected with
+         content_selector.js and loaded by the side panel
+       - Uses OffscreenCanvas and createImageBitmap only, so it works in
+         pages, content scripts and the service worker
+       - Keep the limits in step with MAX_IMAGE_BYTES in the backend scripts
+========================================================================== */
+
+const IMAGE_MAX_DIMENSION = 1600; // Longest side sent to OCR, in pixels
+const IMAGE_MAX_BYTES = 3 * 1024 * 1024; // Encoded size limit of one upload
+const IMAGE_SOURCE_MAX_BYTES = 25 * 1024 * 1024; // Refuse to decode anything larger
+const IMAGE_THUMBNAIL_DIMENSION = 240; // Kept in history instead of the full image
+const IMAGE_JPEG_QUALITY = 0.85;
+
+/**
+ * Converts a Blob into a data URL without FileReader (not in every worker).
+ * @param {Blob} blob - The encoded image.
+ * @returns {Promise<string>}
+ */
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+/**
+ * Draws an image onto a canvas no larger than maxDimension and encodes it as
+ * JPEG, shrinking it further until it fits maxBytes.
+ * @param {CanvasImageSource} source - An <img>, ImageBitmap or canvas.
+ * @param {number} width - Natural width of the source.
+ * @param {number} height - Natural height of the source.
+ * @param {object} [options]
+ * @param {number} [options.maxDimension] - Longest side of the output.
+ * @param {number} [options.maxBytes] - Size limit of the output.
+ * @returns {Promise<string>} JPEG data URL.
+ * @throws {Error} SecurityError for cross-origin images drawn from the page.
+ */
+async function encodeImageSource(source, width, height, { maxDimension = IMAGE_MAX_DIMENSION, maxBytes = IMAGE_MAX_BYTES } = {}) {
+  if (!width || !height) throw new Error('The image has no size.');
+  let scale = Math.min(1, maxDimension / Math.max(width, height));
+
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const canvas = new OffscreenCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff'; // JPEG has no transparency
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: IMAGE_JPEG_QUALITY });
+    if (blob.size <= maxBytes) return blobToDataUrl(blob);
+    scale *= 0.7;
+  }
+  throw new Error('The image is too large to send for analysis.');
+}
+
+/**
+ * Decodes an image Blob and encodes it for upload.
+ * @param {Blob} blob - Image file contents.
+ * @param {object} [options] - See encodeImageSource.
+ * @returns {Promise<string>} JPEG data URL.
+ */
+async function encodeImageBlob(blob, options) {
+  if (blob.size > IMAGE_SOURCE_MAX_BYTES) throw new Error('The image is too large to send for analysis.');
+  const bitmap = await createImageBitmap(blob);
+  try {
+    return await encodeImageSource(bitmap, bitmap.width, bitmap.height, options);
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Downloads an image with the user's cookies and encodes it for upload.
+ * @param {string} url - http(s), data: or same-origin blob: URL.
+ * @returns {Promise<string>} JPEG data URL.
+ */
+async function fetchImageAsDataUrl(url) {
+  const response = await fetch(url, { credentials: 'include' });
+  if (!response.ok) throw new Error(`The image could not be downloaded (status ${response.status}).`);
+
+  const blob = await response.blob();
+  if (blob.type && !blob.type.startsWith('image/')) throw new Error('The link does not point to an image.');
+  return encodeImageBlob(blob);
+}
+
+/**
+ * Makes a small copy of an encoded image for history and exports.
+ * @param {string} dataUrl - The full image data URL.
+ * @returns {Promise<string>} Thumbnail data URL.
+ */
+async function createImageThumbnail(dataUrl) {
+  const blob = await (await fetch(dataUrl)).blob();
+  return encodeImageBlob(blob, { maxDimension: IMAGE_THUMBNAIL_DIMENSION });
+}
+
+/**
+ * Builds the "image_data" API request from an encoded image.
+ * @param {string} dataUrl - Data URL from one of the encode functions.
+ * @returns {{type: string, value: string, mime: string}}
+ */
+function buildImageDataPayload(dataUrl) {
+  const [header, base64] = dataUrl.split(',', 2);
+  const mime = header.slice('data:'.length).split(';')[0] || 'image/jpeg';
+  return { type: 'image_data', value: base64, mime };
+}
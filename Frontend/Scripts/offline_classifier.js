@@ -0,0 +1,175 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Offline Classifier
+   FILE: offline_classifier.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Gives a rough, on-device verdict for text when no backend can be
+       reached, so the extension is still useful offline.
+   DESCRIPTION:
+       Runs as a Web Worker started by the side panel, and inside the
+       background script, which cannot start workers. It loads the TF-IDF
+       vocabulary and the AdaBoost/random forest trees exported by
+       backend/export_offline_model.py, vectorizes the text the same way
+       sklearn's TfidfVectorizer does, and combines the forests' votes the
+       way AdaBoost (SAMME) does. Influential words come from the change in
+       each tree's class share at the splits along the decision path.
+   NOTES:
+       - Messages in: {id, text}; messages out: {id, result} or {id, error}
+       - background.js loads it with importScripts and calls classifyOfflineText()
+       - The result has the same {verdict, confidence, words} shape as the
+         backend's /api/process response
+       - Text only; images need OCR, which only the backend has
+========================================================================== */
+
+const OFFLINE_MODEL_URL = '/Models/offline_model.json';
+const OFFLINE_MODEL_FORMAT = 1;
+const OFFLINE_TOP_WORDS = 10; // Same number of words as the backend returns
+
+// Same tokens as sklearn's default (?u)\b\w\w+\b pattern
+const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}_]{2,}/gu;
+
+let modelPromise = null;
+
+/**
+ * Loads the exported model once and indexes its vocabulary.
+ * @returns {Promise<object>} The model with a termIndex map added.
+ */
+function loadModel() {
+  if (!modelPromise) {
+    modelPromise = fetch(OFFLINE_MODEL_URL)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error('The offline model has not been built. Run backend/export_offline_model.py.');
+        }
+        return response.json();
+      })
+      .then(model => {
+        if (model.format !== OFFLINE_MODEL_FORMAT) {
+          throw new Error(`Unsupported offline model format: ${model.format}`);
+        }
+        model.termIndex = new Map(model.vectorizer.vocabulary.map((term, index) => [term, index]));
+        return model;
+      });
+    modelPromise.catch(() => { modelPromise = null; }); // Allow a later retry
+  }
+  return modelPromise;
+}
+
+/**
+ * Turns text into a sparse TF-IDF vector like TfidfVectorizer.transform.
+ * @param {string} text - Text to vectorize.
+ * @param {object} model - The loaded model.
+ * @returns {Map<number, number>} Feature index to TF-IDF value.
+ */
+function vectorize(text, model) {
+  const { vectorizer, termIndex } = model;
+  const input = vectorizer.lowercase ? text.toLowerCase() : text;
+
+  const features = new Map();
+  for (const [token] of input.matchAll(TOKEN_PATTERN)) {
+    const index = termIndex.get(token);
+    if (index !== undefined) features.set(index, (features.get(index) || 0) + 1);
+  }
+
+  features.forEach((count, index) => {
+    let tf = vectorizer.binary ? 1 : count;
+    if (vectorizer.sublinearTf) tf = 1 + Math.log(tf);
+    features.set(index, vectorizer.idf ? tf * vectorizer.idf[index] : tf);
+  });
+
+  const values = [...features.values()];
+  const norm = vectorizer.norm === 'l2'
+    ? Math.sqrt(values.reduce((sum, v) => sum + v * v, 0))
+    : vectorizer.norm === 'l1' ? values.reduce((sum, v) => sum + Math.abs(v), 0) : 0;
+  if (norm > 0) features.forEach((value, index) => features.set(index, value / norm));
+
+  return features;
+}
+
+/**
+ * Walks one decision tree and credits every split to the feature it used.
+ * @param {object} tree - Exported tree with parallel node arrays.
+ * @param {Map<number, number>} features - The text's TF-IDF vector.
+ * @param {Map<number, number>} contributions - Feature index to credited change, updated in place.
+ * @param {number} scale - This tree's share of the final score.
+ * @returns {number} The "Real News" share at the reached leaf.
+ */
+function walkTree(tree, features, contributions, scale) {
+  let node = 0;
+  while (tree.left[node] !== -1) {
+    const feature = tree.feature[node];
+    const next = (features.get(feature) || 0) <= tree.threshold[node] ? tree.left[node] : tree.right[node];
+    contributions.set(feature, (contributions.get(feature) || 0) + scale * (tree.value[next] - tree.value[node]));
+    node = next;
+  }
+  return tree.value[node];
+}
+
+/**
+ * Classifies text with the exported model.
+ * @param {string} text - Text to classify.
+ * @param {object} model - The loaded model.
+ * @returns {object} {verdict, confidence, words, model} like /api/process.
+ */
+function classify(text, model) {
+  const features = vectorize(text, model);
+  const contributions = new Map();
+  const totalWeight = model.estimatorWeights.reduce((sum, w) => sum + w, 0);
+
+  // Each forest votes for one class; AdaBoost (SAMME) weighs the votes
+  let decision = 0;
+  model.estimators.forEach((estimator, i) => {
+    const share = model.estimatorWeights[i] / totalWeight;
+    const scale = share / estimator.trees.length;
+    const realShare = estimator.trees
+      .reduce((sum, tree) => sum + walkTree(tree, features, contributions, scale), 0) / estimator.trees.length;
+    decision += (realShare > 0.5 ? 2 : -2) * share; // Ties go to the first class, like numpy argmax
+  });
+
+  // Two-class SAMME probabilities are a softmax over (-decision/2, decision/2)
+  const real = 1 / (1 + Math.exp(-decision));
+  const fake = 1 - real;
+  const [fakeLabel, realLabel] = model.classNames;
+  const verdict = real > fake ? realLabel : fakeLabel;
+
+  // Words in the text that pushed towards the predicted class (positive) or away from it
+  const direction = verdict === realLabel ? 1 : -1;
+  const words = [...contributions.entries()]
+    .filter(([index, weight]) => features.has(index) && weight !== 0)
+    .map(([index, weight]) => ({ word: model.vectorizer.vocabulary[index], weight: direction * weight }))
+    .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+    .slice(0, OFFLINE_TOP_WORDS)
+    .map(item => ({ word: item.word, weight: item.weight.toFixed(4) }));
+
+  return {
+    verdict,
+    confidence: { [fakeLabel]: fake.toFixed(2), [realLabel]: real.toFixed(2) },
+    words,
+    model: model.name
+  };
+}
+
+/**
+ * Classifies text, loading the model on first use.
+ * @param {string} text - Text to classify.
+ * @returns {Promise<object>} See classify.
+ */
+async function classifyOfflineText(text) {
+  return classify(text, await loadModel());
+}
+
+// Answer classification requests from the side panel. The background script
+// loads this file too but calls classifyOfflineText directly.
+if (typeof ServiceWorkerGlobalScope === 'undefined') {
+  self.addEventListener('message', async (event) => {
+    const { id, text } = event.data;
+    try {
+      self.postMessage({ id, result: await classifyOfflineText(text) });
+    } catch (error) {
+      self.postMessage({ id, error: error.message });
+    }
+  });
+}
@@ -0,0 +1,120 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Page Provenance
+   FILE: page_provenance.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Records where captured content came from, so previews and results can
+       name the page, the site and when the story was published.
+   DESCRIPTION:
+       Reads the page URL and title, the canonical link, the publish date
+       and the site name from the page's link and meta tags, Open Graph and
+       schema.org JSON-LD. The result is stored as the "source" of every
+       captured item next to the tab ID.
+       The meta tag, JSON-LD and publish date readers are shared with
+       article_extractor.js, so both read page metadata the same way.
+   NOTES:
+       - Injected with content_selector.js, and on its own by background.js
+         with chrome.scripting.executeScript (the provenance object is the
+         script's last value, which executeScript returns)
+       - Injected before article_extractor.js, which uses its readers
+       - Loaded by the side panel for articles fetched from a typed-in link
+       - Only declares functions (no let/const) so repeated injections do
+         not clash
+       - Works on any Document, including one built by DOMParser
+========================================================================== */
+
+/**
+ * Collapses whitespace and trims text; missing text becomes ''.
+ * @param {string|null|undefined} text - Any text.
+ * @returns {string}
+ */
+function cleanPageText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Reads the first non-empty meta tag content from a list of selectors.
+ * @param {Document} doc - The document.
+ * @param {...string} selectors - Meta tag selectors, most trusted first.
+ * @returns {string}
+ */
+function readPageMeta(doc, ...selectors) {
+  for (const selector of selectors) {
+    const value = cleanPageText(doc.querySelector(selector)?.getAttribute('content'));
+    if (value) return value;
+  }
+  return '';
+}
+
+/**
+ * Reads a field from the document's schema.org JSON-LD blocks (NewsArticle,
+ * Article and the like). Objects give their name; lists of them, such as
+ * several authors, are joined.
+ * @param {Document} doc - The document.
+ * @param {string} field - e.g. 'datePublished', 'author' or 'publisher'.
+ * @returns {string}
+ */
+function readPageJsonLd(doc, field) {
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const data = JSON.parse(script.textContent);
+      for (const item of [].concat(data['@graph'] || data)) {
+        const value = item?.[field];
+        if (!value) continue;
+        if (typeof value === 'string') return cleanPageText(value);
+        if (Array.isArray(value)) return value.map(v => v.name || v).filter(v => typeof v === 'string').join(', ');
+        if (typeof value.name === 'string') return cleanPageText(value.name);
+      }
+    } catch (e) { // Broken JSON-LD is common; skip the block
+    }
+  }
+  return '';
+}
+
+/**
+ * Reads when a document's story was published, from meta tags, JSON-LD or
+ * the first <time datetime> element.
+ * @param {Document} doc - The document.
+ * @returns {string} The date as the page gives it, or ''.
+ */
+function readPagePublishDate(doc) {
+  return readPageMeta(doc, 'meta[property="article:published_time"]', 'meta[name="pubdate"]', 'meta[name="date"]',
+    'meta[itemprop="datePublished"]', 'meta[name="dc.date"]') ||
+    readPageJsonLd(doc, 'datePublished') ||
+    doc.querySelector('time[datetime]')?.getAttribute('datetime') || '';
+}
+
+/**
+ * Reads the provenance of a document.
+ * @param {Document} doc - A rendered page or a parsed HTML document.
+ * @param {string} url - Address the document was loaded from.
+ * @returns {{url: string, title: string, canonical: string, publishedAt: string, siteName: string}}
+ */
+function extractPageProvenance(doc, url) {
+
+  // Links are resolved against the page, since canonical tags may be relative
+  const absolute = (href) => {
+    try {
+      return href ? new URL(href, url).href : '';
+    } catch (e) {
+      return '';
+    }
+  };
+
+  return {
+    url,
+    title: readPageMeta(doc, 'meta[property="og:title"]', 'meta[name="twitter:title"]') || cleanPageText(doc.title),
+    canonical: absolute(doc.querySelector('link[rel="canonical"]')?.getAttribute('href')) ||
+      absolute(readPageMeta(doc, 'meta[property="og:url"]')),
+    publishedAt: readPagePublishDate(doc),
+    siteName: readPageMeta(doc, 'meta[property="og:site_name"]', 'meta[name="application-name"]') ||
+      readPageJsonLd(doc, 'publisher') ||
+      (() => { try { return new URL(url).hostname.replace(/^www\./, ''); } catch (e) { return ''; } })()
+  };
+}
+
+// Injected into a tab: read that page. Extension pages only load the function.
+location.protocol === 'chrome-extension:' ? undefined : extractPageProvenance(document, location.href);
@@ -0,0 +1,279 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Post Adapters
+   FILE: post_adapters.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Captures a whole social media post or news story as one structured
+       item, keeping the author, time, permalink, images and shared link
+       that give the text its context.
+   DESCRIPTION:
+       Each adapter knows one site: which hostnames it handles, how to find
+       the post card around a clicked element and how to read the card's
+       fields. Adapters are kept in a registry and the first one whose
+       hostnames match the page is used; a generic adapter for <article>
+       style markup covers every other site. Site markup changes often, so
+       every field is optional and missing ones are left empty. Each
+       adapter also names the selector of its post cards, which feed
+       scanning (feed_scanner.js) uses to find every post on the page.
+   NOTES:
+       - Injected before content_selector.js, which calls extractPostAt(),
+         and feed_scanner.js, which calls findPostCards() and readPostCard()
+       - Add a site by calling registerPostAdapter() with the same shape
+       - Does not modify the page
+========================================================================== */
+
+const POST_ADAPTERS = [];
+const POST_MAX_TEXT_LENGTH = 5000;
+const POST_MAX_IMAGES = 4;
+const POST_MIN_IMAGE_SIZE = 100; // Skip avatars, emoji and icons
+
+/**
+ * Adds a site adapter to the registry.
+ * @param {object} adapter - {id, name, hosts, scanSelector, findCard(element), extract(card)}.
+ *     hosts lists hostnames; subdomains match too. scanSelector matches the
+ *     site's post cards.
+ */
+const registerPostAdapter = (adapter) => {
+  POST_ADAPTERS.push(adapter);
+};
+
+// --- Shared field readers ---
+
+const cleanPostText = (text) => (text || '').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+
+// Text of the first element matching any selector
+const readText = (root, selector) => cleanPostText(root.querySelector(selector)?.innerText);
+
+// Absolute href of the first link matching a selector
+const readHref = (root, selector) => {
+  const link = root.querySelector(selector);
+  return link?.href ? new URL(link.href, document.baseURI).href : '';
+};
+
+// Content of a page-level meta tag
+const readMetaContent = (selector) => document.querySelector(selector)?.getAttribute('content')?.trim() || '';
+
+// Displayed images of a card that are big enough to be content
+const readImages = (root, selector = 'img') => [...root.querySelectorAll(selector)]
+  .filter(img => img.naturalWidth >= POST_MIN_IMAGE_SIZE && img.naturalHeight >= POST_MIN_IMAGE_SIZE)
+  .map(img => img.currentSrc || img.src)
+  .filter((src, index, all) => src && all.indexOf(src) === index)
+  .slice(0, POST_MAX_IMAGES);
+
+// Readable paragraphs of a news story body
+const readParagraphs = (root) => [...root.querySelectorAll('p')]
+  .map(p => cleanPostText(p.innerText))
+  .filter(text => text.length >= 40)
+  .join('\n\n');
+
+// --- Site adapters ---
+
+// Facebook: feed posts carry aria-posinset; single posts and comments are role="article"
+registerPostAdapter({
+  id: 'facebook',
+  name: 'Facebook',
+  hosts: ['facebook.com'],
+  scanSelector: '[aria-posinset]',
+  findCard: (element) => element.closest('[aria-posinset]') || element.closest('[role="article"]'),
+  extract: (card) => {
+    const permalinkEl = card.querySelector('a[href*="/posts/"], a[href*="/permalink/"], a[href*="story_fbid"], a[href*="/photos/"], a[href*="/videos/"], a[href*="/reel/"]');
+
+    // Outbound links go through l.facebook.com; the real URL is the u parameter
+    const outbound = card.querySelector('a[href*="l.facebook.com/l.php"]');
+    let link = null;
+    if (outbound) {
+      const target = new URL(outbound.href).searchParams.get('u') || outbound.href;
+      const lines = cleanPostText(outbound.innerText).split('\n').filter(Boolean);
+      link = { url: target, title: lines.find(line => line.length > 20) || lines[0] || '', description: '' };
+    }
+
+    return {
+      author: readText(card, 'h2 strong, h3 strong, h2 a, h3 a, strong a'),
+      timestamp: permalinkEl?.getAttribute('aria-label') || cleanPostText(permalinkEl?.innerText),
+      permalink: permalinkEl?.href || '',
+      text: readText(card, '[data-ad-preview="message"], [data-ad-comet-preview="message"]') ||
+        [...card.querySelectorAll('div[dir="auto"]')].map(el => cleanPostText(el.innerText)).filter(Boolean).join('\n'),
+      images: readImages(card, 'img[src*="scontent"], img[src*="fbcdn"]'),
+      link
+    };
+  }
+});
+
+// X / Twitter
+registerPostAdapter({
+  id: 'x',
+  name: 'X (Twitter)',
+  hosts: ['x.com', 'twitter.com'],
+  scanSelector: 'article[data-testid="tweet"]',
+  findCard: (element) => element.closest('article[data-testid="tweet"]') || element.closest('article'),
+  extract: (card) => {
+    const time = card.querySelector('time');
+    const cardLink = card.querySelector('[data-testid="card.wrapper"] a');
+    return {
+      author: readText(card, '[data-testid="User-Name"]').replace(/\n+/g, ' '),
+      timestamp: time?.getAttribute('datetime') || '',
+      permalink: time?.closest('a')?.href || '',
+      text: readText(card, '[data-testid="tweetText"]'),
+      images: readImages(card, '[data-testid="tweetPhoto"] img'),
+      link: cardLink ? {
+        url: cardLink.href,
+        title: cleanPostText(cardLink.innerText).split('\n').filter(Boolean).pop() || '',
+        description: ''
+      } : null
+    };
+  }
+});
+
+// YouTube: the video's title, channel and description
+registerPostAdapter({
+  id: 'youtube',
+  name: 'YouTube',
+  hosts: ['youtube.com'],
+  scanSelector: 'ytd-watch-metadata',
+  findCard: (element) => element.closest('ytd-watch-metadata, ytd-video-primary-info-renderer, ytd-video-secondary-info-renderer, #above-the-fold'),
+  extract: (card) => {
+    const videoId = new URL(location.href).searchParams.get('v');
+    return {
+      headline: readText(card, 'h1') || readMetaContent('meta[name="title"]'),
+      author: readText(card, 'ytd-channel-name a, #channel-name a, #owner-name a'),
+      timestamp: readMetaContent('meta[itemprop="uploadDate"]') || readMetaContent('meta[itemprop="datePublished"]') || readText(card, '#info-strings, #info span'),
+      permalink: videoId ? `https://www.youtube.com/watch?v=${videoId}` : location.href,
+      text: readText(card, '#description-inline-expander, #description') || readMetaContent('meta[name="description"]'),
+      images: videoId ? [`https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`] : [],
+      link: null
+    };
+  }
+});
+
+/**
+ * Builds an adapter for a news site: a clicked story page gives the whole
+ * story, a clicked teaser card gives its headline, summary and link.
+ * @param {object} site - {id, name, hosts, cardSelector, bodySelector}
+ * @returns {object} The adapter.
+ */
+const createNewsAdapter = ({ id, name, hosts, cardSelector, bodySelector }) => ({
+  id,
+  name,
+  hosts,
+  scanSelector: cardSelector,
+  findCard: (element) => element.closest(cardSelector),
+  extract: (card) => {
+    const body = card.querySelector(bodySelector) || card;
+    const headlineLink = card.querySelector('h1 a, h2 a, h3 a');
+    const isStoryPage = !!card.querySelector('h1') || card.matches(bodySelector);
+    return {
+      headline: readText(card, 'h1, h2, h3') || (isStoryPage ? readMetaContent('meta[property="og:title"]') : ''),
+      author: readText(card, '[rel="author"], [itemprop="author"], .author, .byline') ||
+        (isStoryPage ? readMetaContent('meta[name="author"]') : ''),
+      timestamp: card.querySelector('time[datetime]')?.getAttribute('datetime') ||
+        (isStoryPage ? readMetaContent('meta[property="article:published_time"]') : ''),
+      permalink: headlineLink?.href || (isStoryPage ? readMetaContent('link[rel="canonical"]') || location.href : ''),
+      text: readParagraphs(body) || cleanPostText(body.innerText),
+      images: readImages(card),
+      link: null
+    };
+  }
+});
+
+registerPostAdapter(createNewsAdapter({
+  id: 'rappler',
+  name: 'Rappler',
+  hosts: ['rappler.com'],
+  cardSelector: 'article, .post-card',
+  bodySelector: '.entry-content, .post-single__content'
+}));
+
+registerPostAdapter(createNewsAdapter({
+  id: 'inquirer',
+  name: 'Inquirer',
+  hosts: ['inquirer.net'],
+  cardSelector: '#article_content, article, #ch-ls-box, .flx-leftbox',
+  bodySelector: '#article_content, #FOR_target_content, .article_content'
+}));
+
+registerPostAdapter(createNewsAdapter({
+  id: 'gma',
+  name: 'GMA News',
+  hosts: ['gmanetwork.com'],
+  cardSelector: 'article, .story_main, .story',
+  bodySelector: '.article-body, .story_main, .main-story'
+}));
+
+// Any other site: blog posts, schema.org posts and articles
+const GENERIC_POST_ADAPTER = createNewsAdapter({
+  id: 'generic',
+  name: '',
+  hosts: [],
+  cardSelector: 'article, [role="article"], [itemtype*="SocialMediaPosting"], [itemtype*="Article"]',
+  bodySelector: '[itemprop="articleBody"], .entry-content, .post-content, .article-body'
+});
+
+/**
+ * Returns the adapter for a hostname, or the generic one.
+ * @param {string} hostname - Page hostname.
+ * @returns {object}
+ */
+const findPostAdapter = (hostname) => POST_ADAPTERS.find(adapter =>
+  adapter.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))
+) || GENERIC_POST_ADAPTER;
+
+/**
+ * Reads a post card into a structured post.
+ * @param {Element} card - A post card found by the adapter.
+ * @param {object} [adapter] - The page's adapter (findPostAdapter).
+ * @returns {object|null} Null when the card has nothing to analyze.
+ */
+const readPostCard = (card, adapter = findPostAdapter(location.hostname)) => {
+  let fields;
+  try {
+    fields = adapter.extract(card);
+  } catch (error) { // Unexpected markup; fall back to the generic reader
+    console.error('Tun-Eye post adapter failed:', error);
+    fields = GENERIC_POST_ADAPTER.extract(card);
+  }
+
+  const post = {
+    site: adapter.name || readMetaContent('meta[property="og:site_name"]') || location.hostname,
+    adapter: adapter.id,
+    headline: fields.headline || '',
+    author: fields.author || '',
+    timestamp: fields.timestamp || '',
+    permalink: fields.permalink || '',
+    text: (fields.text || '').slice(0, POST_MAX_TEXT_LENGTH),
+    images: fields.images || [],
+    link: fields.link || null
+  };
+  if (!post.text && !post.headline && !post.images.length) return null;
+  return post;
+};
+
+/**
+ * Captures the post card around a clicked element.
+ * @param {Element} element - The click target.
+ * @returns {{card: Element, post: object}|null} Null when the element is not
+ *     inside a post card or the card has nothing to analyze.
+ */
+const extractPostAt = (element) => {
+  const adapter = findPostAdapter(location.hostname);
+  const card = adapter.findCard(element) || (adapter !== GENERIC_POST_ADAPTER && GENERIC_POST_ADAPTER.findCard(element));
+  if (!card) return null;
+
+  const post = readPostCard(card, adapter);
+  return post ? { card, post } : null;
+};
+
+/**
+ * Lists the post cards inside an element, leaving out cards nested in
+ * another card (a quoted post is part of the post that quotes it).
+ * @param {ParentNode} root - Where to look, e.g. document or added nodes.
+ * @returns {Element[]}
+ */
+const findPostCards = (root) => {
+  const { scanSelector } = findPostAdapter(location.hostname);
+  const cards = root instanceof Element && root.matches(scanSelector) ? [root] : [];
+  cards.push(...root.querySelectorAll(scanSelector));
+  return cards.filter(card => !card.parentElement?.closest(scanSelector));
+};
@@ -0,0 +1,162 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Result Cache
+   FILE: result_cache.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Serves repeat analyses of the same content from a local cache so the
+       slow LIME/OCR pipeline on the backend does not run again.
+   DESCRIPTION:
+       Each cached result is keyed by a SHA-256 hash of the request payload
+       ({type, value}), the backend profile and the model identity. Entries
+       expire after a configurable time to live, and the least recently used
+       entries are evicted when the cache grows past its size cap.
+   NOTES:
+       - Shared by sidepanel.js and the options page (loaded as a plain script)
+       - Does not touch the DOM so it can also be used by background.js
+       - Stored in chrome.storage.local under a single key; changes go
+         through updateResultCache one after another, so results cached at
+         the same time (compare jobs, feed scanning) do not overwrite each
+         other
+========================================================================== */
+
+const RESULT_CACHE_KEY = 'resultCache';
+const CACHE_SETTINGS_KEY = 'cacheSettings';
+
+const DEFAULT_CACHE_SETTINGS = {
+  enabled: true,
+  ttlHours: 24,
+  maxEntries: 100
+};
+
+let resultCacheUpdate = Promise.resolve(); // Last queued change (updateResultCache)
+
+/**
+ * Loads the cache settings, filling in defaults for missing values.
+ * @returns {Promise<{enabled: boolean, ttlHours: number, maxEntries: number}>}
+ */
+async function loadCacheSettings() {
+  const stored = await chrome.storage.local.get(CACHE_SETTINGS_KEY);
+  return { ...DEFAULT_CACHE_SETTINGS, ...(stored[CACHE_SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Saves the cache settings and trims the cache to the new limits.
+ * @param {object} settings - {enabled, ttlHours, maxEntries}
+ */
+async function saveCacheSettings(settings) {
+  await chrome.storage.local.set({ [CACHE_SETTINGS_KEY]: settings });
+  await updateResultCache(cache => pruneResultCache(cache, settings));
+}
+
+/**
+ * Hashes a request so identical content sent to the same backend and model
+ * maps to the same cache entry.
+ * @param {{type: string, value: string}} payload - The API request body.
+ * @param {object} profile - The backend profile.
+ * @param {string} modelId - Identity of the model that will answer.
+ * @returns {Promise<string>} Hex SHA-256 digest.
+ */
+async function getCacheKey(payload, profile, modelId = 'default') {
+  const material = JSON.stringify([payload.type, payload.value, profile.baseUrl, modelId]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(material));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Loads the raw cache map.
+ * @returns {Promise<object>} Map of key to {result, cachedAt, lastUsed}.
+ */
+async function loadResultCache() {
+  const stored = await chrome.storage.local.get(RESULT_CACHE_KEY);
+  return stored[RESULT_CACHE_KEY] || {};
+}
+
+/**
+ * Saves the raw cache map.
+ * @param {object} cache - Map of key to {result, cachedAt, lastUsed}.
+ */
+async function storeResultCache(cache) {
+  await chrome.storage.local.set({ [RESULT_CACHE_KEY]: cache });
+}
+
+/**
+ * Reads, changes and saves the cache map after the changes queued before it
+ * have been saved, so concurrent changes do not overwrite each other.
+ * @param {function(object): object} change - Gets the cache map and returns the one to save.
+ * @returns {Promise<object>} The saved cache map.
+ */
+function updateResultCache(change) {
+  const update = resultCacheUpdate.then(async () => {
+    const cache = change(await loadResultCache());
+    await storeResultCache(cache);
+    return cache;
+  });
+  resultCacheUpdate = update.catch(() => {}); // A failed change does not block the next one
+  return update;
+}
+
+/**
+ * Drops expired entries, then the least recently used ones beyond the cap.
+ * @param {object} cache - Map of key to {result, cachedAt, lastUsed}.
+ * @param {object} settings - Cache settings.
+ * @returns {object} The pruned cache.
+ */
+function pruneResultCache(cache, settings) {
+  const now = Date.now();
+  const ttlMs = settings.ttlHours * 60 * 60 * 1000;
+  const fresh = Object.entries(cache)
+    .filter(([, entry]) => now - entry.cachedAt < ttlMs)
+    .sort(([, a], [, b]) => b.lastUsed - a.lastUsed)
+    .slice(0, Math.max(settings.maxEntries, 0));
+  return Object.fromEntries(fresh);
+}
+
+/**
+ * Returns a cached result and marks it as recently used.
+ * @param {string} key - Cache key from getCacheKey.
+ * @returns {Promise<{result: object, cachedAt: number}|null>} Null on a miss or when disabled.
+ */
+async function getCachedResult(key) {
+  const settings = await loadCacheSettings();
+  if (!settings.enabled) return null;
+
+  let entry = null;
+  await updateResultCache(stored => {
+    const cache = pruneResultCache(stored, settings);
+    entry = cache[key] || null;
+    if (entry) entry.lastUsed = Date.now();
+    return cache;
+  });
+  return entry && { result: entry.result, cachedAt: entry.cachedAt };
+}
+
+/**
+ * Stores a fresh result in the cache.
+ * @param {string} key - Cache key from getCacheKey.
+ * @param {object} result - The analysis result to cache.
+ */
+async function setCachedResult(key, result) {
+  const settings = await loadCacheSettings();
+  if (!settings.enabled) return;
+
+  const now = Date.now();
+  await updateResultCache(cache => pruneResultCache({ ...cache, [key]: { result, cachedAt: now, lastUsed: now } }, settings));
+}
+
+/**
+ * Returns how many results are currently cached.
+ * @returns {Promise<number>}
+ */
+async function countCachedResults() {
+  return Object.keys(await loadResultCache()).length;
+}
+
+/**
+ * Removes every cached result.
+ */
+async function clearResultCache() {
+  await updateResultCache(() => ({}));
+}
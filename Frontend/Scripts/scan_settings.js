@@ -0,0 +1,98 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Feed Scan Settings
+   FILE: scan_settings.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Keeps the settings of feed scanning mode: the sites it runs on, whether
+       it is paused, and how fast posts are sent to the backend.
+   DESCRIPTION:
+       Feed scanning is opt-in per site. Once a site is turned on from the
+       side panel, every page of it is scanned when it loads until the site
+       is turned off again, from the page or from Settings. Pausing stops new
+       analyses on every site at once without forgetting the sites. The
+       concurrency and per-minute limits keep a long timeline from flooding
+       the backend.
+   NOTES:
+       - Shared by background.js, feed_scanner.js, sidepanel.js and the
+         options page (loaded as a plain script)
+       - Does not touch the DOM
+       - Sites are stored as hostnames without "www."
+========================================================================== */
+
+const SCAN_SETTINGS_KEY = 'feedScanSettings';
+
+const DEFAULT_SCAN_SETTINGS = {
+  sites: [], // Hostnames scanned automatically
+  paused: false, // Stops new analyses on every site
+  concurrency: 2, // Posts analyzed at the same time
+  perMinute: 12 // Posts sent to the backend per minute
+};
+
+const SCAN_CONCURRENCY_MAX = 4;
+const SCAN_PER_MINUTE_MAX = 60;
+const SCAN_MIN_TEXT_LENGTH = 40; // Shorter posts say too little to classify
+
+/**
+ * Loads the scan settings, filling in defaults for missing values.
+ * @returns {Promise<{sites: string[], paused: boolean, concurrency: number, perMinute: number}>}
+ */
+async function loadScanSettings() {
+  const stored = await chrome.storage.local.get(SCAN_SETTINGS_KEY);
+  return { ...DEFAULT_SCAN_SETTINGS, ...(stored[SCAN_SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Saves the scan settings.
+ * @param {object} settings - {sites, paused, concurrency, perMinute}
+ */
+async function saveScanSettings(settings) {
+  await chrome.storage.local.set({ [SCAN_SETTINGS_KEY]: settings });
+}
+
+/**
+ * Returns the site a page belongs to, as stored in the site list.
+ * @param {string} url - Page address.
+ * @returns {string} Hostname without "www.", or '' for pages that cannot be scanned.
+ */
+function getScanSite(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return /^https?:$/.test(protocol) ? hostname.replace(/^www\./, '') : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Tells whether scanning is turned on for a page's site.
+ * @param {object} settings - From loadScanSettings.
+ * @param {string} url - Page address.
+ * @returns {boolean}
+ */
+function isScanSiteEnabled(settings, url) {
+  const site = getScanSite(url);
+  return !!site && settings.sites.includes(site);
+}
+
+/**
+ * Turns scanning on or off for a site.
+ * @param {string} site - Hostname from getScanSite.
+ * @param {boolean} enabled - Whether the site is scanned.
+ */
+async function setScanSite(site, enabled) {
+  const settings = await loadScanSettings();
+  const sites = settings.sites.filter(item => item !== site);
+  if (enabled) sites.push(site);
+  await saveScanSettings({ ...settings, sites });
+}
+
+/**
+ * Pauses or resumes scanning on every site.
+ * @param {boolean} paused - Whether new analyses are held back.
+ */
+async function setScanPaused(paused) {
+  await saveScanSettings({ ...(await loadScanSettings()), paused });
+}
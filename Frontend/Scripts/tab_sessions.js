@@ -0,0 +1,102 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Tab Sessions
+   FILE: tab_sessions.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Keeps an analysis session per browser tab, so captures from two tabs
+       do not overwrite each other and the side panel can be closed and
+       reopened without losing its place.
+   DESCRIPTION:
+       A session holds the step the side panel was on, the captured content
+       and the latest result of one tab. Content captured on a tab, and
+       results opened from its feed badges, are handed to that tab's panel
+       under keys of their own, which the panel takes once it has shown
+       them. The tab's latest analysis job (analysis_jobs.js) is kept next
+       to them. Everything is kept in chrome.storage.session, which lasts as
+       long as the browser is open; a tab's keys are removed when the tab
+       is closed. Items collected in multi-select mode keep their image
+       bytes, so they are handed over in chrome.storage.local under a key
+       of the tab's own.
+   NOTES:
+       - Shared by background.js and sidepanel.js (loaded as a plain script)
+       - Does not touch the DOM
+       - Keys are "<name>:<tabId>", e.g. "contentToAnalyze:42"
+       - Session storage holds 10 MB for all tabs, so captured image bytes
+         are not stored here: content carries an imageRef and a thumbnail,
+         and background.js keeps the bytes in chrome.storage.local
+         (keepCapturedImage)
+========================================================================== */
+
+const TAB_SESSION_KEY = 'tabSession'; // {pageId, content, result, updatedAt}
+const TAB_CONTENT_KEY = 'contentToAnalyze'; // Captured content waiting for the panel
+const TAB_RESULT_KEY = 'resultToOpen'; // Feed badge result waiting for the panel
+const TAB_JOB_KEY = 'analysisJob'; // Latest analysis job (analysis_jobs.js)
+const TAB_QUEUE_KEY = 'queuedContent'; // Multi-select item waiting for the panel's queue (chrome.storage.local)
+
+/**
+ * Returns the storage key of a tab's item.
+ * @param {string} name - TAB_SESSION_KEY, TAB_CONTENT_KEY, TAB_RESULT_KEY, TAB_JOB_KEY or TAB_QUEUE_KEY.
+ * @param {number} tabId - The tab.
+ * @returns {string}
+ */
+function getTabKey(name, tabId) {
+  return `${name}:${tabId}`;
+}
+
+/**
+ * Loads the session of a tab.
+ * @param {number} tabId - The tab.
+ * @returns {Promise<{pageId: string, content: object|null, result: object|null, updatedAt: number}|null>}
+ *     Null when the panel was never used on the tab.
+ */
+async function loadTabSession(tabId) {
+  const key = getTabKey(TAB_SESSION_KEY, tabId);
+  return (await chrome.storage.session.get(key))[key] || null;
+}
+
+/**
+ * Saves the session of a tab.
+ * @param {number} tabId - The tab.
+ * @param {object} session - {pageId, content, result}
+ */
+async function saveTabSession(tabId, session) {
+  await chrome.storage.session.set({ [getTabKey(TAB_SESSION_KEY, tabId)]: { ...session, updatedAt: Date.now() } });
+}
+
+/**
+ * Hands an item to the side panel of a tab.
+ * @param {number} tabId - The tab the item belongs to.
+ * @param {string} name - TAB_CONTENT_KEY or TAB_RESULT_KEY.
+ * @param {object} value - The content (without image bytes) or result.
+ * @throws {Error} When session storage is full.
+ */
+async function storeForTab(tabId, name, value) {
+  await chrome.storage.session.set({ [getTabKey(name, tabId)]: value });
+}
+
+/**
+ * Takes an item handed to a tab's panel, removing it so it is shown once.
+ * @param {number} tabId - The tab.
+ * @param {string} name - TAB_CONTENT_KEY or TAB_RESULT_KEY.
+ * @returns {Promise<object|null>}
+ */
+async function takeTabItem(tabId, name) {
+  const key = getTabKey(name, tabId);
+  const value = (await chrome.storage.session.get(key))[key] || null;
+  if (value) await chrome.storage.session.remove(key);
+  return value;
+}
+
+/**
+ * Forgets everything kept for a tab (the tab was closed).
+ * @param {number} tabId - The tab.
+ */
+async function clearTabSession(tabId) {
+  await Promise.all([
+    chrome.storage.session.remove([TAB_SESSION_KEY, TAB_CONTENT_KEY, TAB_RESULT_KEY, TAB_JOB_KEY].map(name => getTabKey(name, tabId))),
+    chrome.storage.local.remove(getTabKey(TAB_QUEUE_KEY, tabId))
+  ]);
+}
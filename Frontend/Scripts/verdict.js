@@ -0,0 +1,110 @@
+/* ==========================================================================
+   PROGRAM: Tun-Eye Verdict Bands
+   FILE: verdict.js
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Fake News Detector (Browser Extension)
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Turns the model's real/fake confidence into a three-way verdict:
+       Likely Real, Likely Fake or Uncertain.
+   DESCRIPTION:
+       A side is only named when its confidence reaches a threshold the user
+       can change in Settings; closer splits are Uncertain. Confident
+       verdicts are further graded as strong or moderate so the result
+       summary can say how sure the model is. Results keep the verdict and
+       the thresholds they were judged with, so history reads the same after
+       the thresholds change.
+   NOTES:
+       - Shared by sidepanel.js, report_export.js and the options page
+         (loaded as a plain script)
+       - Does not touch the DOM so it can also be used by background.js
+       - Confidence values are whole percentages {fake, neutral, real};
+         neutral is the overlap of fake and real (getConfidenceSlices)
+========================================================================== */
+
+const VERDICT_SETTINGS_KEY = 'verdictSettings';
+
+const DEFAULT_VERDICT_SETTINGS = {
+  realThreshold: 65, // Real confidence needed for "Likely Real"
+  fakeThreshold: 65 // Fake confidence needed for "Likely Fake"
+};
+
+const VERDICT_THRESHOLD_MIN = 50;
+const VERDICT_THRESHOLD_MAX = 99;
+const VERDICT_STRONG_CONFIDENCE = 85; // At or above this a verdict is graded strong
+
+/**
+ * Loads the verdict thresholds, filling in defaults for missing values.
+ * @returns {Promise<{realThreshold: number, fakeThreshold: number}>}
+ */
+async function loadVerdictSettings() {
+  const stored = await chrome.storage.local.get(VERDICT_SETTINGS_KEY);
+  return { ...DEFAULT_VERDICT_SETTINGS, ...(stored[VERDICT_SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Saves the verdict thresholds.
+ * @param {object} settings - {realThreshold, fakeThreshold}
+ */
+async function saveVerdictSettings(settings) {
+  await chrome.storage.local.set({ [VERDICT_SETTINGS_KEY]: settings });
+}
+
+/**
+ * Splits real/fake confidence into chart slices: each side's lead over the
+ * other, and the part where they overlap as the neutral slice. A 51/49
+ * split is mostly neutral, a 99/1 split hardly at all. The slices add up
+ * to the same total as the input.
+ * @param {{fake: number, real: number}} confidence - Percentages.
+ * @returns {{fake: number, neutral: number, real: number}}
+ */
+function getConfidenceSlices(confidence) {
+  const overlap = Math.min(confidence.fake, confidence.real);
+  return { fake: confidence.fake - overlap, neutral: overlap * 2, real: confidence.real - overlap };
+}
+
+/**
+ * Decides the verdict for a confidence breakdown.
+ * @param {{fake: number, real: number}} confidence - Percentages.
+ * @param {object} [settings=DEFAULT_VERDICT_SETTINGS] - {realThreshold, fakeThreshold}
+ * @returns {'real'|'fake'|'uncertain'}
+ */
+function classifyVerdict(confidence, settings = DEFAULT_VERDICT_SETTINGS) {
+  if (confidence.real >= settings.realThreshold && confidence.real > confidence.fake) return 'real';
+  if (confidence.fake >= settings.fakeThreshold && confidence.fake > confidence.real) return 'fake';
+  return 'uncertain';
+}
+
+/**
+ * Decides the verdict of a new result and records the thresholds it was
+ * judged with, so a saved result reads the same after they are changed.
+ * @param {{fake: number, real: number}} confidence - Percentages.
+ * @param {object} [settings=DEFAULT_VERDICT_SETTINGS] - {realThreshold, fakeThreshold}
+ * @returns {{verdict: 'real'|'fake'|'uncertain', thresholds: {realThreshold: number, fakeThreshold: number}}}
+ */
+function judgeVerdict(confidence, settings = DEFAULT_VERDICT_SETTINGS) {
+  const { realThreshold, fakeThreshold } = settings;
+  return { verdict: classifyVerdict(confidence, settings), thresholds: { realThreshold, fakeThreshold } };
+}
+
+/**
+ * Returns the confidence of the leading side, which is what lists and
+ * announcements show next to the verdict.
+ * @param {{fake: number, real: number}} confidence - Percentages.
+ * @returns {number}
+ */
+function getLeadingConfidence(confidence) {
+  return Math.max(confidence.fake, confidence.real);
+}
+
+/**
+ * Grades how sure a verdict is.
+ * @param {'real'|'fake'|'uncertain'} verdict - From classifyVerdict.
+ * @param {{fake: number, real: number}} confidence - Percentages.
+ * @returns {'strong'|'moderate'|'uncertain'}
+ */
+function gradeVerdict(verdict, confidence) {
+  if (verdict === 'uncertain') return 'uncertain';
+  return confidence[verdict] >= VERDICT_STRONG_CONFIDENCE ? 'strong' : 'moderate';
+}
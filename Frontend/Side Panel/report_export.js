@@ -0,0 +1,296 @@
+/* ==========================================================================
+   PROGRAM: Report Export Module (report_export.js)
+   AUTHOR: G10 Tun-Eye Group
+   SYSTEM: Tun-Eye Extension – Frontend UI
+   CREATED: 10-18-2026
+   LAST REVISED: 10-18-2026
+   PURPOSE:
+       Turns the result shown on the side panel into a self-contained report
+       that can be archived or cited.
+   DESCRIPTION:
+       This module is part of the Tun-Eye extension frontend. It builds a
+       report from an analysis result and writes it as:
+         - JSON for archiving
+         - Markdown for notes
+         - Standalone HTML with the charts embedded as images
+         - A print layout that the browser can save as PDF
+   DATA & LOGIC:
+       Chart images come from Chart.js (toBase64Image). Images that were
+       analyzed are embedded as data URLs when they can be fetched.
+       Report text is localized with t() and dates with getUiLocale()
+       (i18n.js); JSON reports also keep the verdict key ('real', 'fake',
+       'uncertain') for tools that read them.
+========================================================================== */
+
+
+// =================================================================================
+// REPORT BUILDING
+// =================================================================================
+
+/**
+ * Escapes text for safe use inside HTML.
+ * @param {string} text - Raw text.
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Downloads an image and converts it to a data URL so the report does not
+ * depend on the original page. Returns null if the image cannot be fetched.
+ * @param {string} url - Image URL.
+ * @returns {Promise<string|null>}
+ */
+async function imageUrlToDataUrl(url) {
+    if (url.startsWith('data:')) return url;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        const blob = await response.blob();
+        return await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Builds a report object from an analysis result.
+ * @param {object} result - {input, source, timestamp, verdict, confidence, keywords, backend}; verdict is
+ *     the one shown in the side panel (getResultVerdict).
+ * @param {object} chartImages - {confidence, keywords} chart PNG data URLs (optional).
+ * @returns {Promise<object>}
+ */
+async function buildReport(result, chartImages = {}) {
+    const report = {
+        generatedBy: 'Tun-Eye Fake News Detector',
+        analyzedAt: new Date(result.timestamp).toISOString(),
+        backend: getResultBackendName(result) || null,
+        source: result.source || null,
+        input: { ...result.input },
+        verdict: result.verdict,
+        verdictLabel: { real: t('verdictReal'), fake: t('verdictFake'), uncertain: t('verdictUncertain') }[result.verdict],
+        confidence: { ...result.confidence },
+        words: result.keywords.map(k => ({
+            word: k.word,
+            rawWeight: k.weight,
+            normalizedWeight: Math.tanh(k.weight) // Same tanh scaling as the chart
+        })),
+        charts: chartImages
+    };
+
+    // Embed analyzed images so the report stays self-contained
+    if (report.input.type === 'image') {
+        report.input.embedded = await imageUrlToDataUrl(report.input.value);
+    }
+    return report;
+}
+
+// =================================================================================
+// REPORT FORMATS
+// =================================================================================
+
+/**
+ * JSON report for archiving. Embedded images are left out to keep it small.
+ * @param {object} report - Report from buildReport.
+ * @returns {string}
+ */
+function reportToJson(report) {
+    const { charts, ...data } = report;
+    const input = { type: data.input.type, value: data.input.value };
+    return JSON.stringify({ ...data, input }, null, 2);
+}
+
+/**
+ * Markdown report for notes.
+ * @param {object} report - Report from buildReport.
+ * @returns {string}
+ */
+function reportToMarkdown(report) {
+    const confidence = t('reportConfidenceValue', [report.confidence.fake, report.confidence.real, report.confidence.neutral]);
+    const lines = [
+        `# ${t('reportTitle')}`,
+        '',
+        `- **${t('reportVerdict')}:** ${report.verdictLabel}`,
+        `- **${t('reportConfidence')}:** ${confidence}`,
+        `- **${t('reportAnalyzed')}:** ${new Date(report.analyzedAt).toLocaleString(getUiLocale())}`
+    ];
+    if (report.source?.url) lines.push(`- **${t('reportSource')}:** [${report.source.title || report.source.url}](${report.source.url})`);
+    if (report.source?.siteName) lines.push(`- **${t('reportSite')}:** ${report.source.siteName}`);
+    if (report.source?.publishedAt) lines.push(`- **${t('reportPublished')}:** ${report.source.publishedAt}`);
+    if (report.source?.canonical && report.source.canonical !== report.source.url) lines.push(`- **${t('reportCanonical')}:** ${report.source.canonical}`);
+    if (report.backend) lines.push(`- **${t('reportBackend')}:** ${report.backend}`);
+
+    lines.push('', `## ${t('reportAnalyzedContent')}`, '');
+    if (report.input.type === 'image') {
+        lines.push(`![${t('reportAnalyzedImage')}](${report.input.value})`);
+    } else {
+        lines.push(...report.input.value.split('\n').map(line => `> ${line}`));
+    }
+
+    lines.push('', `## ${t('reportWordAnalysis')}`, '',
+        `| ${t('reportWordColumn')} | ${t('reportRawWeightColumn')} | ${t('reportNormalizedColumn')} |`, '| --- | ---: | ---: |');
+    report.words.forEach(w => {
+        lines.push(`| ${w.word.replace(/\|/g, '\\|')} | ${w.rawWeight.toFixed(4)} | ${w.normalizedWeight.toFixed(4)} |`);
+    });
+
+    lines.push('', `_${t('reportVerifyNote')}_`, '');
+    return lines.join('\n');
+}
+
+/**
+ * Standalone HTML report with the charts embedded as images.
+ * The same markup is used for the print-to-PDF layout.
+ * @param {object} report - Report from buildReport.
+ * @returns {string}
+ */
+function reportToHtml(report) {
+    const verdictColor = { real: '#0072B2', fake: '#B84A00' }[report.verdict] || '#767676'; // Same colour-blind-safe palette as the side panel
+    const content = report.input.type === 'image'
+        ? `<img class="analyzed-image" src="${escapeHtml(report.input.embedded || report.input.value)}" alt="${escapeHtml(t('reportAnalyzedImage'))}">`
+        : `<blockquote>${escapeHtml(report.input.value)}</blockquote>`;
+    const source = report.source?.url
+        ? `<a href="${escapeHtml(report.source.url)}">${escapeHtml(report.source.title || report.source.url)}</a>`
+        : escapeHtml(t('reportUnknown'));
+    const charts = [report.charts.confidence, report.charts.keywords]
+        .filter(Boolean)
+        .map(src => `<img class="chart" src="${src}" alt="${escapeHtml(t('reportChartAlt'))}">`)
+        .join('');
+    const label = (key) => escapeHtml(t(key));
+    const rows = report.words.map(w => `
+            <tr><td>${escapeHtml(w.word)}</td><td>${w.rawWeight.toFixed(4)}</td><td>${w.normalizedWeight.toFixed(4)}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(getUiLocale())}">
+<head>
+<meta charset="UTF-8">
+<title>${label('reportTitle')}</title>
+<style>
+    body { font-family: 'Poppins', Arial, sans-serif; color: #2c3e50; max-width: 760px; margin: 30px auto; padding: 0 20px; }
+    h1 { color: #091263; margin-bottom: 0; }
+    h2 { color: #091263; font-size: 16px; border-bottom: 1px solid #33A0B5; padding-bottom: 4px; margin-top: 28px; }
+    .verdict { font-size: 22px; font-weight: 700; color: ${verdictColor}; }
+    dl { display: grid; grid-template-columns: 120px 1fr; gap: 4px 10px; font-size: 13px; }
+    dt { font-weight: 700; }
+    dd { margin: 0; word-break: break-all; }
+    blockquote { border-left: 3px solid #3498db; margin: 0; padding: 4px 12px; white-space: pre-wrap; font-size: 13px; }
+    .analyzed-image { max-width: 100%; border-radius: 4px; }
+    .charts { display: flex; flex-wrap: wrap; gap: 20px; }
+    .chart { max-width: 340px; width: 100%; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { border: 1px solid #d5e6ea; padding: 5px 8px; text-align: left; }
+    td:not(:first-child), th:not(:first-child) { text-align: right; }
+    footer { margin-top: 30px; font-size: 11px; color: #7f8c8d; }
+    @media print {
+        body { margin: 0; max-width: none; }
+        h2 { break-after: avoid; }
+        .charts, table, blockquote { break-inside: avoid; }
+    }
+</style>
+</head>
+<body>
+    <h1>${label('reportTitle')}</h1>
+    <p class="verdict">${escapeHtml(report.verdictLabel)}</p>
+    <dl>
+        <dt>${label('reportConfidence')}</dt><dd>${escapeHtml(t('reportConfidenceValue', [report.confidence.fake, report.confidence.real, report.confidence.neutral]))}</dd>
+        <dt>${label('reportAnalyzed')}</dt><dd>${escapeHtml(new Date(report.analyzedAt).toLocaleString(getUiLocale()))}</dd>
+        <dt>${label('reportSource')}</dt><dd>${source}</dd>
+        ${report.source?.siteName ? `<dt>${label('reportSite')}</dt><dd>${escapeHtml(report.source.siteName)}</dd>` : ''}
+        ${report.source?.publishedAt ? `<dt>${label('reportPublished')}</dt><dd>${escapeHtml(report.source.publishedAt)}</dd>` : ''}
+        ${report.source?.canonical && report.source.canonical !== report.source.url ? `<dt>${label('reportCanonical')}</dt><dd>${escapeHtml(report.source.canonical)}</dd>` : ''}
+        <dt>${label('reportBackend')}</dt><dd>${escapeHtml(report.backend || t('reportUnknown'))}</dd>
+    </dl>
+
+    <h2>${label('reportAnalyzedContent')}</h2>
+    ${content}
+
+    <h2>${label('reportCharts')}</h2>
+    <div class="charts">${charts}</div>
+
+    <h2>${label('reportWordAnalysis')}</h2>
+    <table>
+        <thead><tr><th>${label('reportWordColumn')}</th><th>${label('reportRawWeightColumn')}</th><th>${label('reportNormalizedColumn')}</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+
+    <footer>${label('reportFooter')}</footer>
+</body>
+</html>
+`;
+}
+
+// =================================================================================
+// OUTPUT
+// =================================================================================
+
+/**
+ * Saves text content as a file through a temporary download link.
+ * @param {string} filename - Suggested file name.
+ * @param {string} content - File content.
+ * @param {string} mimeType - MIME type of the file.
+ */
+function downloadTextFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Opens the HTML report in a new window and shows the print dialog,
+ * where the user can choose "Save as PDF".
+ * @param {object} report - Report from buildReport.
+ */
+function printReport(report) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) throw new Error(t('reportPrintBlocked'));
+    printWindow.document.write(reportToHtml(report));
+    printWindow.document.close();
+
+    // Wait for embedded images before printing
+    printWindow.addEventListener('load', () => {
+        printWindow.focus();
+        printWindow.print();
+    });
+}
+
+/**
+ * Exports a result in the requested format.
+ * @param {object} result - The result currently shown on the result page.
+ * @param {object} chartImages - {confidence, keywords} chart PNG data URLs.
+ * @param {'json'|'markdown'|'html'|'pdf'} format - Output format.
+ */
+async function exportReport(result, chartImages, format) {
+    const report = await buildReport(result, chartImages);
+    const baseName = `tun-eye-report-${new Date(result.timestamp).toISOString().slice(0, 19).replace(/[:T]/g, '-')}`;
+
+    switch (format) {
+        case 'json':
+            downloadTextFile(`${baseName}.json`, reportToJson(report), 'application/json');
+            break;
+        case 'markdown':
+            downloadTextFile(`${baseName}.md`, reportToMarkdown(report), 'text/markdown');
+            break;
+        case 'html':
+            downloadTextFile(`${baseName}.html`, reportToHtml(report), 'text/html');
+            break;
+        case 'pdf':
+            printReport(report);
+            break;
+    }
+}
@@ -4,16 +4,36 @@
    AUTHOR: G10 Tun-Eye Group
    SYSTEM: Tun-Eye Extension – Frontend UI 
    CREATED: 10-09-2025
-   LAST REVISED: 01-18-2026
+   LAST REVISED: 10-18-2026
    PURPOSE:
        Handles side panel interactions including page navigation, content selection,
        analysis requests to the backend API, and rendering charts.
    DESCRIPTION:
        This module is part of the Tun-Eye extension frontend. It manages:
-         - Navigation between intro, select, preview, and result pages
-         - Display of selected text or image for preview
-         - Sending content to API and receiving analysis results
+         - Navigation between intro, select, preview, result, history, and queue pages
+         - Display of selected text, image, captured region, post or extracted article for preview
+         - Manual input: pasted text, dropped or picked image files and article links
+         - Starting analyses in the background script (analysis_jobs.js) and following their progress
+         - Showing a streamed verdict and the OCR text while the words are still being explained
+         - Picking the model, and comparing two models' verdicts and words side by side
+         - Collecting Correct / Incorrect feedback on verdicts for retraining
+         - Listing imported fact-checks whose claims appear in the analyzed text
+         - Showing where content came from and how its site is rated
+         - Showing the selected backend's reachability in the header
+         - Showing a Likely Real, Likely Fake or Uncertain verdict with graded wording
          - Rendering confidence and keyword charts with Chart.js
+         - Annotating the analyzed text with the words that drove the verdict
+         - Saving, searching, re-opening and deleting past analyses
+         - Exporting the shown result as JSON, Markdown, HTML or PDF
+         - Highlighting influential words on the source page
+         - Collecting several items into a queue and analyzing them as a batch
+         - Starting feed scanning on a site and opening results from its badges
+         - Keeping a session per tab that survives closing the panel and follows tab switches
+         - Serving repeat analyses from the local result cache
+         - Cancelling slow requests and explaining why an analysis failed
+         - Falling back to an on-device estimate when the backend is unreachable
+         - Showing every label in English or Filipino (i18n.js and _locales)
+         - Announcing results to screen readers, chart data tables and keyboard navigation
          - Listening to Chrome storage events and injecting templates
    DATA & LOGIC:
        Uses DOM elements, Chart.js instances, Chrome storage API, and event listeners
@@ -32,6 +52,29 @@
 let confidenceChart = null;
 let keywordChart = null;
 
+/**
+ * The content object currently shown on the preview page, including its source page.
+ */
+let currentContent = null;
+
+/**
+ * The analysis result currently shown on the result page, used for exports.
+ */
+let currentResult = null;
+
+/**
+ * How the result page explains influential words: 'chart' (bar chart) or
+ * 'text' (the analyzed text with those words shaded). Kept between results.
+ */
+let wordView = 'chart';
+
+/**
+ * Content script injected into web pages for selection and highlighting,
+ * after the localization, image helpers and post adapters it uses, followed
+ * by the feed scanner and its settings. background.js injects the same list.
+ */
+const CONTENT_SCRIPT_FILES = ['Scripts/i18n.js', 'Scripts/image_payload.js', 'Scripts/post_adapters.js', 'Scripts/page_provenance.js', 'Scripts/content_selector.js', 'Scripts/scan_settings.js', 'Scripts/feed_scanner.js'];
+
 
 // =================================================================================
 // INITIALIZATION
@@ -48,12 +91,112 @@ document.addEventListener('DOMContentLoaded', () => {
     const pages = document.querySelectorAll('.page');
     const navButtons = document.querySelectorAll('.nav-button, .back-icon-btn');
     const selectContentBtn = document.getElementById('select-content-btn');
+    const analyzeArticleBtn = document.getElementById('analyze-article-btn');
+    const captureRegionBtn = document.getElementById('capture-region-btn');
+    const collectMultipleBtn = document.getElementById('collect-multiple-btn');
+    const scanFeedBtn = document.getElementById('scan-feed-btn');
+    const manualText = document.getElementById('manual-text');
+    const manualTextBtn = document.getElementById('manual-text-btn');
+    const imageDropZone = document.getElementById('image-drop-zone');
+    const manualImageInput = document.getElementById('manual-image-input');
+    const articleUrlInput = document.getElementById('article-url');
+    const articleUrlBtn = document.getElementById('article-url-btn');
+    const manualInputMessage = document.getElementById('manual-input-message');
     const analyzeBtn = document.getElementById('analyze-btn');
+    const modelSelect = document.getElementById('model-select');
+    const compareSelect = document.getElementById('compare-select');
     const contentDisplay = document.getElementById('content-display');
     const resultContent = document.getElementById('result-content');
+    const resultAnnouncer = document.getElementById('result-announcer');
     const body = document.body;
-    const navLinks = document.querySelectorAll('.navigation .list a');
+    const historyList = document.getElementById('history-list');
+    const historySearch = document.getElementById('history-search');
+    const historyVerdictFilter = document.getElementById('history-verdict-filter');
+    const historyDomainFilter = document.getElementById('history-domain-filter');
+    const clearHistoryBtn = document.getElementById('clear-history-btn');
+    const historyBackBtn = document.getElementById('history-back-btn');
+    const exportBtn = document.getElementById('export-btn');
+    const exportMenu = document.getElementById('export-menu');
+    const showOnPage = document.getElementById('show-on-page');
+    const showOnPageToggle = document.getElementById('show-on-page-toggle');
+    const showOnPageStatus = document.getElementById('show-on-page-status');
+    const resultBackBtn = document.getElementById('result-back-btn');
+    const verdictFeedback = document.getElementById('verdict-feedback');
+    const feedbackForm = document.getElementById('feedback-form');
+    const feedbackLabelRow = document.getElementById('feedback-label-row');
+    const feedbackLabelSelect = document.getElementById('feedback-label');
+    const feedbackCommentInput = document.getElementById('feedback-comment');
+    const feedbackEvidenceInput = document.getElementById('feedback-evidence');
+    const feedbackMessage = document.getElementById('feedback-message');
+    const queueList = document.getElementById('queue-list');
+    const queueCount = document.getElementById('queue-count');
+    const queueProgress = document.getElementById('queue-progress');
+    const analyzeQueueBtn = document.getElementById('analyze-queue-btn');
+    const clearQueueBtn = document.getElementById('clear-queue-btn');
+    const collectMoreBtn = document.getElementById('collect-more-btn');
     const WORD_THRESHOLD = 1e-6;
+    const WORD_TOKEN_PATTERN = /[\p{L}\p{M}\p{N}_]{2,}/gu; // sklearn's default (?u)\b\w\w+\b, as the backend splits text
+
+    // Manual input limits
+    const MANUAL_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+    const MANUAL_IMAGE_MAX_BYTES = 10 * 1024 * 1024;
+    const ARTICLE_FETCH_TIMEOUT_MS = 15000;
+
+    // Page shown before the current one, used by the history page's Back button
+    let currentPageId = 'page-intro';
+    let previousPageId = 'page-intro';
+
+    // Tab that currently shows word highlights, if any
+    let highlightTabId = null;
+
+    // Items collected for batch analysis: {content, status, result, error}.
+    // Each tab has its own queue; queueItems is the one of the tab shown (switchSession).
+    let queueItems = [];
+    const tabQueues = new Map(); // tabId -> queue items of tabs not shown
+    let queueRunningTabId = null; // Tab whose queue is being analyzed; one queue runs at a time
+    let queueRunningProgress = ''; // Progress line of that queue
+
+    // Analysis job shown on the result page; background.js runs it
+    let analysisJobId = null;
+
+    // Tab whose session the panel shows (tab_sessions.js). A panel opened for one
+    // tab (background.js) has its ID in the address; the shared panel follows
+    // the active tab.
+    const boundTabId = Number(new URLSearchParams(location.search).get('tabId')) || null;
+    let sessionTabId = null;
+
+    // Confidence needed before a result is called Likely Real or Likely Fake (verdict.js)
+    let verdictSettings = DEFAULT_VERDICT_SETTINGS;
+
+    // Backend profile whose model the next analysis is compared with ('' for none),
+    // and whether comparisons show the averaged score of both models
+    let compareProfileId = '';
+    let showEnsemble = false;
+    const COMPARE_TOP_WORDS = 5;
+
+    // Message keys of the site ratings (domain_reputation.js) and what each means
+    const REPUTATION_LABEL_KEYS = {
+        established: 'reputationEstablished',
+        'state-media': 'reputationStateMedia',
+        satire: 'reputationSatire',
+        disinformation: 'reputationDisinformation',
+        unrated: 'reputationUnrated'
+    };
+    const REPUTATION_HELP_KEYS = {
+        established: 'reputationEstablishedHelp',
+        'state-media': 'reputationStateMediaHelp',
+        satire: 'reputationSatireHelp',
+        disinformation: 'reputationDisinformationHelp',
+        unrated: 'reputationUnratedHelp'
+    };
+
+    // How often queued feedback is checked for a retry while the panel is open
+    const FEEDBACK_RETRY_CHECK_MS = 60 * 1000;
+
+    // Worker running the on-device classifier (analysis_jobs.js falls back to it)
+    let offlineWorker = null;
+    let offlineRequestId = 0;
+    const offlineRequests = new Map(); // Request id to {resolve, reject}
 
     // =================================================================================
     // NAVIGATION FUNCTIONS
@@ -64,12 +207,18 @@ document.addEventListener('DOMContentLoaded', () => {
      * @param {string} pageId - The ID of the page to navigate to.
      */
     function navigateTo(pageId) {
+        if (pageId !== currentPageId) {
+            previousPageId = currentPageId;
+            currentPageId = pageId;
+        }
+        if (pageId !== 'page-result') clearPageHighlights(); // Highlights belong to the shown result
         pages.forEach(page => page.classList.add('hidden')); // Hide all pages
         const targetPage = document.getElementById(pageId); // Get the page to show
         if (targetPage) {
             targetPage.classList.remove('hidden'); // Show selected page
             updateNavIndicator(targetPage);
         }
+        saveSession();
     }
 
     /**
@@ -83,13 +232,21 @@ document.addEventListener('DOMContentLoaded', () => {
         if (pageId === 'page-preview') activeIndex = 2;
         if (pageId === 'page-result') activeIndex = 3;
 
-        // Update active navigation item
+        // Update active navigation item; steps with nothing to show yet are disabled
         document.querySelectorAll('.navigation').forEach(nav => {
             const listItems = nav.querySelectorAll('.list');
             listItems.forEach(item => item.classList.remove('active'));
             if (activeIndex > 0 && listItems.length >= activeIndex) {
                 listItems[activeIndex - 1].classList.add('active');
             }
+
+            nav.querySelectorAll('.nav-step').forEach(step => {
+                const target = step.dataset.target;
+                step.disabled = target !== pageId &&
+                    ((target === 'page-preview' && !currentContent) || (target === 'page-result' && !currentResult));
+                if (target === pageId) step.setAttribute('aria-current', 'step');
+                else step.removeAttribute('aria-current');
+            });
         });
     }
 
@@ -98,71 +255,547 @@ document.addEventListener('DOMContentLoaded', () => {
     // =================================================================================
 
     /**
-     * Displays the selected text or image in the preview container.
-     * @param {object} content - The content object from storage {type: 'text'|'image', data: '...'}.
+     * Displays the selected text, image or article in the preview container.
+     * @param {object} content - The content object from storage {type: 'text'|'image'|'article', data: ...}.
      */
     function displayContentForPreview(content) {
+        currentContent = content;
         contentDisplay.innerHTML = '';
+        if (content.source?.url) contentDisplay.appendChild(buildProvenance(content.source)); // Where it came from
+        if (content.error && !content.data && !content.imageData) { // The page could not be read, or the capture handed over
+            const notice = document.createElement('p');
+            notice.className = 'preview-notice';
+            notice.textContent = content.error;
+            contentDisplay.appendChild(notice);
+            return;
+        }
         if (content.type === 'text') { // If the content is text
             const textBlock = document.createElement('blockquote');
             textBlock.textContent = content.data;
             contentDisplay.appendChild(textBlock);
         } else if (content.type === 'image') { // If the content is an image
+            if (!content.imageData && !content.thumbnail && !content.data) {
+                const notice = document.createElement('p');
+                notice.className = 'preview-notice';
+                notice.textContent = content.error || t('previewImageFailed');
+                contentDisplay.appendChild(notice);
+                return;
+            }
+
             const imageWrapper = document.createElement('div');
             imageWrapper.classList.add('preview-image-wrapper');
             const img = document.createElement('img');
-            img.src = content.data;
+            // The bytes of captures are kept by background.js; the session has a thumbnail.
+            // The page's own URL may not load here (blob:, login)
+            img.src = content.imageData || content.thumbnail || content.data;
             img.style.width = '100%';
             img.style.height = 'auto';
             img.style.borderRadius = '4px';
             imageWrapper.appendChild(img);
             contentDisplay.appendChild(imageWrapper);
+        } else if (content.type === 'article') { // If the content is an extracted article
+            if (!content.data || !content.data.text) {
+                const notice = document.createElement('p');
+                notice.className = 'preview-notice';
+                notice.textContent = content.error || t('previewNoArticle');
+                contentDisplay.appendChild(notice);
+                return;
+            }
+
+            const article = content.data;
+            const articleBlock = document.createElement('div');
+            articleBlock.className = 'article-preview';
+
+            const headline = document.createElement('h4');
+            headline.className = 'article-headline';
+            headline.textContent = article.headline;
+
+            const meta = document.createElement('p');
+            meta.className = 'article-meta';
+            const published = article.publishedAt && !isNaN(Date.parse(article.publishedAt))
+                ? new Date(article.publishedAt).toLocaleDateString(getUiLocale())
+                : article.publishedAt;
+            meta.textContent = [article.byline, published, article.siteName].filter(Boolean).join(' · ');
+
+            const textBlock = document.createElement('blockquote');
+            textBlock.textContent = article.text;
+
+            articleBlock.append(headline, meta, textBlock);
+            contentDisplay.appendChild(articleBlock);
+        } else if (content.type === 'post') { // If the content is a captured post card
+            contentDisplay.appendChild(buildPostPreview(content.data));
+        }
+    }
+
+    /**
+     * Builds the preview card of a captured post: site and author, time,
+     * text, attached images, shared link and a link to the original post.
+     * @param {object} post - Post object from post_adapters.js.
+     * @returns {HTMLElement}
+     */
+    function buildPostPreview(post) {
+        const card = document.createElement('div');
+        card.className = 'post-preview';
+
+        const header = document.createElement('div');
+        header.className = 'post-header';
+        const site = document.createElement('span');
+        site.className = 'post-site';
+        site.textContent = post.site;
+        const author = document.createElement('span');
+        author.className = 'post-author';
+        author.textContent = post.author;
+        header.append(site, author);
+
+        const meta = document.createElement('p');
+        meta.className = 'article-meta';
+        const posted = post.timestamp && !isNaN(Date.parse(post.timestamp))
+            ? new Date(post.timestamp).toLocaleString(getUiLocale())
+            : post.timestamp;
+        meta.textContent = posted || '';
+        card.append(header, meta);
+
+        if (post.headline) {
+            const headline = document.createElement('h4');
+            headline.className = 'article-headline';
+            headline.textContent = post.headline;
+            card.appendChild(headline);
+        }
+
+        if (post.text) {
+            const textBlock = document.createElement('blockquote');
+            textBlock.textContent = post.text;
+            card.appendChild(textBlock);
+        }
+
+        if (post.images.length) {
+            const gallery = document.createElement('div');
+            gallery.className = 'post-images';
+            post.images.forEach(src => {
+                const img = document.createElement('img');
+                img.src = src;
+                img.alt = t('postAttachedImage');
+                gallery.appendChild(img);
+            });
+            card.appendChild(gallery);
+        }
+
+        if (post.link) {
+            const shared = document.createElement('a');
+            shared.className = 'post-link';
+            shared.href = post.link.url;
+            shared.target = '_blank';
+            shared.rel = 'noopener';
+            const title = document.createElement('strong');
+            title.textContent = post.link.title || post.link.url;
+            const host = document.createElement('span');
+            try {
+                host.textContent = new URL(post.link.url).hostname;
+            } catch (e) {
+                host.textContent = post.link.url;
+            }
+            shared.append(title, host);
+            card.appendChild(shared);
+        }
+
+        if (post.permalink) {
+            const permalink = document.createElement('a');
+            permalink.className = 'post-permalink';
+            permalink.href = post.permalink;
+            permalink.target = '_blank';
+            permalink.rel = 'noopener';
+            permalink.textContent = t('postOpenOriginal');
+            card.appendChild(permalink);
+        }
+
+        return card;
+    }
+
+    /**
+     * Returns a readable label for an image URL (data: URLs are not readable).
+     * @param {string} url - The image URL.
+     * @returns {string}
+     */
+    function describeImageUrl(url) {
+        return !url || /^(data|blob):/.test(url) ? t('imageFromPage') : url;
+    }
+
+    /**
+     * Shows newly captured content on the preview page.
+     * @param {object} content - The content object from storage.
+     */
+    function handleIncomingContent(content) {
+        body.classList.remove('selection-mode-active'); // Exit selection mode if active
+        displayContentForPreview(content); // Show the new content in the preview page
+        navigateTo('page-preview'); // Navigate to preview page
+        if (sessionTabId) chrome.storage.session.remove(getTabKey(TAB_CONTENT_KEY, sessionTabId)); // Remove the content from storage after handling
+    }
+
+    /**
+     * Shows or hides the result page actions (Try Again and Export).
+     * Export is only offered when a result is available.
+     * @param {boolean} visible - Whether the actions should be visible.
+     */
+    function showResultActions(visible) {
+        const tryAgainBtn = document.querySelector('.nav-button.back');
+        if (tryAgainBtn) tryAgainBtn.classList.toggle('invisible', !visible);
+        exportBtn.classList.toggle('invisible', !visible || !currentResult);
+        exportMenu.classList.add('hidden');
+        resultBackBtn.classList.add('hidden'); // Only shown for results opened from another page
+
+        // Words can only be highlighted for text taken from a page
+        clearPageHighlights();
+        showOnPage.classList.toggle('hidden', !visible || currentResult?.input.type !== 'text' || !currentResult.source?.url);
+
+        // Feedback is asked for every result, but not for errors
+        verdictFeedback.classList.toggle('hidden', !visible || !currentResult);
+        if (visible && currentResult) showFeedbackForm(currentResult);
+    }
+
+    // =================================================================================
+    // PAGE SCRIPT FUNCTIONS
+    // =================================================================================
+
+    /**
+     * Injects the content script into a tab unless it is already running there.
+     * The extension may only script a page after the toolbar icon or the
+     * right-click menu was used on it (activeTab), or on sites the user
+     * allowed for feed scanning.
+     * @param {number} tabId - The tab to prepare.
+     * @throws {Error} When the page cannot be scripted.
+     */
+    async function ensureContentScript(tabId) {
+        try {
+            await chrome.tabs.sendMessage(tabId, { type: "PING_CONTENT_SCRIPT" });
+        } catch (e) { // No listener yet, so inject the script
+            await chrome.scripting.executeScript({
+                target: { tabId },
+                files: CONTENT_SCRIPT_FILES
+            });
+        }
+    }
+
+    /**
+     * Explains why a page could not be scripted and leaves selection mode.
+     * @param {Error} error - From ensureContentScript.
+     */
+    function showPageAccessError(error) {
+        console.error("Script injection failed:", error);
+        body.classList.remove('selection-mode-active');
+        showManualInputMessage(t('pageAccessNeeded'));
+    }
+
+    /**
+     * Turns feed scanning on for the active tab's site and starts it there.
+     * Later pages of the site are scanned as they load (background.js), which
+     * needs access to the site, so the user is asked for it here.
+     */
+    async function startFeedScanning() {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (tab && !tab.url) { // The address is only known once the page may be read
+            showManualInputMessage(t('pageAccessNeeded'));
+            return;
+        }
+        const site = getScanSite(tab?.url);
+        if (!site) {
+            showManualInputMessage(t('scanUnavailable'));
+            return;
+        }
+        if (!(await chrome.permissions.request({ origins: [`*://${site}/*`, `*://*.${site}/*`] }))) {
+            showManualInputMessage(t('optionsPermissionDenied', site));
+            return;
+        }
+
+        await setScanSite(site, true);
+        await setScanPaused(false); // Asking for a scan also ends a pause
+        try {
+            await ensureContentScript(tab.id);
+            await chrome.tabs.sendMessage(tab.id, { type: "START_FEED_SCAN" });
+            showManualInputMessage(t('scanStarted', site));
+        } catch (error) { // Browser pages and the web store cannot be scripted
+            console.error("Script injection failed:", error);
+            showManualInputMessage(t('scanUnavailable'));
+        }
+    }
+
+    /**
+     * Ends selection or region capture mode on the active tab (Escape in the panel).
+     */
+    function cancelPageSelection() {
+        body.classList.remove('selection-mode-active');
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            chrome.tabs.sendMessage(tabs[0].id, { type: "CANCEL_SELECTION_MODE" })
+                .catch(() => {}); // No content script on this page
+        });
+    }
+
+    /**
+     * Finds the open tab that a result's text was taken from.
+     * @param {object} result - The shown analysis result.
+     * @returns {Promise<number|null>} The tab ID, or null if the page is not open.
+     */
+    async function getSourceTabId(result) {
+        const source = result.source;
+        if (source?.tabId) {
+            try {
+                const tab = await chrome.tabs.get(source.tabId);
+                if (tab.url === source.url) return tab.id;
+            } catch (e) {
+                // Tab was closed; fall back to the active tab
+            }
+        }
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (activeTab && (!source?.url || activeTab.url === source.url)) return activeTab.id;
+        return null;
+    }
+
+    /**
+     * Asks the source page to highlight the result's influential words.
+     */
+    async function showPageHighlights() {
+        const tabId = await getSourceTabId(currentResult);
+        if (!tabId) {
+            showOnPageToggle.checked = false;
+            showOnPageStatus.textContent = t('showOnPageNoSource');
+            return;
         }
+
+        try {
+            await ensureContentScript(tabId);
+            const response = await chrome.tabs.sendMessage(tabId, {
+                type: "HIGHLIGHT_WORDS",
+                text: currentResult.input.value,
+                words: currentResult.keywords.map(k => ({ word: k.word, weight: k.weight }))
+            });
+            highlightTabId = tabId;
+            showOnPageStatus.textContent = response.count ? t('showOnPageCount', response.count) : t('showOnPageNoMatches');
+        } catch (error) {
+            console.error('Highlighting failed:', error);
+            showOnPageToggle.checked = false;
+            showOnPageStatus.textContent = t('showOnPageFailed');
+        }
+    }
+
+    /**
+     * Removes word highlights from the page they were added to.
+     */
+    function clearPageHighlights() {
+        showOnPageToggle.checked = false;
+        showOnPageStatus.textContent = '';
+        if (!highlightTabId) return;
+        chrome.tabs.sendMessage(highlightTabId, { type: "CLEAR_HIGHLIGHTS" })
+            .catch(() => {}); // Page may have been closed or reloaded
+        highlightTabId = null;
+    }
+
+    // =================================================================================
+    // DATA FORMATTING FUNCTIONS
+    // =================================================================================
+
+    /**
+     * Returns the verdict a result was given. Saved results keep theirs, so
+     * thresholds changed since do not change them; results from before
+     * verdicts were stored are judged with the current thresholds.
+     * @param {object} result - A result {verdict, confidence}.
+     * @returns {'real'|'fake'|'uncertain'}
+     */
+    function getResultVerdict(result) {
+        return result.verdict || getVerdictKey(result.confidence);
+    }
+
+    /**
+     * Returns the verdict shown for a confidence breakdown, using the
+     * thresholds from Settings.
+     * @param {object} confidence - {fake, neutral, real} percentages.
+     * @returns {'real'|'fake'|'uncertain'}
+     */
+    function getVerdictKey(confidence) {
+        return classifyVerdict(confidence, verdictSettings);
+    }
+
+    /**
+     * Returns the short verdict label shown in lists, with the leading side's confidence.
+     * @param {object} result - A stored result {verdict, confidence}.
+     * @returns {string}
+     */
+    function describeVerdictShort(result) {
+        const label = { real: t('verdictRealShort'), fake: t('verdictFakeShort'), uncertain: t('verdictUncertainShort') }[getResultVerdict(result)];
+        return `${label} ${getLeadingConfidence(result.confidence)}%`;
     }
 
     // =================================================================================
     // CHART RENDERING FUNCTIONS
     // =================================================================================
+
+    /**
+     * Reads the verdict colours from the stylesheet so charts and text match.
+     * @returns {{real: string, fake: string, neutral: string}}
+     */
+    function getVerdictPalette() {
+        const style = getComputedStyle(document.documentElement);
+        return {
+            real: style.getPropertyValue('--clr-real').trim(),
+            fake: style.getPropertyValue('--clr-fake').trim(),
+            neutral: style.getPropertyValue('--clr-neutral').trim()
+        };
+    }
+
+    /**
+     * Creates a striped fill, so fake-leaning chart parts differ by more than colour.
+     * @param {string} color - Background colour of the stripes.
+     * @returns {CanvasPattern}
+     */
+    function createStripePattern(color) {
+        const tile = document.createElement('canvas');
+        tile.width = 8;
+        tile.height = 8;
+        const ctx = tile.getContext('2d');
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, 8, 8);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.lineWidth = 2;
+        ctx.beginPath(); // Diagonal lines that join up across tiles
+        ctx.moveTo(0, 8); ctx.lineTo(8, 0);
+        ctx.moveTo(-2, 2); ctx.lineTo(2, -2);
+        ctx.moveTo(6, 10); ctx.lineTo(10, 6);
+        ctx.stroke();
+        return ctx.createPattern(tile, 'repeat');
+    }
+
+    /**
+     * Builds the collapsible table version of a chart. Cells are set as text
+     * since words come from the analyzed page.
+     * @param {string} caption - Table caption, usually the chart title.
+     * @param {string[]} headers - Column headings.
+     * @param {string[][]} rows - Cell values.
+     * @param {number[]} [numericColumns=[]] - Indexes of right-aligned number columns.
+     * @returns {HTMLDetailsElement}
+     */
+    function buildChartTable(caption, headers, rows, numericColumns = []) {
+        const details = document.createElement('details');
+        details.className = 'chart-data';
+        const summary = document.createElement('summary');
+        summary.textContent = t('chartShowTable');
+
+        const table = document.createElement('table');
+        table.createCaption().textContent = caption;
+        const headRow = table.createTHead().insertRow();
+        headers.forEach(header => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = header;
+            headRow.appendChild(th);
+        });
+        const tbody = table.createTBody();
+        rows.forEach(values => {
+            const row = tbody.insertRow();
+            values.forEach((value, index) => {
+                const cell = row.insertCell();
+                cell.textContent = value;
+                if (numericColumns.includes(index)) cell.className = 'number';
+            });
+        });
+
+        details.append(summary, table);
+        return details;
+    }
+
+    /**
+     * Reads a message out through the result page's live region.
+     * @param {string} message - Text for screen readers.
+     */
+    function announce(message) {
+        resultAnnouncer.textContent = '';
+        requestAnimationFrame(() => { resultAnnouncer.textContent = message; }); // Only changes are read out
+    }
+
+    /**
+     * Returns which verdict a word weight points to, as an arrow and a word,
+     * so the direction does not depend on colour.
+     * @param {number} score - Normalized word score.
+     * @returns {string}
+     */
+    function describeWordDirection(score) {
+        if (score > WORD_THRESHOLD) return `▲ ${t('directionReal')}`;
+        if (score < -WORD_THRESHOLD) return `▼ ${t('directionFake')}`;
+        return `– ${t('directionNeutral')}`;
+    }
     
     /**
-     * Renders the analysis result charts using Chart.js.
+     * Renders the analysis result charts using Chart.js, each followed by a
+     * short explanation and a data table, and announces the verdict.
      * @param {object} data - The formatted data for rendering charts.
+     * @param {object} [options]
+     * @param {boolean} [options.explaining=false] - The verdict of a streamed analysis whose words are
+     *     still being explained: the OCR text and the progress line stand in for the word charts.
      */
-    function renderResultCharts(data) {
+    function renderResultCharts(data, { explaining = false } = {}) {
         if (confidenceChart) confidenceChart.destroy();
         if (keywordChart) keywordChart.destroy();
 
-        // Compare using raw decimal values for accuracy
-        const rawReal = data.confidence.real / 100; // convert back to 0-1
-        const rawFake = data.confidence.fake / 100;
-        const statusClass = rawReal >= rawFake ? 'real-news' : 'fake-news';
+        const verdict = getResultVerdict(data);
+        const thresholds = data.thresholds || verdictSettings; // Those the verdict was judged with
+        const grade = gradeVerdict(verdict, data.confidence);
+        const statusClass = `${verdict}-news`;
         // Output
-        const statusText = statusClass === 'real-news' ? 'REAL NEWS' : 'FAKE NEWS';
-        const statusIcon = statusClass === 'real-news' ? 'fa-check-circle' : 'fa-times-circle';
+        const statusText = { real: t('verdictRealBanner'), fake: t('verdictFakeBanner'), uncertain: t('verdictUncertainBanner') }[verdict];
+        const statusIcon = { real: 'fa-check-circle', fake: 'fa-times-circle', uncertain: 'fa-circle-question' }[verdict];
+        const summaryKey = {
+            real: { strong: 'resultSummaryRealStrong', moderate: 'resultSummaryReal' },
+            fake: { strong: 'resultSummaryFakeStrong', moderate: 'resultSummaryFake' },
+            uncertain: { uncertain: 'resultSummaryUncertain' }
+        }[verdict][grade];
+        const palette = getVerdictPalette();
 
         // Display result summary and chart containers
         resultContent.innerHTML = `
             <div class="status-indicator ${statusClass}">
-                <i class="fa-solid ${statusIcon}"></i> ${statusText}
+                <i class="fa-solid ${statusIcon}" aria-hidden="true"></i> ${statusText}
             </div>
-            <p class="result-summary">This news looks ${statusClass === 'real-news' ? 'trustworthy' : 'suspicious'}! See the chart below for confidence and word-level analysis.</p>
+            <p class="result-summary">${t(summaryKey)}</p>
+            ${data.offline ? `<p class="offline-estimate"><i class="fa-solid fa-plane" aria-hidden="true"></i> ${t('offlineEstimateNotice')}</p>` : ''}
             <div class="chart-container" style="height:200px;">
-                <canvas id="confidenceChartCanvas"></canvas>
+                <canvas id="confidenceChartCanvas" role="img" aria-describedby="confidence-chart-help"></canvas>
+            </div>
+            <p id="confidence-chart-help" class="chart-help confidence-explanation">${t('confidenceExplanation', [
+                data.confidence.real, data.confidence.fake, thresholds.realThreshold, thresholds.fakeThreshold])}</p>
+            ${explaining ? '<div id="explanation-progress"></div>' : `
+            <div class="word-view-toggle" role="group" aria-label="${t('wordViewLabel')}">
+                <button type="button" data-word-view="chart">${t('wordViewChart')}</button>
+                <button type="button" data-word-view="text">${t('wordViewText')}</button>
             </div>
-            <div class="keyword-chart-container" style="height:250px; margin-top:20px;">
-                <canvas id="keywordChartCanvas"></canvas>
+            <div id="keyword-chart-view">
+                <div class="keyword-chart-container" style="height:250px; margin-top:20px;">
+                    <canvas id="keywordChartCanvas" role="img" aria-describedby="keyword-chart-help"></canvas>
+                </div>
+                <p id="keyword-chart-help" class="chart-help">${t('chartWordsHelp')}</p>
             </div>
+            <div id="annotated-text-view" class="annotated-text-view"></div>
+            <section id="source-panel" class="source-panel hidden" aria-labelledby="source-panel-title"></section>`}
         `;
 
+        // Which model answered; the name comes from the backend, so it is set as text
+        if (data.model) {
+            const modelLine = document.createElement('p');
+            modelLine.className = 'result-model';
+            modelLine.textContent = t('resultModel', [data.model.name, getResultBackendName(data)]);
+            resultContent.querySelector('.result-summary').after(modelLine);
+        }
+
+        const { fake, neutral, real } = getConfidenceSlices(data.confidence); // Chart slices; neutral is the overlap
+        const verdictName = { real: t('verdictReal'), fake: t('verdictFake'), uncertain: t('verdictUncertain') }[verdict];
+        announce(t('a11yResultAnnouncement', [verdictName, getLeadingConfidence(data.confidence)]));
+
         // Confidence Doughnut Chart
-        const confidenceCtx = document.getElementById('confidenceChartCanvas').getContext('2d');
-        confidenceChart = new Chart(confidenceCtx, {
+        const confidenceCanvas = document.getElementById('confidenceChartCanvas');
+        confidenceCanvas.setAttribute('aria-label', `${t('chartConfidenceTitle')}: ${t('chartConfidenceSummary', [fake, neutral, real])}`);
+        confidenceChart = new Chart(confidenceCanvas.getContext('2d'), {
             type: 'doughnut',
             data: {
-                labels: ['Fake', 'Neutral', 'Real'], 
+                labels: [t('chartFake'), t('chartNeutral'), t('chartReal')], 
                 datasets: [{
-                    data: [data.confidence.fake, data.confidence.neutral, data.confidence.real],
-                    backgroundColor: ['#c0392b', '#f39c12', '#27ae60'],
+                    data: [fake, neutral, real],
+                    backgroundColor: [createStripePattern(palette.fake), palette.neutral, palette.real],
                     borderColor: '#fff',
                     borderWidth: 2
                 }]
@@ -175,7 +808,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     },
                     title: {
                         display: true,
-                        text: 'Overall Confidence',
+                        text: t('chartConfidenceTitle'),
                     },
                     tooltip: {
                         callbacks: { // Show percent sign in tooltip
@@ -187,21 +820,31 @@ document.addEventListener('DOMContentLoaded', () => {
                 maintainAspectRatio: false
             }
         });
+        document.getElementById('confidence-chart-help').after(buildChartTable(
+            t('chartConfidenceTitle'),
+            [t('tableLabel'), t('tableConfidence')],
+            [[t('chartFake'), fake], [t('chartNeutral'), neutral], [t('chartReal'), real]]
+                .map(([label, value]) => [label, `${value}%`]),
+            [1]
+        ));
 
-        // Add tooltip to the title element only
-        const confidenceCanvas = document.getElementById('confidenceChartCanvas');
-        confidenceCanvas.addEventListener('mousemove', (event) => {
-            const rect = confidenceCanvas.getBoundingClientRect();
-            const x = event.clientX - rect.left;
-            const y = event.clientY - rect.top;
-            
-            // Check if mouse is over the title area (approximate top 40 pixels)
-            if (y < 40) {
-                confidenceCanvas.title = "Overall confidence shows how much Tun-Eye believes\nthe news is real or fake based on content analysis.";
-            } else {
-                confidenceCanvas.title = "";
+        // The words come with the finished result; until then show what was read from the image
+        if (explaining) {
+            keywordChart = null;
+            const progress = document.getElementById('explanation-progress');
+            if (data.text) {
+                const heading = document.createElement('p');
+                heading.className = 'result-meta';
+                heading.textContent = t('ocrTextHeading');
+                const quote = document.createElement('blockquote');
+                quote.textContent = data.text; // OCR text comes from the page's image, so it is set as text
+                progress.append(heading, quote);
             }
-        });
+            const status = document.createElement('div');
+            progress.appendChild(status);
+            showAnalysisProgress('', status);
+            return;
+        }
 
         // Dynamic Scaling for Keyword Chart
         const scores = data.keywords.map(k => k.score);
@@ -216,7 +859,7 @@ document.addEventListener('DOMContentLoaded', () => {
             chartMax = Math.ceil(maxAbsScore / magnitude) * magnitude;
         }
 
-        if (chartMax === 0) { // Prevent zero range on chart
+        if (!(chartMax > 0)) { // Prevent zero range on chart (all scores zero, or no words at all)
             chartMax = 0.01; // Ensure a small visible range if all scores are zero
         }
 
@@ -231,18 +874,23 @@ document.addEventListener('DOMContentLoaded', () => {
         }));
 
         // Keyword Bar Chart
-        const keywordCtx = document.getElementById('keywordChartCanvas').getContext('2d');
-        keywordChart = new Chart(keywordCtx, {
+        const keywordCanvas = document.getElementById('keywordChartCanvas');
+        const realCount = keywordsWithRaw.filter(k => k.score > WORD_THRESHOLD).length;
+        const fakeCount = keywordsWithRaw.filter(k => k.score < -WORD_THRESHOLD).length;
+        keywordCanvas.setAttribute('aria-label',
+            `${t('chartWordsTitle')}: ${t('chartWordsSummary', [keywordsWithRaw.length, realCount, fakeCount])}`);
+        const fakePattern = createStripePattern(palette.fake);
+        keywordChart = new Chart(keywordCanvas.getContext('2d'), {
             type: 'bar',
             data: {
                 labels: keywordsWithRaw.map(k => k.word), // Keyword labels
                 datasets: [{
                     data: keywordsWithRaw.map(k => k.score), // Normalized keyword scores
-                    backgroundColor: keywordsWithRaw.map(k => { // Color bars based on sentiment strength
+                    backgroundColor: keywordsWithRaw.map(k => { // Fill bars by direction; fake-leaning bars are striped
                         const score = Number(k.score) || 0;
-                        if (score > WORD_THRESHOLD) return '#27ae60'; // positive
-                        if (score < -WORD_THRESHOLD) return '#c0392b'; // negative
-                        return '#f39c12'; // neutral
+                        if (score > WORD_THRESHOLD) return palette.real; // positive
+                        if (score < -WORD_THRESHOLD) return fakePattern; // negative
+                        return palette.neutral; // neutral
                     })
                 }]
             },
@@ -252,7 +900,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     legend: { display: false }, // Hide legends
                     title: {
                         display: true,
-                        text: 'Word-Level Analysis' // Chart title
+                        text: t('chartWordsTitle') // Chart title
                     },
                     tooltip: { // Tooltip with normalized and raw values
                         callbacks: {
@@ -260,231 +908,1798 @@ document.addEventListener('DOMContentLoaded', () => {
                                 const k = keywordsWithRaw[context.dataIndex];
                                 const normalized = (k.score * 100).toFixed(2);
                                 const raw = k.raw.toFixed(4);
-                                return `${normalized}% (raw: ${raw})`;
+                                return t('chartWordTooltip', [normalized, raw]);
                             }
                         }
                     }
                 },
                 scales: { 
-                    x: { min: -1, max: 1 }, // Fixed score range
+                    x: { min: -chartMax, max: chartMax }, // Scaled to the strongest word
                     y: { grid: { display: false } } // Clean Y-axis
                 },
                 responsive: true,
                 maintainAspectRatio: false
             }
         });
+        document.getElementById('keyword-chart-help').after(buildChartTable(
+            t('chartWordsTitle'),
+            [t('tableWord'), t('tableDirection'), t('tableScore'), t('tableRawWeight')],
+            keywordsWithRaw.map(k => [k.word, describeWordDirection(k.score), `${(k.score * 100).toFixed(2)}%`, k.raw.toFixed(4)]),
+            [2, 3]
+        ));
 
-        // Add tooltip to the title element only
-        const canvas = document.getElementById('keywordChartCanvas');
-        canvas.addEventListener('mousemove', (event) => {
-            const rect = canvas.getBoundingClientRect();
-            const x = event.clientX - rect.left;
-            const y = event.clientY - rect.top;
-            
-            // Check if mouse is over the title area (approximate top 40 pixels)
-            if (y < 40) {
-                canvas.title = "Word-level analysis shows how individual words contribute\nto the real/fake confidence score.";
-            } else {
-                canvas.title = "";
-            }
+        // Annotated text view, and the toggle between it and the bar chart
+        renderAnnotatedText(document.getElementById('annotated-text-view'), getAnalyzedText(data), data.keywords, chartMax);
+        resultContent.querySelectorAll('[data-word-view]').forEach(button => {
+            button.addEventListener('click', () => showWordView(button.dataset.wordView));
         });
-    }
+        showWordView(wordView);
 
+        renderSourcePanel(data).catch(error => console.error('Rating the source failed:', error));
+        renderRelatedFactChecks(data).catch(error => console.error('Matching fact-checks failed:', error));
+    }
 
     // =================================================================================
-    // EVENT LISTENERS
+    // SOURCE FUNCTIONS
     // =================================================================================
 
-    // Generic navigation buttons (Next, Back)
-    navButtons.forEach(button => {
-        button.addEventListener('click', (e) => {
-            const targetPageId = e.currentTarget.getAttribute('data-target');
-            if (targetPageId) navigateTo(targetPageId);
-        });
-    });
+    /**
+     * Formats a publish date in the UI language; unreadable dates are shown as given.
+     * @param {string} date - Date from the page or feed.
+     * @param {boolean} [withTime=false] - Whether to include the time of day.
+     * @returns {string}
+     */
+    function formatSourceDate(date, withTime = false) {
+        const parsed = new Date(date);
+        if (!date || isNaN(parsed)) return date || '';
+        return withTime ? parsed.toLocaleString(getUiLocale()) : parsed.toLocaleDateString(getUiLocale());
+    }
 
-    // Navigation links
-    navLinks.forEach(link => {
-        link.addEventListener('click', (e) => {
-            e.preventDefault();
-            const targetPageId = e.currentTarget.getAttribute('data-target');
-            if (targetPageId) navigateTo(targetPageId);
-        });
-    });
+    /**
+     * Builds the provenance lines of a captured item: site, page title with
+     * its link, publish date, and the canonical or original link when they
+     * differ from the page address.
+     * @param {object} source - {url, title, canonical, publishedAt, siteName, redirectedFrom}
+     * @returns {HTMLElement}
+     */
+    function buildProvenance(source) {
+        const block = document.createElement('div');
+        block.className = 'provenance';
 
-    // "Select Content" button listener
-    if (selectContentBtn) {
-        selectContentBtn.addEventListener('click', () => {
-            body.classList.add('selection-mode-active');
-            chrome.tabs.query({
-                active: true,
-                currentWindow: true
-            }, (tabs) => {
-                chrome.scripting.executeScript({
-                        target: {
-                            tabId: tabs[0].id
-                        },
-                        files: ['scripts/content_selector.js']
-                    })
-                    .then(() => chrome.tabs.sendMessage(tabs[0].id, {
-                        type: "ACTIVATE_SELECTION_MODE"
-                    }))
-                    .catch(err => console.error("Script injection failed:", err));
-            });
-        });
-    }
+        // Page values come from the page, so everything is set as text
+        const site = document.createElement('p');
+        site.className = 'provenance-site';
+        site.textContent = [source.siteName || normalizeDomain(source.url), formatSourceDate(source.publishedAt)]
+            .filter(Boolean).join(' · ');
+        block.appendChild(site);
 
-    // "Analyze" button listener
-    if (analyzeBtn) {
-        analyzeBtn.addEventListener('click', async () => {
-            const btnText = analyzeBtn.querySelector('.btn-text');
-            const spinner = analyzeBtn.querySelector('.spinner');
-            const contentDisplay = document.getElementById('content-display');
-            const firstChild = contentDisplay.firstChild;
-            let contentToAnalyze = {};
-
-            // Detect selected content type (text or image)
-            if (firstChild) {
-                if (firstChild.tagName === 'BLOCKQUOTE') {
-                    contentToAnalyze = {
-                        type: 'text',
-                        value: firstChild.textContent
-                    };
-                } else if (firstChild.tagName === 'DIV' && firstChild.classList.contains('preview-image-wrapper')) {
-                    const img = firstChild.querySelector('img');
-                    if (img) contentToAnalyze = {
-                        type: 'image',
-                        value: img.src
-                    };
-                }
-            }
+        const page = document.createElement('a');
+        page.className = 'provenance-title';
+        page.href = source.url;
+        page.target = '_blank';
+        page.rel = 'noopener noreferrer';
+        page.textContent = source.title || source.url;
+        page.title = source.url;
+        block.appendChild(page);
 
-            if (!contentToAnalyze.value) {
-                console.error("No content to analyze.");
-                return;
-            }
+        const addLink = (key, url) => {
+            const line = document.createElement('p');
+            line.className = 'provenance-detail';
+            line.textContent = t(key, url);
+            block.appendChild(line);
+        };
+        if (source.canonical && source.canonical !== source.url) addLink('provenanceCanonical', source.canonical);
+        if (source.redirectedFrom) addLink('provenanceRedirectedFrom', source.redirectedFrom);
+        return block;
+    }
 
-            const tryAgainBtn = document.querySelector('.nav-button.back');
-            if (tryAgainBtn) tryAgainBtn.classList.add('invisible');            
-            
-            // Show loading spinner on the result page
-            setTimeout(() => {
-                const resultContent = document.getElementById('result-content');
-                if (resultContent) {
-                    resultContent.innerHTML = `
-                        <div style="text-align:center; margin-top:50px;">
-                            <div class="result-spinner"></div>
-                            <p style="text-align:center;">Analyzing... Please wait.</p>
-                        </div>
-                    `;
-                }
-            }, 100); // Delay to ensure DOM is ready
+    /**
+     * Fills the result page's Source panel: where the content came from and
+     * how the site is rated. The page address and its canonical link are
+     * rated separately when they are on different sites.
+     * @param {object} result - The result being shown.
+     */
+    async function renderSourcePanel(result) {
+        const panel = document.getElementById('source-panel');
+        const source = result.source;
+        if (!source?.url || !/^https?:/.test(source.url)) return; // Pasted text and files have no page
 
-            try {
-                // Send data to the backend API
-                    // Add debug logs
-                console.log('=== DEBUG: Sending to API ===');
-                console.log('Content type:', contentToAnalyze.type);
-                console.log('Content value length:', contentToAnalyze.value?.length);
-                console.log('Content value starts with:', contentToAnalyze.value?.substring(0, 50));
-                console.log('Full payload:', JSON.stringify(contentToAnalyze).substring(0, 200));
-                
-                // Send data to the backend API
-                const response = await fetch('https://tuneye.sabihinmolang.eu.org/api/process', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(contentToAnalyze),
-                });
+        const [{ entries }, overrides, pageUrl] = await Promise.all([
+            loadReputationList(), loadReputationOverrides(), resolveRedirectUrl(source.url)
+        ]);
+        if (!panel.isConnected) return; // The result was replaced meanwhile
 
-                if (!response.ok) throw new Error(`Server responded with status: ${response.status}`);
-                const analysisData = await response.json();
+        const ratings = [lookupDomainReputation(pageUrl, entries, overrides)];
+        if (source.canonical) {
+            const canonical = lookupDomainReputation(source.canonical, entries, overrides);
+            if (canonical.host && canonical.host !== ratings[0].host) ratings.push(canonical);
+        }
 
-                // Transform API data into a format suitable for our charts
-                const formattedData = {
-                    confidence: {
-                        fake: Math.round(parseFloat(analysisData.confidence["Fake News"]) * 100),
-                        neutral: 0,
-                        real: Math.round(parseFloat(analysisData.confidence["Real News"]) * 100)
-                    },
-                    keywords: analysisData.words.map(item => {
-                        const raw = parseFloat(item.weight);
-                        
-                        // Normalize raw score to -1 to +1 range using tanh
-                        const normalized = Math.tanh(raw);
-                        
-                        return {
-                            word: item.word,
-                            score: normalized,
-                            weight: raw 
-                        };
-                    })
-                };
+        panel.innerHTML = `<h4 id="source-panel-title">${t('sourceTitle')}</h4>`;
+        panel.appendChild(buildProvenance(source));
+        ratings.forEach(rating => panel.appendChild(buildReputationRow(rating, result)));
+        panel.classList.remove('hidden');
+    }
 
-                // Render results on the next frame for smooth UI update
-                requestAnimationFrame(() => {
-                    renderResultCharts(formattedData);
-                    const tryAgainBtn = document.querySelector('.nav-button.back'); // Show "Try Again" button after rendering
-                    if (tryAgainBtn) tryAgainBtn.classList.remove('invisible');
-                });
+    /**
+     * Builds the reputation line of one site, with a picker to rate the
+     * site yourself.
+     * @param {object} rating - From lookupDomainReputation.
+     * @param {object} result - The result being shown, redrawn after a change.
+     * @returns {HTMLElement}
+     */
+    function buildReputationRow(rating, result) {
+        const row = document.createElement('div');
+        row.className = `reputation-row reputation-${rating.category || 'unrated'}`;
 
-            } 
-            catch (error) { // Show user-friendly error message
-                console.error('Error analyzing content:', error);
-                const resultContent = document.getElementById('result-content'); 
-                if (resultContent) {
-                    resultContent.innerHTML = `
-                        <p style="color: red;">Analysis failed. Is the Python server running on port 1234?</p>
-                        <p style="font-size: 12px;">Error: ${error.message}</p>
-                    `;
-                }
-                const tryAgainBtn = document.querySelector('.nav-button.back'); // Allow user to retry
-                if (tryAgainBtn) tryAgainBtn.classList.remove('invisible');
+        const badge = document.createElement('p');
+        badge.className = 'reputation-badge';
+        badge.textContent = `${rating.host}: ${t(REPUTATION_LABEL_KEYS[rating.category || 'unrated'])}`;
+        const detail = document.createElement('p');
+        detail.className = 'provenance-detail';
+        detail.textContent = [
+            t(REPUTATION_HELP_KEYS[rating.category || 'unrated']),
+            rating.origin === 'override' ? t('reputationYourRating', rating.domain) : '',
+            rating.origin === 'list' && rating.domain !== rating.host ? t('reputationInherited', rating.domain) : '',
+            rating.note
+        ].filter(Boolean).join(' ');
 
-            } 
-            finally {
-                analyzeBtn.disabled = false; // Re-enable analyze button
-                btnText.textContent = 'Analyze Now'; // Restore button text
-                spinner.classList.add('hidden'); // Hide loading spinner
-            }
+        // Your own rating applies to the matched domain, so subdomains follow it
+        const label = document.createElement('label');
+        label.className = 'reputation-override';
+        label.textContent = t('reputationOverrideLabel');
+        const select = document.createElement('select');
+        select.appendChild(new Option(t('reputationUseList'), ''));
+        [...REPUTATION_CATEGORIES, 'unrated'].forEach(category => {
+            select.appendChild(new Option(t(REPUTATION_LABEL_KEYS[category]), category));
         });
+        select.value = rating.origin === 'override' ? rating.category || 'unrated' : '';
+        select.addEventListener('change', async () => {
+            await setReputationOverride(rating.domain, select.value || null);
+            renderSourcePanel(result);
+        });
+        label.appendChild(select);
+
+        row.append(badge, detail, label);
+        return row;
     }
 
     // =================================================================================
-    // STORAGE LISTENER
+    // FACT-CHECK FUNCTIONS
     // =================================================================================
 
-    // Listen for changes in Chrome local storage
+    /**
+     * Adds the "Related fact-checks" section under the charts with the
+     * imported fact-checks whose claims appear in the analyzed text.
+     * @param {object} result - The result being shown.
+     */
+    async function renderRelatedFactChecks(result) {
+        const anchor = document.getElementById('source-panel');
+        const feeds = await loadFactCheckFeeds();
+        if (!feeds.length || !anchor.isConnected) return; // Nothing imported, or the result was replaced
 
-    chrome.storage.onChanged.addListener((changes, namespace) => {
-        if (namespace === 'local' && changes.contentToAnalyze) { // Only react to changes in 'local' storage for 'contentToAnalyze'
-            const newContent = changes.contentToAnalyze.newValue;
-            if (newContent) { 
-                body.classList.remove('selection-mode-active'); // Exit selection mode if activ
-                displayContentForPreview(newContent); // Show the new content in the preview page
-                navigateTo('page-preview'); // Navigate to preview page
-                chrome.storage.local.remove('contentToAnalyze'); // Remove the content from storage after handling
-            }
+        const matches = findRelatedFactChecks(getAnalyzedText(result), feeds);
+        const section = document.createElement('section');
+        section.className = 'related-fact-checks';
+        section.setAttribute('aria-labelledby', 'related-fact-checks-title');
+        section.innerHTML = `<h4 id="related-fact-checks-title">${t('factChecksTitle')}</h4>`;
+
+        if (!matches.length) {
+            const none = document.createElement('p');
+            none.className = 'chart-help';
+            none.textContent = t('factChecksNone', feeds.reduce((total, feed) => total + feed.claims.length, 0));
+            section.appendChild(none);
         }
-    });
+
+        const list = document.createElement('ul');
+        matches.forEach(match => {
+            // Feed values are imported data, so they are set as text
+            const item = document.createElement('li');
+            const claim = document.createElement('q');
+            claim.textContent = match.claim;
+            const rating = document.createElement('span');
+            rating.className = 'fact-check-rating';
+            rating.textContent = match.rating || t('factChecksNoRating');
+            const meta = document.createElement('span');
+            meta.className = 'fact-check-meta';
+            meta.textContent = [match.publisher || match.feed, formatSourceDate(match.date)].filter(Boolean).join(' · ');
+            item.append(rating, ' ', claim, meta);
+
+            if (/^https?:\/\//i.test(match.url)) {
+                const link = document.createElement('a');
+                link.href = match.url;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = t('factChecksRead');
+                item.appendChild(link);
+            }
+            list.appendChild(item);
+        });
+        if (matches.length) section.appendChild(list);
+
+        anchor.after(section);
+    }
 
     // =================================================================================
-    // INITIAL EXECUTION
+    // ANNOTATED TEXT FUNCTIONS
     // =================================================================================
 
-    // Initial loading animation sequence
-    setTimeout(() => {
-        logo.classList.remove('hidden');
-        logoTitle.classList.remove('hidden');
-        logoText.classList.remove('hidden');
+    /**
+     * Shows the bar chart or the annotated text on the result page.
+     * @param {'chart'|'text'} view - The view to show.
+     */
+    function showWordView(view) {
+        wordView = view;
+        document.getElementById('keyword-chart-view').classList.toggle('hidden', view !== 'chart');
+        document.getElementById('annotated-text-view').classList.toggle('hidden', view !== 'text');
+        resultContent.querySelectorAll('[data-word-view]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.wordView === view));
+        });
+    }
+
+    /**
+     * Returns the text a result was computed from: the OCR text of an image,
+     * or the request value of a text request.
+     * @param {object} result - A shown result.
+     * @returns {string} The text, or '' when it is unknown (e.g. old image results).
+     */
+    function getAnalyzedText(result) {
+        if (result.text) return result.text;
+        return result.input?.type === 'text' ? result.input.value : '';
+    }
+
+    /**
+     * Splits text into the tokens the backend's vectorizer sees.
+     * @param {string} text - Text to split.
+     * @returns {{start: number, end: number, value: string}[]} Tokens with their character offsets.
+     */
+    function tokenizeWords(text) {
+        return [...text.matchAll(WORD_TOKEN_PATTERN)].map(match => ({
+            start: match.index,
+            end: match.index + match[0].length,
+            value: match[0].toLowerCase()
+        }));
+    }
+
+    /**
+     * Splits text into plain and annotated segments. Every occurrence of a
+     * contributing n-gram marks its tokens; where unigrams, bigrams and
+     * trigrams overlap, a token belongs to all of them, and neighbouring
+     * tokens covered by the same n-grams are joined into one segment.
+     * @param {string} text - The analyzed text.
+     * @param {object[]} keywords - Result keywords [{word, score, weight}].
+     * @returns {{text: string, keywords: object[]}[]} Segments in order; keywords is empty for plain text.
+     */
+    function buildAnnotationSegments(text, keywords) {
+        const tokens = tokenizeWords(text);
+        const cover = tokens.map(() => []);
+
+        keywords.forEach(keyword => {
+            const parts = tokenizeWords(keyword.word).map(token => token.value);
+            if (!parts.length) return;
+            for (let i = 0; i + parts.length <= tokens.length; i++) {
+                if (parts.every((part, j) => tokens[i + j].value === part)) {
+                    for (let j = 0; j < parts.length; j++) {
+                        if (!cover[i + j].includes(keyword)) cover[i + j].push(keyword);
+                    }
+                }
+            }
+        });
+
+        const segments = [];
+        let position = 0;
+        for (let i = 0; i < tokens.length; i++) {
+            if (!cover[i].length) continue;
+            let last = i; // Extend over following tokens covered by exactly the same n-grams
+            while (last + 1 < tokens.length && cover[last + 1].length === cover[i].length &&
+                cover[last + 1].every(keyword => cover[i].includes(keyword))) last++;
+
+            if (tokens[i].start > position) segments.push({ text: text.slice(position, tokens[i].start), keywords: [] });
+            segments.push({ text: text.slice(tokens[i].start, tokens[last].end), keywords: cover[i] });
+            position = tokens[last].end;
+            i = last;
+        }
+        if (position < text.length) segments.push({ text: text.slice(position), keywords: [] });
+        return segments;
+    }
+
+    /**
+     * Describes the weights behind an annotated segment, one line per n-gram.
+     * @param {object[]} keywords - The n-grams covering the segment.
+     * @param {number} score - Combined normalized score.
+     * @returns {string}
+     */
+    function describeAnnotation(keywords, score) {
+        const lines = keywords.map(k => t('annotationWeight', [k.word, (k.score * 100).toFixed(2), parseFloat(k.weight).toFixed(4)]));
+        if (keywords.length > 1) lines.push(t('annotationCombined', (score * 100).toFixed(2)));
+        return lines.join('\n');
+    }
+
+    /**
+     * Renders the analyzed text with each contributing n-gram shaded by the
+     * direction and strength of its weight. Overlapping n-grams add up, and
+     * shading is scaled to the same range as the bar chart. Hovering or
+     * focusing a segment shows its raw and tanh-normalized weights.
+     * @param {HTMLElement} container - Where to render.
+     * @param {string} text - The analyzed text.
+     * @param {object[]} keywords - Result keywords [{word, score, weight}].
+     * @param {number} chartMax - Largest absolute score on the bar chart.
+     */
+    function renderAnnotatedText(container, text, keywords, chartMax) {
+        container.innerHTML = '';
+        if (!text) {
+            const notice = document.createElement('p');
+            notice.className = 'chart-help';
+            notice.textContent = t('annotatedTextUnavailable');
+            container.appendChild(notice);
+            return;
+        }
+
+        const help = document.createElement('p');
+        help.className = 'chart-help';
+        help.textContent = t('annotatedTextHelp');
+
+        const textBlock = document.createElement('blockquote');
+        textBlock.className = 'annotated-text';
+
+        const detail = document.createElement('p');
+        detail.className = 'annotation-detail';
+        detail.setAttribute('aria-live', 'polite');
+
+        let annotated = 0;
+        buildAnnotationSegments(text, keywords).forEach(segment => {
+            if (!segment.keywords.length) {
+                textBlock.appendChild(document.createTextNode(segment.text));
+                return;
+            }
+            annotated++;
+            const score = Math.tanh(segment.keywords.reduce((sum, k) => sum + parseFloat(k.weight), 0));
+            const direction = score > WORD_THRESHOLD ? 'real' : score < -WORD_THRESHOLD ? 'fake' : 'neutral';
+            const description = describeAnnotation(segment.keywords, score);
+
+            const mark = document.createElement('mark');
+            mark.className = `annotation ${direction}`;
+            mark.tabIndex = 0;
+            mark.textContent = segment.text;
+            mark.title = description;
+            mark.style.setProperty('--strength', (0.2 + 0.8 * Math.min(1, Math.abs(score) / chartMax)).toFixed(2));
+
+            const showDetail = () => { detail.textContent = `${segment.text}: ${describeWordDirection(score)}\n${description}`; };
+            mark.addEventListener('mouseenter', showDetail);
+            mark.addEventListener('focus', showDetail);
+            textBlock.appendChild(mark);
+        });
+
+        if (!annotated) help.textContent = t('annotatedTextNoMatches');
+        container.append(help, textBlock, detail);
+    }
+
+
+    // =================================================================================
+    // ANALYSIS FUNCTIONS
+    // =================================================================================
+
+    /**
+     * Classifies text in the offline classifier worker, starting it on first use.
+     * @param {string} text - Text to classify.
+     * @returns {Promise<object>} {verdict, confidence, words} like /api/process.
+     */
+    function runOfflineClassifier(text) {
+        if (!offlineWorker) {
+            offlineWorker = new Worker('/Scripts/offline_classifier.js');
+            offlineWorker.addEventListener('message', (event) => {
+                const { id, result, error } = event.data;
+                const pending = offlineRequests.get(id);
+                if (!pending) return;
+                offlineRequests.delete(id);
+                if (error) pending.reject(new Error(error));
+                else pending.resolve(result);
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = ++offlineRequestId;
+            offlineRequests.set(id, { resolve, reject });
+            offlineWorker.postMessage({ id, text });
+        });
+    }
+
+    /**
+     * Shows a stored result on the result page with its charts redrawn.
+     * A back button returns to the page the result was opened from.
+     * @param {object} result - A history entry or analyzed queue item result.
+     * @param {string} note - Short line shown above the verdict.
+     */
+    function openSavedResult(result, note) {
+        const returnPageId = currentPageId;
+        navigateTo('page-result');
+        requestAnimationFrame(() => {
+            renderResultCharts(result);
+
+            const meta = document.createElement('p');
+            meta.className = 'result-meta';
+            meta.textContent = note;
+            resultContent.prepend(meta);
+
+            currentResult = result;
+            showResultActions(true);
+            resultBackBtn.dataset.target = returnPageId;
+            resultBackBtn.classList.remove('hidden');
+            saveSession();
+        });
+    }
+
+    /**
+     * Shows the result of a post whose badge was clicked in feed scanning
+     * mode. Scanned posts are only saved to history once they are opened.
+     * @param {object} result - Result from the badge (background.js).
+     */
+    function openScannedResult(result) {
+        if (sessionTabId) chrome.storage.session.remove(getTabKey(TAB_RESULT_KEY, sessionTabId));
+        addHistoryEntry(result).catch(err => console.error('Saving history failed:', err));
+        openSavedResult(result, t('scanResultNote'));
+    }
+
+    // =================================================================================
+    // TAB SESSION FUNCTIONS
+    // =================================================================================
+
+    /**
+     * Saves the page, content and result shown to the session of the panel's
+     * tab, so they are back when the panel is reopened on it.
+     */
+    function saveSession() {
+        if (!sessionTabId) return;
+        saveTabSession(sessionTabId, { pageId: currentPageId, content: currentContent, result: currentResult })
+            .catch(err => console.error('Saving the session failed:', err));
+    }
+
+    /**
+     * Shows a tab's session as it was left, then anything captured on the tab
+     * or opened from its feed badges while the panel was closed.
+     * @param {number} tabId - The tab whose session to show.
+     */
+    async function restoreSession(tabId) {
+        const [session, job] = await Promise.all([loadTabSession(tabId), loadAnalysisJob(tabId)]);
+        if (tabId !== sessionTabId) return; // Switched again meanwhile
+
+        currentContent = session?.content || null;
+        currentResult = session?.result || null;
+        contentDisplay.innerHTML = '';
+        resultContent.innerHTML = '';
+        if (currentContent) displayContentForPreview(currentContent);
+
+        // A job still running shows its progress; after one that failed or was
+        // cancelled, the content can be analyzed again from the preview
+        analysisJobId = job?.status === 'running' ? job.id : null;
+        let pageId = analysisJobId ? 'page-result' : session?.pageId || 'page-intro';
+        if (pageId === 'page-result' && !currentResult && !analysisJobId) pageId = 'page-preview';
+        if (pageId === 'page-preview' && !currentContent) pageId = 'page-select';
+        navigateTo(pageId);
+        if (pageId === 'page-history') renderHistory();
+        if (pageId === 'page-queue') renderQueue();
+        if (analysisJobId) {
+            currentResult = null;
+            showResultActions(false);
+            requestAnimationFrame(() => showJobProgress(job));
+        } else if (currentResult) {
+            requestAnimationFrame(() => {
+                renderResultCharts(currentResult);
+                showResultActions(true);
+            });
+        } else {
+            showResultActions(false);
+        }
+
+        const content = await takeTabItem(tabId, TAB_CONTENT_KEY);
+        if (content && tabId === sessionTabId) handleIncomingContent(content);
+        const result = await takeTabItem(tabId, TAB_RESULT_KEY);
+        if (result && tabId === sessionTabId) openScannedResult(result);
+    }
+
+    /**
+     * Makes the panel show another tab's session. An analysis still running
+     * keeps going in the background and is saved to the tab it was started on.
+     * @param {number} tabId - The tab to show.
+     */
+    function switchSession(tabId) {
+        if (tabId === sessionTabId) return;
+        if (queueItems.length) tabQueues.set(sessionTabId, queueItems);
+        else tabQueues.delete(sessionTabId);
+        sessionTabId = tabId;
+        queueItems = tabQueues.get(tabId) || [];
+        renderQueue();
+        analysisJobId = null;
+        body.classList.remove('selection-mode-active');
+        clearPageHighlights();
+        restoreSession(tabId);
+    }
+
+    /**
+     * Shows the session of the tab the panel was opened for, or else of the
+     * active tab, following it as the user switches tabs in this window.
+     */
+    async function startSessions() {
+        chrome.tabs.onRemoved.addListener((tabId) => tabQueues.delete(tabId));
+        if (boundTabId) {
+            switchSession(boundTabId);
+            return;
+        }
+
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (tab) switchSession(tab.id);
+        chrome.tabs.onActivated.addListener(async () => {
+            const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (activeTab) switchSession(activeTab.id);
+        });
+    }
+
+    // =================================================================================
+    // HISTORY FUNCTIONS
+    // =================================================================================
+
+    /**
+     * Returns a short one-line description of an entry's input.
+     * @param {object} entry - A history entry.
+     * @returns {string}
+     */
+    function describeHistoryInput(entry) {
+        if (entry.input.type === 'image') return `[${t('labelImage')}] ` + (entry.source?.title || describeImageUrl(entry.input.value));
+        return entry.input.value;
+    }
+
+    /**
+     * Fills the domain filter with every domain present in the history,
+     * keeping the current choice when it still exists.
+     * @param {object[]} history - All history entries.
+     */
+    function populateDomainFilter(history) {
+        const selected = historyDomainFilter.value;
+        const domains = [...new Set(history.map(getHistoryDomain).filter(Boolean))].sort();
+
+        historyDomainFilter.innerHTML = '';
+        historyDomainFilter.appendChild(new Option(t('historyAllSites'), ''));
+        domains.forEach(domain => {
+            const option = document.createElement('option');
+            option.value = domain;
+            option.textContent = domain;
+            historyDomainFilter.appendChild(option);
+        });
+        historyDomainFilter.value = domains.includes(selected) ? selected : '';
+    }
+
+    /**
+     * Renders the history list using the current search text and filters.
+     */
+    async function renderHistory() {
+        const history = await loadHistory();
+        populateDomainFilter(history);
+
+        const query = historySearch.value.trim().toLowerCase();
+        const verdict = historyVerdictFilter.value;
+        const domain = historyDomainFilter.value;
+
+        const matches = history.filter(entry => {
+            if (verdict && getResultVerdict(entry) !== verdict) return false;
+            if (domain && getHistoryDomain(entry) !== domain) return false;
+            if (!query) return true;
+            const haystack = [entry.input.value, entry.source?.title, entry.source?.url]
+                .filter(Boolean).join(' ').toLowerCase();
+            return haystack.includes(query);
+        });
+
+        historyList.innerHTML = '';
+        if (!matches.length) {
+            historyList.innerHTML = `<li><p class="history-empty">${history.length ? t('historyNoMatches') : t('historyEmpty')}</p></li>`;
+            return;
+        }
+
+        matches.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.innerHTML = `
+                <span class="history-item-verdict ${getResultVerdict(entry)}-news"></span>
+                <div class="history-item-body">
+                    <p class="history-item-text"></p>
+                    <p class="history-item-meta"></p>
+                </div>
+                <button class="icon-btn"><i class="fa-solid fa-xmark"></i></button>
+            `;
+            item.querySelector('.icon-btn').title = t('delete');
+
+            // Set stored values as text to avoid injecting page content as markup
+            item.querySelector('.history-item-verdict').textContent =
+                describeVerdictShort(entry);
+            item.querySelector('.history-item-text').textContent = describeHistoryInput(entry);
+            item.querySelector('.history-item-meta').textContent =
+                [new Date(entry.timestamp).toLocaleString(getUiLocale()), getHistoryDomain(entry)].filter(Boolean).join(' · ');
+
+            item.tabIndex = 0; // Opened with Enter or Space as well as a click
+            item.addEventListener('click', () => openHistoryEntry(entry));
+            item.addEventListener('keydown', (e) => {
+                if (e.target === item && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    openHistoryEntry(entry);
+                }
+            });
+            item.querySelector('.icon-btn').addEventListener('click', async (e) => {
+                e.stopPropagation(); // Do not open the entry being deleted
+                await deleteHistoryEntry(entry.id);
+                renderHistory();
+            });
+
+            historyList.appendChild(item);
+        });
+    }
+
+    /**
+     * Re-opens a saved analysis on the result page with its charts redrawn.
+     * @param {object} entry - A history entry.
+     */
+    function openHistoryEntry(entry) {
+        openSavedResult(entry, t('historySavedFrom', new Date(entry.timestamp).toLocaleString(getUiLocale())));
+    }
+
+    // =================================================================================
+    // QUEUE FUNCTIONS
+    // =================================================================================
+
+    /**
+     * Returns a short one-line description of a captured content object.
+     * @param {object} content - A content object from storage.
+     * @returns {string}
+     */
+    function describeContent(content) {
+        if (content.type === 'image') return `[${t('labelImage')}] ` + (content.source?.title || describeImageUrl(content.data));
+        if (content.type === 'article') return `[${t('labelArticle')}] ` + (content.data?.headline || content.source?.title || '');
+        if (content.type === 'post') {
+            const { site, author, headline, text } = content.data;
+            return `[${site}] ` + [author, headline || text].filter(Boolean).join(': ');
+        }
+        return content.data;
+    }
+
+    /**
+     * Adds a captured item to the batch queue.
+     * @param {object} content - A content object from storage.
+     */
+    function addToQueue(content) {
+        queueItems.push({ content, status: 'pending', result: null, error: null });
+        renderQueue();
+    }
+
+    /**
+     * Renders the queue as a summary table of items, statuses and verdicts.
+     */
+    function renderQueue() {
+        const running = queueRunningTabId === sessionTabId;
+        queueCount.textContent = queueItems.length ? `(${queueItems.length})` : '';
+        queueList.innerHTML = '';
+
+        if (!queueItems.length) {
+            queueList.innerHTML = `<tr><td colspan="4" class="history-empty">${t('queueEmpty')}</td></tr>`;
+        }
+
+        queueItems.forEach((item, index) => {
+            const row = document.createElement('tr');
+            row.className = `queue-row ${item.status}`;
+            row.innerHTML = `
+                <td>${index + 1}</td>
+                <td class="queue-item-text"></td>
+                <td class="queue-item-status"></td>
+                <td><button class="icon-btn"></button></td>
+            `;
+            row.querySelector('.queue-item-text').textContent = describeContent(item.content);
+
+            const status = row.querySelector('.queue-item-status');
+            const action = row.querySelector('.icon-btn');
+
+            if (item.status === 'done') {
+                status.textContent = describeVerdictShort(item.result);
+                if (item.result.offline) {
+                    status.textContent += ` ${t('queueOffline')}`;
+                    status.title = t('offlineEstimate');
+                }
+                status.classList.add(`${item.result.verdict}-news`);
+                action.innerHTML = '<i class="fa-solid fa-chart-simple"></i>';
+                action.title = t('queueViewResult');
+                const openResult = () => openSavedResult(item.result, t('queueItemNote', [index + 1, queueItems.length]));
+                row.tabIndex = 0; // Opened with Enter or Space as well as a click
+                row.addEventListener('click', openResult);
+                row.addEventListener('keydown', (e) => {
+                    if (e.target === row && (e.key === 'Enter' || e.key === ' ')) {
+                        e.preventDefault();
+                        openResult();
+                    }
+                });
+            } else if (item.status === 'analyzing') {
+                status.textContent = t('analyzing');
+                action.remove();
+            } else {
+                status.textContent = item.status === 'error' ? t('queueFailed') : t('queueWaiting');
+                if (item.status === 'error') {
+                    status.classList.add('fake-news');
+                    status.title = localizeError(item.error);
+                }
+                action.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+                action.title = t('queueRemove');
+                action.disabled = running;
+                action.addEventListener('click', () => {
+                    queueItems.splice(index, 1);
+                    renderQueue();
+                });
+            }
+            queueList.appendChild(row);
+        });
+
+        // Progress while this tab's batch runs, then a summary of the finished items
+        if (running) {
+            queueProgress.textContent = queueRunningProgress;
+        } else {
+            const done = queueItems.filter(item => item.status === 'done');
+            const failed = queueItems.filter(item => item.status === 'error').length;
+            const real = done.filter(item => item.result.verdict === 'real').length;
+            const fake = done.filter(item => item.result.verdict === 'fake').length;
+            const uncertain = done.length - real - fake;
+            queueProgress.textContent = done.length || failed
+                ? (failed ? t('queueSummaryFailed', [real, fake, uncertain, failed]) : t('queueSummary', [real, fake, uncertain]))
+                : '';
+        }
+        analyzeQueueBtn.disabled = queueRunningTabId !== null || !queueItems.some(item => item.status === 'pending' || item.status === 'error');
+        clearQueueBtn.disabled = running;
+    }
+
+    /**
+     * Analyzes every waiting or failed queue item of the shown tab one after
+     * another, so the backend is not flooded with parallel requests. It keeps
+     * going when the panel switches to another tab.
+     */
+    async function analyzeQueue() {
+        const pending = queueItems.filter(item => item.status === 'pending' || item.status === 'error');
+        if (queueRunningTabId !== null || !pending.length) return;
+
+        const tabId = sessionTabId;
+        queueRunningTabId = tabId;
+        const backendProfile = await getSelectedBackendProfile();
+
+        for (const [position, item] of pending.entries()) {
+            item.status = 'analyzing';
+            queueRunningProgress = t('queueProgress', [position + 1, pending.length]);
+            renderQueue();
+
+            try {
+                item.result = await analyzeContent(item.content, backendProfile, { verdictSettings, classifyOffline: runOfflineClassifier });
+                item.status = 'done';
+            } catch (error) {
+                console.error('Error analyzing queue item:', error);
+                item.status = 'error';
+                item.error = describeJobError(error);
+            }
+        }
+
+        queueRunningTabId = null;
+        renderQueue();
+    }
+
+    /**
+     * Starts selection mode on the active tab that stays on until the user
+     * presses Done, so several items can be collected.
+     */
+    function startQueueSelection() {
+        navigateTo('page-queue');
+        renderQueue();
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            ensureContentScript(tabs[0].id)
+                .then(() => chrome.tabs.sendMessage(tabs[0].id, {
+                    type: "ACTIVATE_SELECTION_MODE",
+                    multiple: true
+                }))
+                .catch(showPageAccessError);
+        });
+    }
+
+    // =================================================================================
+    // MANUAL INPUT FUNCTIONS
+    // =================================================================================
+
+    /**
+     * Shows a problem with the manual input, or clears it.
+     * @param {string} [message] - Text to show; empty clears the message.
+     */
+    function showManualInputMessage(message = '') {
+        manualInputMessage.textContent = message;
+    }
+
+    /**
+     * Sends pasted text to the preview page.
+     */
+    function submitManualText() {
+        const text = manualText.value.trim();
+        if (!text) {
+            showManualInputMessage(t('manualTextEmpty'));
+            manualText.focus();
+            return;
+        }
+        showManualInputMessage();
+        manualText.value = '';
+        handleIncomingContent({ type: 'text', data: text, source: null });
+    }
+
+    /**
+     * Checks an image file from the picker, a drop or the clipboard and sends
+     * it to the preview page.
+     * @param {File} file - The chosen image file.
+     */
+    async function submitManualImage(file) {
+        if (!MANUAL_IMAGE_TYPES.includes(file.type)) {
+            showManualInputMessage(t('manualImageWrongType', file.name || file.type));
+            return;
+        }
+        if (file.size > MANUAL_IMAGE_MAX_BYTES) {
+            showManualInputMessage(t('manualImageTooLarge', formatFileSize(MANUAL_IMAGE_MAX_BYTES)));
+            return;
+        }
+        showManualInputMessage();
+        try {
+            const imageData = await encodeImageBlob(file);
+            const content = { type: 'image', data: null, imageData, capture: 'file', source: { title: file.name } };
+            // The bytes are kept by background.js in local storage, so the tab's session does not fill up
+            const kept = await chrome.runtime.sendMessage({ type: "KEEP_CAPTURED_IMAGE", tabId: sessionTabId, content });
+            if (!kept) {
+                showManualInputMessage(t('errorCaptureNotStored'));
+                return;
+            }
+            handleIncomingContent(kept);
+        } catch (error) {
+            console.error('Reading the image failed:', error);
+            showManualInputMessage(t('manualImageUnreadable'));
+        }
+    }
+
+    /**
+     * Formats a byte count as megabytes for messages.
+     * @param {number} bytes - Size in bytes.
+     * @returns {string}
+     */
+    function formatFileSize(bytes) {
+        return `${Math.round(bytes / (1024 * 1024))} MB`;
+    }
+
+    /**
+     * Downloads an article from a typed-in link, extracts its story with
+     * article_extractor.js and sends it to the preview page.
+     */
+    async function submitArticleUrl() {
+        let url;
+        try {
+            url = new URL(articleUrlInput.value.trim());
+        } catch (e) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            showManualInputMessage(t('manualUrlInvalid'));
+            articleUrlInput.focus();
+            return;
+        }
+
+        // Pages are only downloaded from sites the user allows
+        if (!(await ensureBackendPermission({ baseUrl: url.href }))) {
+            showManualInputMessage(t('optionsPermissionDenied', url.origin));
+            return;
+        }
+
+        showManualInputMessage();
+        articleUrlBtn.disabled = true;
+        articleUrlBtn.textContent = t('manualUrlFetching');
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), ARTICLE_FETCH_TIMEOUT_MS);
+        try {
+            const response = await fetch(url, { credentials: 'include', signal: controller.signal });
+            if (!response.ok) throw new Error(t('manualUrlStatus', response.status));
+            const contentType = response.headers.get('content-type') || '';
+            if (!contentType.includes('html')) throw new Error(t('manualUrlNotPage'));
+
+            // DOMParser builds the page without running its scripts or loading its images
+            const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+            const finalUrl = new URL(response.url || url);
+            const article = extractArticleFromDocument(doc, finalUrl.hostname);
+            if (!article.text) throw new Error(t('previewNoArticle'));
+
+            articleUrlInput.value = '';
+            handleIncomingContent({
+                type: 'article',
+                data: article,
+                source: {
+                    ...extractPageProvenance(doc, finalUrl.href),
+                    title: article.headline || doc.title,
+                    redirectedFrom: finalUrl.href !== url.href ? url.href : '' // Short links and moved pages
+                }
+            });
+        } catch (error) {
+            console.error('Fetching the article failed:', error);
+            if (error.name === 'AbortError') showManualInputMessage(t('manualUrlTimeout'));
+            else if (error instanceof TypeError) showManualInputMessage(t('manualUrlFailed')); // Network or CORS failure
+            else showManualInputMessage(error.message);
+        } finally {
+            clearTimeout(timer);
+            articleUrlBtn.disabled = false;
+            articleUrlBtn.textContent = t('manualUrlButton');
+        }
+    }
+
+    // =================================================================================
+    // FEEDBACK FUNCTIONS
+    // =================================================================================
+
+    /**
+     * Resets the feedback form for a result, showing the feedback already
+     * given on it if any.
+     * @param {object} result - The result on the result page.
+     */
+    async function showFeedbackForm(result) {
+        feedbackForm.reset();
+        selectFeedbackChoice('');
+        feedbackMessage.textContent = '';
+
+        const given = await getFeedbackForAnalysis(result.timestamp);
+        if (!given || currentResult !== result) return;
+        selectFeedbackChoice(given.feedback);
+        feedbackLabelSelect.value = given.label || '';
+        feedbackCommentInput.value = given.comment || '';
+        feedbackEvidenceInput.value = given.evidenceUrl || '';
+        feedbackMessage.textContent = t('feedbackAlreadyGiven');
+    }
+
+    /**
+     * Marks the Correct or Incorrect button as chosen and shows the form.
+     * The correct label is asked when the verdict is wrong or was uncertain.
+     * @param {'correct'|'incorrect'|''} choice - '' clears the choice.
+     */
+    function selectFeedbackChoice(choice) {
+        verdictFeedback.dataset.choice = choice;
+        verdictFeedback.querySelectorAll('[data-feedback]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.feedback === choice));
+        });
+        feedbackForm.classList.toggle('hidden', !choice);
+        const uncertain = currentResult && getResultVerdict(currentResult) === 'uncertain';
+        feedbackLabelRow.classList.toggle('hidden', choice !== 'incorrect' && !uncertain);
+    }
+
+    /**
+     * Saves the feedback on the current result and tries to send it.
+     */
+    async function submitFeedback() {
+        const result = currentResult;
+        const choice = verdictFeedback.dataset.choice;
+        if (!result || !choice) return;
+
+        const evidenceUrl = feedbackEvidenceInput.value.trim();
+        if (evidenceUrl && !/^https?:\/\//i.test(evidenceUrl)) {
+            feedbackMessage.textContent = t('feedbackInvalidLink');
+            return;
+        }
+
+        const verdict = getResultVerdict(result); // The verdict the user saw
+        await addFeedback({
+            analyzedAt: result.timestamp,
+            input: result.input,
+            text: getAnalyzedText(result),
+            source: result.source || null,
+            model: result.model || null,
+            backend: result.backend,
+            verdict,
+            confidence: result.confidence,
+            keywords: result.keywords,
+            feedback: choice,
+            label: feedbackLabelRow.classList.contains('hidden') ? '' : feedbackLabelSelect.value,
+            comment: feedbackCommentInput.value.trim(),
+            evidenceUrl
+        });
+
+        const { endpoint } = await loadFeedbackSettings();
+        if (!endpoint) {
+            feedbackMessage.textContent = t('feedbackSavedLocally');
+            return;
+        }
+        const { failed } = await submitPendingFeedback();
+        feedbackMessage.textContent = failed || !navigator.onLine ? t('feedbackQueued') : t('feedbackSent');
+    }
+
+    /**
+     * Sends queued feedback in the background; failures stay queued.
+     */
+    function retryPendingFeedback() {
+        submitPendingFeedback().catch(error => console.error('Sending feedback failed:', error));
+    }
+
+    // =================================================================================
+    // MODEL SELECTION AND COMPARISON FUNCTIONS
+    // =================================================================================
+
+    /**
+     * Fills the model and compare pickers from the backend profiles, naming
+     * the model each profile last reported.
+     */
+    async function renderModelPicker() {
+        const { profiles, selectedId } = await loadBackendProfiles();
+        const models = await loadBackendModels();
+        const describe = profile => models[profile.id]
+            ? t('modelOption', [models[profile.id].name, profile.name])
+            : profile.name;
+
+        modelSelect.innerHTML = '';
+        compareSelect.innerHTML = '';
+        compareSelect.appendChild(new Option(t('compareNone'), ''));
+        profiles.forEach(profile => {
+            modelSelect.appendChild(new Option(describe(profile), profile.id));
+            const option = new Option(describe(profile), profile.id);
+            option.disabled = profile.id === selectedId; // Comparing a model with itself says nothing
+            compareSelect.appendChild(option);
+        });
+
+        if (compareProfileId === selectedId || !profiles.some(p => p.id === compareProfileId)) compareProfileId = '';
+        modelSelect.value = selectedId;
+        compareSelect.value = compareProfileId;
+    }
+
+    /**
+     * Returns the display name of the model behind a result.
+     * @param {object} result - An analysis result.
+     * @returns {string}
+     */
+    function getResultModelName(result) {
+        return result.model?.name || getResultBackendName(result);
+    }
+
+    /**
+     * Finds where two models' word weights tell different stories: words
+     * they push in opposite directions and words only one of them relies on.
+     * @param {object} first - Result of the selected model.
+     * @param {object} second - Result of the compared model.
+     * @returns {{opposite: object[], onlyFirst: string[], onlySecond: string[]}}
+     *     opposite items are {word, first, second} with the two normalized scores.
+     */
+    function explainModelDifferences(first, second) {
+        const byWord = result => new Map(result.keywords.map(k => [k.word.toLowerCase(), k]));
+        const firstWords = byWord(first);
+        const secondWords = byWord(second);
+        const direction = score => (score > WORD_THRESHOLD ? 1 : score < -WORD_THRESHOLD ? -1 : 0);
+
+        const opposite = [...firstWords]
+            .filter(([word, k]) => secondWords.has(word) && direction(k.score) * direction(secondWords.get(word).score) < 0)
+            .map(([word, k]) => ({ word: k.word, first: k.score, second: secondWords.get(word).score }));
+        const onlyFirst = [...firstWords.values()].filter(k => !secondWords.has(k.word.toLowerCase())).map(k => k.word);
+        const onlySecond = [...secondWords.values()].filter(k => !firstWords.has(k.word.toLowerCase())).map(k => k.word);
+        return { opposite, onlyFirst, onlySecond };
+    }
+
+    /**
+     * Builds one model's column of the comparison: verdict, confidence and
+     * strongest words.
+     * @param {object} result - The model's result.
+     * @param {'real'|'fake'|'uncertain'} verdict - Its verdict under the current thresholds.
+     * @returns {HTMLElement}
+     */
+    function buildComparisonColumn(result, verdict) {
+        const column = document.createElement('div');
+        column.className = 'compare-column';
+
+        const name = document.createElement('h5');
+        name.textContent = getResultModelName(result);
+        const backend = document.createElement('p');
+        backend.className = 'compare-backend';
+        backend.textContent = getResultBackendName(result);
+
+        const verdictLine = document.createElement('p');
+        verdictLine.className = `compare-verdict ${verdict}-news`;
+        verdictLine.textContent = describeVerdictShort({ verdict, confidence: result.confidence });
+
+        const confidence = document.createElement('p');
+        confidence.className = 'compare-confidence';
+        confidence.textContent = t('compareConfidence', [result.confidence.real, result.confidence.fake]);
+        const bar = document.createElement('div');
+        bar.className = 'compare-bar';
+        bar.setAttribute('aria-hidden', 'true'); // Same numbers as the line above
+        const realPart = document.createElement('span');
+        realPart.style.width = `${result.confidence.real}%`;
+        bar.appendChild(realPart);
+
+        const words = document.createElement('ol');
+        words.className = 'compare-words';
+        result.keywords.slice(0, COMPARE_TOP_WORDS).forEach(k => {
+            const item = document.createElement('li');
+            item.textContent = `${describeWordDirection(k.score).charAt(0)} ${k.word} (${(k.score * 100).toFixed(1)}%)`;
+            item.title = t('chartWordTooltip', [(k.score * 100).toFixed(2), parseFloat(k.weight).toFixed(4)]);
+            words.appendChild(item);
+        });
+
+        column.append(name, backend, verdictLine, confidence, bar, words);
+        return column;
+    }
+
+    /**
+     * Shows the averaged score of both models under the comparison.
+     * @param {HTMLElement} target - Paragraph to fill.
+     * @param {object} first - Result of the selected model.
+     * @param {object} second - Result of the compared model.
+     */
+    function renderEnsembleScore(target, first, second) {
+        target.classList.toggle('hidden', !showEnsemble);
+        if (!showEnsemble) return;
+        const confidence = {
+            fake: Math.round((first.confidence.fake + second.confidence.fake) / 2),
+            real: Math.round((first.confidence.real + second.confidence.real) / 2)
+        };
+        // Both results of a job were judged with the same thresholds; a reopened comparison keeps them
+        const verdict = classifyVerdict(confidence, first.thresholds || verdictSettings);
+        const verdictName = { real: t('verdictReal'), fake: t('verdictFake'), uncertain: t('verdictUncertain') }[verdict];
+        target.className = `compare-ensemble ${verdict}-news`;
+        target.textContent = t('compareEnsemble', [verdictName, confidence.real, confidence.fake]);
+    }
+
+    /**
+     * Adds the side-by-side comparison of two models above the charts:
+     * agreement, each model's verdict and words, an optional averaged score
+     * and an explanation of where they differ.
+     * @param {object} first - Result of the selected model (the charts show this one).
+     * @param {object} second - Result of the compared model, or {error}.
+     * @param {object} secondProfile - Backend profile of the compared model.
+     */
+    function renderComparison(first, second, secondProfile) {
+        const section = document.createElement('section');
+        section.className = 'model-comparison';
+        section.setAttribute('aria-labelledby', 'model-comparison-title');
+        const title = document.createElement('h4');
+        title.id = 'model-comparison-title';
+        title.textContent = t('compareTitle');
+        section.appendChild(title);
+        (resultContent.querySelector('.result-model') || resultContent.querySelector('.result-summary')).after(section);
+
+        if (second.error) {
+            const failure = document.createElement('p');
+            failure.className = 'analysis-error-advice';
+            failure.textContent = t('compareFailed', [secondProfile.name, localizeError(second.error)]);
+            section.appendChild(failure);
+            return;
+        }
+
+        const verdicts = [getResultVerdict(first), getResultVerdict(second)];
+        const names = [getResultModelName(first), getResultModelName(second)];
+        const state = verdicts[0] === verdicts[1] ? 'agree' : verdicts.includes('uncertain') ? 'partial' : 'disagree';
+        const agreement = document.createElement('p');
+        agreement.className = `model-agreement ${state}`;
+        const icon = { agree: 'fa-circle-check', partial: 'fa-circle-half-stroke', disagree: 'fa-triangle-exclamation' }[state];
+        agreement.innerHTML = `<i class="fa-solid ${icon}" aria-hidden="true"></i> `;
+        const verdictName = { real: t('verdictReal'), fake: t('verdictFake'), uncertain: t('verdictUncertain') }[verdicts[0]];
+        agreement.append({
+            agree: t('compareAgree', verdictName),
+            partial: t('comparePartial'),
+            disagree: t('compareDisagree')
+        }[state]);
+
+        const grid = document.createElement('div');
+        grid.className = 'compare-grid';
+        grid.append(buildComparisonColumn(first, verdicts[0]), buildComparisonColumn(second, verdicts[1]));
+
+        // Optional averaged score of both models
+        const ensembleToggle = document.createElement('label');
+        ensembleToggle.className = 'compare-ensemble-toggle';
+        const ensembleCheckbox = document.createElement('input');
+        ensembleCheckbox.type = 'checkbox';
+        ensembleCheckbox.checked = showEnsemble;
+        ensembleToggle.append(ensembleCheckbox, ` ${t('compareShowEnsemble')}`);
+        const ensemble = document.createElement('p');
+        ensembleCheckbox.addEventListener('change', () => {
+            showEnsemble = ensembleCheckbox.checked;
+            renderEnsembleScore(ensemble, first, second);
+        });
+        renderEnsembleScore(ensemble, first, second);
+
+        // Where the two explanations differ, open by default when the verdicts do
+        const { opposite, onlyFirst, onlySecond } = explainModelDifferences(first, second);
+        const differences = document.createElement('details');
+        differences.className = 'compare-differences';
+        differences.open = state !== 'agree';
+        const summary = document.createElement('summary');
+        summary.textContent = t('compareWhyDiffer');
+        differences.appendChild(summary);
+        const addLine = (text) => {
+            const line = document.createElement('p');
+            line.textContent = text;
+            differences.appendChild(line);
+        };
+        addLine(t('compareGap', Math.abs(first.confidence.real - second.confidence.real)));
+        if (opposite.length) {
+            addLine(t('compareOpposite'));
+            const list = document.createElement('ul');
+            opposite.forEach(item => {
+                const entry = document.createElement('li');
+                entry.textContent = t('compareOppositeWord', [item.word, names[0], describeWordDirection(item.first), names[1], describeWordDirection(item.second)]);
+                list.appendChild(entry);
+            });
+            differences.appendChild(list);
+        }
+        if (onlyFirst.length) addLine(t('compareOnly', [names[0], onlyFirst.join(', ')]));
+        if (onlySecond.length) addLine(t('compareOnly', [names[1], onlySecond.join(', ')]));
+        if (!opposite.length && !onlyFirst.length && !onlySecond.length) addLine(t('compareSameWords'));
+
+        const chartsNote = document.createElement('p');
+        chartsNote.className = 'chart-help';
+        chartsNote.textContent = t('compareChartsNote', names[0]);
+
+        section.append(agreement, grid, ensembleToggle, ensemble, differences, chartsNote);
+        announce(agreement.textContent);
+    }
+
+    // =================================================================================
+    // BACKEND STATUS FUNCTIONS
+    // =================================================================================
+
+    /**
+     * Pings the selected backend profile and updates every header status indicator.
+     * Header elements are looked up on each call since they come from a template.
+     */
+    async function updateBackendStatus() {
+        const indicators = document.querySelectorAll('.backend-status');
+        const profile = await getSelectedBackendProfile();
+
+        indicators.forEach(indicator => {
+            indicator.querySelector('.status-dot').className = 'status-dot';
+            indicator.title = t('backendCheckingProfile', profile.name);
+        });
+
+        const health = await checkBackendHealth(profile);
+        const latencyText = health.latency !== null ? t('backendLatency', health.latency) : '';
+
+        indicators.forEach(indicator => {
+            indicator.querySelector('.status-dot').classList.add(health.state);
+            indicator.title = t('backendStatus', [profile.name, health.detail, latencyText]);
+        });
+    }
+
+    // =================================================================================
+    // EVENT LISTENERS
+    // =================================================================================
+
+    // Generic navigation buttons (Next, Back)
+    navButtons.forEach(button => {
+        button.addEventListener('click', (e) => {
+            const targetPageId = e.currentTarget.getAttribute('data-target');
+            if (targetPageId) navigateTo(targetPageId);
+        });
+    });
+
+    // Header buttons and navigation steps (injected from templates, so delegate from the document)
+    document.addEventListener('click', (e) => {
+        const step = e.target.closest('.nav-step');
+        if (step && !step.disabled) navigateTo(step.dataset.target);
+        if (e.target.closest('.backend-status')) updateBackendStatus();
+        if (e.target.closest('.settings-btn')) chrome.runtime.openOptionsPage();
+        if (e.target.closest('.history-btn')) {
+            navigateTo('page-history');
+            renderHistory();
+        }
+    });
+
+    // History search and filters
+    historySearch.addEventListener('input', renderHistory);
+    historyVerdictFilter.addEventListener('change', renderHistory);
+    historyDomainFilter.addEventListener('change', renderHistory);
+
+    // History page buttons
+    historyBackBtn.addEventListener('click', () => navigateTo(previousPageId));
+    clearHistoryBtn.addEventListener('click', async () => {
+        if (!confirm(t('confirmClearHistory'))) return;
+        await clearHistory();
+        renderHistory();
+    });
+
+    // Export button toggles the format menu
+    exportBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        exportMenu.classList.toggle('hidden');
+    });
+
+    // Export the current result in the chosen format
+    exportMenu.querySelectorAll('button[data-format]').forEach(button => {
+        button.addEventListener('click', async () => {
+            exportMenu.classList.add('hidden');
+            if (!currentResult) return;
+            const chartImages = {
+                confidence: confidenceChart ? confidenceChart.toBase64Image() : null,
+                keywords: keywordChart ? keywordChart.toBase64Image() : null
+            };
+            try {
+                // Saved results from before verdicts were stored are judged as the panel shows them
+                await exportReport({ ...currentResult, verdict: getResultVerdict(currentResult) }, chartImages, button.dataset.format);
+            } catch (error) {
+                console.error('Export failed:', error);
+                alert(t('exportFailed', error.message));
+            }
+        });
+    });
+
+    // Close the export menu when clicking anywhere else
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.export-wrapper')) exportMenu.classList.add('hidden');
+    });
+
+    // Keyboard: arrow keys move between navigation steps; Escape closes the
+    // export menu, or else cancels selection mode on the page
+    document.addEventListener('keydown', (e) => {
+        const step = e.target.closest?.('.nav-step');
+        if (step && ['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) {
+            e.preventDefault();
+            const steps = [...step.closest('.navigation').querySelectorAll('.nav-step:not(:disabled)')];
+            const index = steps.indexOf(step);
+            const next = { ArrowLeft: index - 1, ArrowRight: index + 1, Home: 0, End: steps.length - 1 }[e.key];
+            steps[(next + steps.length) % steps.length].focus();
+        }
+
+        if (e.key !== 'Escape') return;
+        if (!exportMenu.classList.contains('hidden')) {
+            exportMenu.classList.add('hidden');
+            exportBtn.focus();
+        } else if (body.classList.contains('selection-mode-active')) {
+            cancelPageSelection();
+        }
+    });
+
+    // "Show on page" toggle highlights or clears influential words on the source page
+    showOnPageToggle.addEventListener('change', () => {
+        if (showOnPageToggle.checked) showPageHighlights();
+        else clearPageHighlights();
+    });
+
+    // "Whole Article" button asks the background to extract the active tab's article
+    if (analyzeArticleBtn) {
+        analyzeArticleBtn.addEventListener('click', () => {
+            chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+                chrome.runtime.sendMessage({ type: "EXTRACT_ARTICLE", tabId: tabs[0].id });
+            });
+        });
+    }
+
+    // Manual input: pasted text (Ctrl+Enter submits; a pasted image is checked as an image)
+    manualTextBtn.addEventListener('click', submitManualText);
+    manualText.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            submitManualText();
+        }
+    });
+    manualText.addEventListener('paste', (e) => {
+        const file = [...e.clipboardData.files].find(item => item.type.startsWith('image/'));
+        if (!file) return;
+        e.preventDefault();
+        submitManualImage(file);
+    });
+
+    // Manual input: image drop zone opens the file picker on click, Enter or Space
+    imageDropZone.addEventListener('click', () => manualImageInput.click());
+    imageDropZone.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        manualImageInput.click();
+    });
+    manualImageInput.addEventListener('change', () => {
+        const [file] = manualImageInput.files;
+        if (file) submitManualImage(file);
+        manualImageInput.value = ''; // Picking the same file again still fires change
+    });
+    imageDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        imageDropZone.classList.add('drag-over');
+    });
+    imageDropZone.addEventListener('dragleave', () => imageDropZone.classList.remove('drag-over'));
+    imageDropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        imageDropZone.classList.remove('drag-over');
+        const [file] = e.dataTransfer.files;
+        if (file) submitManualImage(file);
+        else showManualInputMessage(t('manualImageNoFile'));
+    });
+
+    // Manual input: article link
+    articleUrlBtn.addEventListener('click', submitArticleUrl);
+    articleUrlInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') submitArticleUrl();
+    });
+
+    // "Capture Region" button: drag a rectangle on the page to screenshot it
+    if (captureRegionBtn) {
+        captureRegionBtn.addEventListener('click', () => {
+            body.classList.add('selection-mode-active');
+            chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+                ensureContentScript(tabs[0].id)
+                    .then(() => chrome.tabs.sendMessage(tabs[0].id, { type: "ACTIVATE_REGION_CAPTURE" }))
+                    .catch(showPageAccessError);
+            });
+        });
+    }
+
+    // "Scan Feed" button: badge every post on this site as it comes into view
+    scanFeedBtn.addEventListener('click', startFeedScanning);
+
+    // Queue page buttons
+    if (collectMultipleBtn) collectMultipleBtn.addEventListener('click', startQueueSelection);
+    collectMoreBtn.addEventListener('click', startQueueSelection);
+    analyzeQueueBtn.addEventListener('click', analyzeQueue);
+    clearQueueBtn.addEventListener('click', () => {
+        queueItems = [];
+        renderQueue();
+    });
+
+    // Back button for results opened from the history or queue page
+    resultBackBtn.addEventListener('click', () => navigateTo(resultBackBtn.dataset.target));
+
+    // "Select Content" button listener
+    if (selectContentBtn) {
+        selectContentBtn.addEventListener('click', () => {
+            body.classList.add('selection-mode-active');
+            chrome.tabs.query({
+                active: true,
+                currentWindow: true
+            }, (tabs) => {
+                ensureContentScript(tabs[0].id)
+                    .then(() => chrome.tabs.sendMessage(tabs[0].id, {
+                        type: "ACTIVATE_SELECTION_MODE"
+                    }))
+                    .catch(showPageAccessError);
+            });
+        });
+    }
+
+    /**
+     * Turns an analysis error into a short title and advice for the user.
+     * @param {Error} error - Usually an ApiError from api_client.js.
+     * @param {object} backendProfile - The backend the request went to.
+     * @returns {{title: string, advice: string}}
+     */
+    function describeAnalysisError(error, backendProfile) {
+        switch (error.kind) {
+            case 'offline':
+                return {
+                    title: t('errorOfflineTitle'),
+                    advice: t('errorOfflineAdvice')
+                };
+            case 'unreachable':
+                return {
+                    title: t('errorUnreachableTitle', backendProfile.name),
+                    advice: t('errorUnreachableAdvice', backendProfile.baseUrl)
+                };
+            case 'timeout':
+                return {
+                    title: t('errorTimeoutTitle'),
+                    advice: t('errorTimeoutAdvice')
+                };
+            case 'rate_limited':
+                return {
+                    title: t('errorRateLimitedTitle'),
+                    advice: t('errorRateLimitedAdvice')
+                };
+            case 'server':
+                return {
+                    title: t('errorServerTitle'),
+                    advice: t('errorServerAdvice', localizeError(error))
+                };
+            case 'bad_response':
+                return {
+                    title: t('errorBadResponseTitle'),
+                    advice: t('errorBadResponseAdvice')
+                };
+            case 'image_fetch':
+                return {
+                    title: t('errorImageFetchTitle'),
+                    advice: t('errorImageFetchAdvice')
+                };
+            case 'bad_image':
+                return {
+                    title: t('errorBadImageTitle'),
+                    advice: t('errorBadImageAdvice', localizeError(error))
+                };
+            default:
+                return {
+                    title: t('errorGenericTitle'),
+                    advice: localizeError(error)
+                };
+        }
+    }
+
+    /**
+     * Shows an analysis error on the result page with a retry link.
+     * @param {{kind: string, message: string}} error - The job's error (describeJobError).
+     * @param {object} backendProfile - The backend the request went to.
+     */
+    function showAnalysisError(error, backendProfile) {
+        resultContent.innerHTML = '';
+
+        if (error.kind === 'cancelled') {
+            const note = document.createElement('p');
+            note.className = 'result-meta';
+            note.textContent = t('analysisCancelled');
+            resultContent.appendChild(note);
+            announce(note.textContent);
+            return;
+        }
+
+        const { title, advice } = describeAnalysisError(error, backendProfile);
+        const titleEl = document.createElement('p');
+        titleEl.className = 'analysis-error';
+        titleEl.textContent = title;
+        const adviceEl = document.createElement('p');
+        adviceEl.className = 'analysis-error-advice';
+        adviceEl.textContent = advice;
+
+        const actions = document.createElement('p');
+        actions.className = 'result-meta';
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'link-btn';
+        retryBtn.textContent = t('retry');
+        retryBtn.addEventListener('click', () => runAnalysis());
+        actions.appendChild(retryBtn);
+
+        if (['unreachable', 'timeout', 'bad_response'].includes(error.kind)) {
+            const settingsBtn = document.createElement('button');
+            settingsBtn.className = 'link-btn';
+            settingsBtn.textContent = t('openSettings');
+            settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+            actions.append(' · ', settingsBtn);
+        }
+
+        resultContent.append(titleEl, adviceEl, actions);
+        announce(`${title} ${advice}`);
+    }
+
+    /**
+     * Shows the spinner and progress line of a running analysis on the result
+     * page, with a Cancel button that stops the job.
+     * @param {string} status - Progress line from the job.
+     * @param {HTMLElement} [container=resultContent] - Where to show it; below the verdict while the words are explained.
+     */
+    function showAnalysisProgress(status, container = resultContent) {
+        container.innerHTML = `
+            <div style="text-align:center; margin-top:50px;">
+                <div class="result-spinner"></div>
+                <p id="analysis-status" style="text-align:center;"></p>
+                <button id="cancel-analysis-btn" class="link-btn">${t('cancel')}</button>
+            </div>
+        `;
+        document.getElementById('analysis-status').textContent = status;
+        document.getElementById('cancel-analysis-btn').addEventListener('click', () => {
+            chrome.runtime.sendMessage({ type: "CANCEL_ANALYSIS", tabId: sessionTabId, jobId: analysisJobId });
+        });
+    }
+
+    /**
+     * Asks the background script to analyze the previewed content and shows
+     * the result page. The job carries on when the panel is closed; its
+     * progress and result come back through showAnalysisJob.
+     * @param {object} [options]
+     * @param {boolean} [options.force=false] - Skip the cache and ask the backend again.
+     */
+    async function runAnalysis({ force = false } = {}) {
+        if (!(buildAnalysisPayload(currentContent) || currentContent?.imageRef) || !sessionTabId) {
+            console.error("No content to analyze.");
+            return;
+        }
+
+        // One job per tab; a new one replaces the old one (background.js)
+        analysisJobId = crypto.randomUUID();
+        currentResult = null;
+        showResultActions(false);
+        saveSession(); // Closed before the result arrives, the panel reopens on the job
+        showAnalysisProgress(t('analyzingPleaseWait'));
+
+        try {
+            await chrome.runtime.sendMessage({
+                type: "START_ANALYSIS",
+                jobId: analysisJobId,
+                tabId: sessionTabId,
+                content: currentContent,
+                force,
+                compareProfileId
+            });
+        } catch (error) { // The background script could not be reached
+            console.error('Starting the analysis failed:', error);
+            analysisJobId = null;
+            showAnalysisError(error, await getSelectedBackendProfile());
+            showResultActions(true); // Allow user to retry
+        }
+    }
+
+    /**
+     * Shows how far a running job is: its verdict once the backend has sent
+     * it (rendered once, with the progress below), and the latest progress line.
+     * @param {object} job - Job state from background.js (analysis_jobs.js).
+     */
+    function showJobProgress(job) {
+        if (job.partial && !document.getElementById('explanation-progress')) {
+            renderResultCharts(job.partial, { explaining: true });
+        } else if (!job.partial && !document.getElementById('analysis-status')) {
+            showAnalysisProgress('');
+        }
+        document.getElementById('analysis-status').textContent = job.progress;
+    }
+
+    /**
+     * Follows the analysis job of the panel's tab: the progress line while it
+     * runs, then its result or error.
+     * @param {object} job - Job state from background.js (analysis_jobs.js).
+     */
+    async function showAnalysisJob(job) {
+        if (job.status === 'running') {
+            if (job.id === analysisJobId) {
+                showJobProgress(job);
+                return;
+            }
+
+            // Started without the Analyze button, e.g. "Analyze immediately" in the right-click menu
+            analysisJobId = job.id;
+            const session = await loadTabSession(job.tabId);
+            if (job.tabId !== sessionTabId || job.id !== analysisJobId) return;
+            body.classList.remove('selection-mode-active');
+            if (session?.content) displayContentForPreview(session.content);
+            currentResult = null;
+            navigateTo('page-result');
+            showResultActions(false);
+            resultContent.innerHTML = '';
+            requestAnimationFrame(() => showJobProgress(job));
+            return;
+        }
+
+        if (job.id !== analysisJobId) return; // Replaced by a newer job
+        analysisJobId = null;
+        if (job.status === 'done') {
+            currentResult = job.result;
+            saveSession();
+
+            // Render results on the next frame for smooth UI update
+            requestAnimationFrame(() => {
+                renderResultCharts(currentResult);
+                if (job.otherResult) renderComparison(currentResult, job.otherResult, job.compareProfile);
+                if (currentResult.cachedAt) showCachedMarker(currentResult.cachedAt);
+                showResultActions(true); // Show "Try Again" and "Export" after rendering
+            });
+        } else { // Show user-friendly error message
+            showAnalysisError(job.error, job.profile);
+            showResultActions(true); // Allow user to retry
+        }
+    }
+
+    /**
+     * Adds the "cached result" line with a re-analyze link above the verdict.
+     * @param {number} cachedAt - When the cached result was produced.
+     */
+    function showCachedMarker(cachedAt) {
+        const meta = document.createElement('p');
+        meta.className = 'result-meta';
+        meta.textContent = `${t('cachedResultFrom', new Date(cachedAt).toLocaleString(getUiLocale()))} · `;
+
+        const reanalyzeBtn = document.createElement('button');
+        reanalyzeBtn.className = 'link-btn';
+        reanalyzeBtn.textContent = t('reanalyze');
+        reanalyzeBtn.addEventListener('click', () => runAnalysis({ force: true }));
+
+        meta.appendChild(reanalyzeBtn);
+        resultContent.prepend(meta);
+    }
+
+    // "Analyze" button listener
+    if (analyzeBtn) analyzeBtn.addEventListener('click', () => runAnalysis());
+
+    // Progress and results of the analysis jobs of the panel's tab
+    chrome.runtime.onMessage.addListener((request) => {
+        if (request.type === "ANALYSIS_JOB" && request.job.tabId === sessionTabId) showAnalysisJob(request.job);
+        if (request.type === "CAPTURE_FAILED" && request.tabId === sessionTabId) handleIncomingContent(request.content);
+    });
+
+    // Feedback: Correct / Incorrect opens the form, which saves and sends it
+    verdictFeedback.querySelectorAll('[data-feedback]').forEach(button => {
+        button.addEventListener('click', () => selectFeedbackChoice(button.dataset.feedback));
+    });
+    feedbackForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitFeedback().catch(error => {
+            console.error('Saving feedback failed:', error);
+            feedbackMessage.textContent = t('feedbackFailed');
+        });
+    });
+
+    // Queued feedback goes out when the connection comes back, and is retried while the panel is open
+    window.addEventListener('online', retryPendingFeedback);
+    setInterval(retryPendingFeedback, FEEDBACK_RETRY_CHECK_MS);
+
+    // Model picker: selecting a model selects its backend profile for every later analysis
+    modelSelect.addEventListener('change', async () => {
+        const { profiles } = await loadBackendProfiles();
+        const profile = profiles.find(p => p.id === modelSelect.value);
+        if (!profile || !(await ensureBackendPermission(profile))) {
+            renderModelPicker(); // Restore the previous selection
+            return;
+        }
+        await saveBackendProfiles(profiles, profile.id); // The storage listener re-renders the pickers
+    });
+
+    // Compare picker: the next analysis also goes to this profile
+    compareSelect.addEventListener('change', async () => {
+        const { profiles } = await loadBackendProfiles();
+        const profile = profiles.find(p => p.id === compareSelect.value);
+        compareProfileId = profile && (await ensureBackendPermission(profile)) ? profile.id : '';
+        compareSelect.value = compareProfileId;
+    });
+
+    // =================================================================================
+    // STORAGE LISTENER
+    // =================================================================================
+
+    // Listen for changes in Chrome local storage
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+        // Re-check the backend when the selected profile changes in the options page or the model picker
+        if (namespace === 'local' && (changes[SELECTED_PROFILE_KEY] || changes[BACKEND_PROFILES_KEY])) {
+            updateBackendStatus();
+            renderModelPicker();
+        }
+        if (namespace === 'local' && changes[BACKEND_MODELS_KEY]) renderModelPicker(); // A backend named its model
+
+        // New verdict thresholds apply to the next result shown
+        if (namespace === 'local' && changes[VERDICT_SETTINGS_KEY]) {
+            verdictSettings = { ...DEFAULT_VERDICT_SETTINGS, ...(changes[VERDICT_SETTINGS_KEY].newValue || {}) };
+        }
+
+        // A language picked in Settings applies to the whole panel, so start over in it
+        if (namespace === 'local' && changes[LANGUAGE_SETTING_KEY]) {
+            location.reload();
+            return;
+        }
+
+        // Content captured on the panel's tab, or a badge clicked there in feed scanning mode
+        if (namespace === 'session' && sessionTabId) {
+            const newContent = changes[getTabKey(TAB_CONTENT_KEY, sessionTabId)]?.newValue;
+            if (newContent) handleIncomingContent(newContent);
+            const resultToOpen = changes[getTabKey(TAB_RESULT_KEY, sessionTabId)]?.newValue;
+            if (resultToOpen) openScannedResult(resultToOpen);
+        }
+
+        // Items collected in multi-select mode on the panel's tab
+        const queueKey = sessionTabId && getTabKey(TAB_QUEUE_KEY, sessionTabId);
+        if (namespace === 'local' && queueKey && changes[queueKey]) {
+            const queuedContent = changes[queueKey].newValue;
+            if (queuedContent) {
+                addToQueue(queuedContent);
+                if (currentPageId !== 'page-queue') navigateTo('page-queue');
+                chrome.storage.local.remove(queueKey);
+            }
+        }
+    });
+
+    // =================================================================================
+    // INITIAL EXECUTION
+    // =================================================================================
+
+    loadVerdictSettings().then(settings => { verdictSettings = settings; });
+    i18nReady.then(renderModelPicker);
+    retryPendingFeedback();
+
+    // Initial loading animation sequence
+    setTimeout(() => {
+        logo.classList.remove('hidden');
+        logoTitle.classList.remove('hidden');
+        logoText.classList.remove('hidden');
 
         setTimeout(() => {
             loadingContainer.style.opacity = '0';
             setTimeout(() => {
                 loadingContainer.classList.add('hidden');
                 mainContainer.classList.remove('hidden');
-                navigateTo('page-intro');
+                navigateTo(currentPageId); // Intro, until the tab's session is restored
+                updateBackendStatus();
+
+                // The tab's session, then content or a badge result stored before the
+                // panel finished loading (e.g. from the context menu)
+                startSessions();
             }, 500); // Wait for fade-out to complete
         }, 1500); // Time logo is visible
     }, 500); // Initial delay
@@ -533,4 +2748,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 );
             });
         });
-    });
\ No newline at end of file
+    });
+
+    // Localize the page and the injected templates once the message catalog is loaded.
+    // Registered after the template injections so their clones are already in place.
+    document.addEventListener("DOMContentLoaded", () => {
+        i18nReady.then(() => localizePage());
+    });
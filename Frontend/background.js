@@ -4,7 +4,7 @@
    AUTHOR: G10 Tun-Eye Group
    SYSTEM: Tun-Eye Fake News Detector (Chrome Extension)
    CREATED: 10-09-2025
-   LAST REVISED: 01-18-2026
+   LAST REVISED: 10-18-2026
    PURPOSE:
        Manages background-level behaviors of the Tun-Eye extension, including
        context menu creation, side panel control, and message coordination
@@ -12,49 +12,637 @@
    DESCRIPTION:
        This script initializes the extension context menu on installation,
        controls when the side panel opens, and stores selected content for
-       analysis using Chrome's local storage.
+       analysis using Chrome's local storage. Every stored item also carries
+       its provenance: the URL and title of the tab it came from, and the
+       page's canonical link, publish date and site name (page_provenance.js).
+       It also extracts whole
+       articles on request from the context menu, toolbar menu or side panel.
+       Images are stored with their pixels encoded for upload whenever the
+       page or the network allows it, and regions dragged in region capture
+       mode are cut out of a screenshot of the tab. Menu titles and error
+       messages follow the language picked in Settings.
+       For feed scanning (feed_scanner.js) it starts the scanner on every
+       page of a site the user turned it on for, analyzes the posts the
+       scanner sends within the concurrency and per-minute limits, and opens
+       a post's result in the side panel when its badge is clicked.
+       Captures are handed to the side panel of the tab they came from
+       (tab_sessions.js); the context menu and feed badges open a panel of
+       the tab's own, and a closed tab's session is dropped.
+       Analyses run here as one job per tab (analysis_jobs.js), so closing
+       the side panel does not stop them. Open panels are sent the job's
+       progress as the backend streams each stage, with the verdict as soon
+       as it is known, the toolbar badge shows the tab's last verdict, and a
+       notification tells when a long analysis is done. The optional
+       "Analyze immediately" menu item starts a job without the preview.
    NOTES:
        - Runs persistently in the background
        - Communicates with content_selector.js and sidepanel.js
-       - Uses chrome.storage.local for cross-script data sharing
+       - Uses chrome.storage.local for cross-script data sharing, and
+         chrome.storage.session for per-tab captures
 ========================================================================== */
 
+// Shared helpers for localized text and for encoding images as upload bytes,
+// the backend, verdict, cache and scan settings used by feed scanning, per-tab sessions,
+// and the history and offline classifier that analysis jobs use
+importScripts('Scripts/i18n.js', 'Scripts/image_payload.js', 'Scripts/backend_profiles.js', 'Scripts/api_client.js',
+  'Scripts/verdict.js', 'Scripts/result_cache.js', 'Scripts/scan_settings.js', 'Scripts/tab_sessions.js',
+  'Scripts/history_store.js', 'Scripts/offline_classifier.js', 'Scripts/analysis_jobs.js');
+
+// Context menu items and the message key of each title
+const CONTEXT_MENU_TITLES = {
+  "tun-eye-analyze": 'menuAnalyze',
+  "tun-eye-analyze-now": 'menuAnalyzeNow',
+  "tun-eye-analyze-article": 'menuAnalyzeArticle'
+};
+
 // Triggered when the extension is installed or updated
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
+  await i18nReady;
 
   // Create right-click context menu for text and image analysis
   chrome.contextMenus.create({
     id: "tun-eye-analyze",
-    title: "ipa-Tun-Eye | Fake News Detector",
+    title: t(CONTEXT_MENU_TITLES["tun-eye-analyze"]),
     contexts: ["selection", "image"]
   });
 
+  // Same, but straight to the result; only shown when turned on in Settings
+  chrome.contextMenus.create({
+    id: "tun-eye-analyze-now",
+    title: t(CONTEXT_MENU_TITLES["tun-eye-analyze-now"]),
+    contexts: ["selection", "image"],
+    visible: (await loadAnalysisJobSettings()).analyzeImmediately
+  });
+
+  // Analyze the whole article from the page or toolbar icon right-click menu
+  chrome.contextMenus.create({
+    id: "tun-eye-analyze-article",
+    title: t(CONTEXT_MENU_TITLES["tun-eye-analyze-article"]),
+    contexts: ["page", "action"]
+  });
+
   // Open side panel automatically when toolbar icon is clicked
   chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
 });
 
+// Describe the page a capture came from. The tab gives the URL and title; the
+// canonical link, publish date and site name are read from the page itself.
+const buildSource = (tab, provenance = {}) => ({
+  tabId: tab.id,
+  url: tab.url,
+  title: provenance.title || tab.title,
+  canonical: provenance.canonical || '',
+  publishedAt: provenance.publishedAt || '',
+  siteName: provenance.siteName || ''
+});
+
+const getTabSource = async (tab) => {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: ['Scripts/page_provenance.js']
+    });
+    return buildSource(tab, injection.result || {});
+  } catch (error) { // Browser pages cannot be scripted; the tab still names the page
+    return buildSource(tab);
+  }
+};
+
+// Image bytes of captures by reference. Session storage is shared by every tab and
+// holds 10 MB, so the content handed to a panel only carries the reference and a
+// thumbnail; the bytes are put back when the content is analyzed (startAnalysisJob).
+// They are kept in local storage (unlimitedStorage) so they outlive the service
+// worker, and are dropped with their tab, or at browser start once the sessions
+// that referred to them are gone.
+const CAPTURED_IMAGE_PREFIX = 'capturedImage:'; // "capturedImage:<imageRef>" -> data URL
+const CAPTURED_IMAGE_INDEX_KEY = 'capturedImageRefs'; // {imageRef: tabId}
+
+let capturedImageIndexUpdate = Promise.resolve();
+
+// Change the index of kept images; changes run one after another so none is lost
+const updateCapturedImageIndex = (change) => {
+  capturedImageIndexUpdate = capturedImageIndexUpdate.then(async () => {
+    const stored = await chrome.storage.local.get(CAPTURED_IMAGE_INDEX_KEY);
+    const index = stored[CAPTURED_IMAGE_INDEX_KEY] || {};
+    await change(index);
+    await chrome.storage.local.set({ [CAPTURED_IMAGE_INDEX_KEY]: index });
+  });
+  return capturedImageIndexUpdate;
+};
+
+// Keep a capture's image bytes under a reference and return the content without them
+const keepCapturedImage = async (tabId, content) => {
+  if (!content?.imageData) return content;
+  const imageRef = crypto.randomUUID();
+  await chrome.storage.local.set({ [CAPTURED_IMAGE_PREFIX + imageRef]: content.imageData });
+  await updateCapturedImageIndex(index => { index[imageRef] = tabId; });
+  const thumbnail = await createImageThumbnail(content.imageData).catch(() => null);
+  return { ...content, imageData: null, imageRef, thumbnail };
+};
+
+// Put back the image bytes of content handed out by keepCapturedImage
+const restoreCapturedImage = async (content) => {
+  if (!content?.imageRef || content.imageData) return content;
+  const key = CAPTURED_IMAGE_PREFIX + content.imageRef;
+  const stored = await chrome.storage.local.get(key);
+  return stored[key] ? { ...content, imageData: stored[key] } : content;
+};
+
+// Drop the kept images of a tab, or of every tab when none is given
+const dropCapturedImages = (tabId) => updateCapturedImageIndex(async (index) => {
+  const imageRefs = Object.keys(index).filter(imageRef => tabId === undefined || index[imageRef] === tabId);
+  await chrome.storage.local.remove(imageRefs.map(imageRef => CAPTURED_IMAGE_PREFIX + imageRef));
+  imageRefs.forEach(imageRef => delete index[imageRef]);
+}).catch(error => console.error("Dropping captured images failed:", error));
+
+// Hand captured content (or a feed badge's result) to the side panel of a tab.
+// When it cannot be stored the panel is shown why instead of waiting for nothing.
+const handToPanel = async (tabId, name, value) => {
+  try {
+    await storeForTab(tabId, name, name === TAB_CONTENT_KEY ? await keepCapturedImage(tabId, value) : value);
+  } catch (error) {
+    console.error("Handing the capture to the side panel failed:", error);
+    const notice = { type: value.type || 'text', data: null, error: t('errorCaptureNotStored'), source: value.source || null };
+    await storeForTab(tabId, TAB_CONTENT_KEY, notice).catch(() => {
+      chrome.runtime.sendMessage({ type: "CAPTURE_FAILED", tabId, content: notice }).catch(() => {});
+    });
+  }
+};
+
+// Extract the main article of a tab and store it for the side panel preview
+const extractArticle = async (tab) => {
+  const source = await getTabSource(tab);
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: ['Scripts/page_provenance.js', 'Scripts/article_extractor.js'] // The extractor's result comes last
+    });
+    await handToPanel(tab.id, TAB_CONTENT_KEY, { type: 'article', data: injection.result, source });
+  } catch (error) { // Browser pages and the web store cannot be scripted
+    console.error("Article extraction failed:", error);
+    await handToPanel(tab.id, TAB_CONTENT_KEY, { type: 'article', data: null, error: t('errorPageUnreadable'), source });
+  }
+};
+
+// Encode a right-clicked image as upload bytes. Blob URLs only resolve inside
+// the page, so those are read there; everything else is downloaded here with
+// the user's cookies. Without host access to the image's site the download is
+// refused cross-origin, and the backend is sent the URL instead.
+const captureContextImage = async (info, tabId) => {
+  try {
+    if (!info.srcUrl.startsWith('blob:')) return await fetchImageAsDataUrl(info.srcUrl);
+
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [info.frameId] },
+      func: async (url) => {
+        const blob = await (await fetch(url)).blob();
+        return new Promise((resolve) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.readAsDataURL(blob);
+        });
+      },
+      args: [info.srcUrl]
+    });
+    return await encodeImageBlob(await (await fetch(injection.result)).blob());
+  } catch (error) { // The backend can still try the URL itself
+    console.error("Image capture failed:", error);
+    return null;
+  }
+};
+
+// Screenshot the visible tab and crop it to a region the user dragged
+// (content_selector.js). The screenshot is in device pixels; its width over the
+// viewport width gives the scale, which covers both devicePixelRatio and zoom.
+const captureRegion = async (request, tab) => {
+  const source = buildSource(tab, request.provenance);
+  try {
+    const screenshot = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    const bitmap = await createImageBitmap(await (await fetch(screenshot)).blob());
+    const scale = bitmap.width / request.viewport.width || request.devicePixelRatio || 1;
+
+    const { x, y, width, height } = request.region;
+    const crop = new OffscreenCanvas(Math.round(width * scale), Math.round(height * scale));
+    crop.getContext('2d').drawImage(bitmap,
+      Math.round(x * scale), Math.round(y * scale), crop.width, crop.height,
+      0, 0, crop.width, crop.height);
+    bitmap.close();
+
+    const imageData = await encodeImageSource(crop, crop.width, crop.height);
+    await handToPanel(tab.id, TAB_CONTENT_KEY, { type: 'image', data: null, imageData, capture: 'region', source });
+  } catch (error) { // Browser pages and the web store cannot be captured
+    console.error("Region capture failed:", error);
+    await handToPanel(tab.id, TAB_CONTENT_KEY, { type: 'image', data: null, imageData: null, error: t('errorRegionCapture'), source });
+  }
+};
+
+// Open a side panel of the tab's own, which shows that tab's session (tab_sessions.js)
+// and stays with the tab. Must be called within the user's click.
+const openPanelForTab = (tabId) => {
+  chrome.sidePanel.setOptions({ tabId, path: `Side Panel/sidepanel.html?tabId=${tabId}`, enabled: true });
+  return chrome.sidePanel.open({ tabId });
+};
+
 // Listens for Right-Click Action for context menu selections
 chrome.contextMenus.onClicked.addListener((info, tab) => {
-  let dataToAnalyze = {};
-  // Capture highlighted text
-  if (info.selectionText) { 
-    dataToAnalyze = { type: 'text', data: info.selectionText };
-  } 
-  // Capture clicked image
-  else if (info.mediaType === 'image') {
-    dataToAnalyze = { type: 'image', data: info.srcUrl };
+  // Whole article: open the panel right away while the page is read
+  if (info.menuItemId === "tun-eye-analyze-article") {
+    openPanelForTab(tab.id);
+    extractArticle(tab);
+    return;
+  }
+
+  // The panel opens right away, within the user's click; the content
+  // follows once the page's provenance has been read
+  openPanelForTab(tab.id);
+
+  // "Analyze immediately" skips the preview and starts the analysis here
+  const deliver = info.menuItemId === "tun-eye-analyze-now"
+    ? (content) => startAnalysisJob({ tabId: tab.id, content })
+    : (content) => handToPanel(tab.id, TAB_CONTENT_KEY, content);
+
+  // Clicked image: stored once the image is encoded
+  if (!info.selectionText && info.mediaType === 'image') {
+    Promise.all([captureContextImage(info, tab.id), getTabSource(tab)]).then(([imageData, source]) => {
+      deliver({ type: 'image', data: info.srcUrl, imageData, source });
+    });
+    return;
   }
-  
-  // Store selected content and open the side panel for the active tab
-  chrome.storage.local.set({ contentToAnalyze: dataToAnalyze }, () => {
-    chrome.sidePanel.open({ tabId: tab.id });
+
+  // Capture highlighted text with the page it came from
+  getTabSource(tab).then(source => {
+    deliver({ type: 'text', data: info.selectionText, source });
   });
 });
 
-// Listen for messages from content_selector.js
+// Content scripts injected for selection, highlighting and feed scanning, in the
+// same order as the side panel injects them (CONTENT_SCRIPT_FILES in sidepanel.js)
+const CONTENT_SCRIPT_FILES = ['Scripts/i18n.js', 'Scripts/image_payload.js', 'Scripts/post_adapters.js',
+  'Scripts/page_provenance.js', 'Scripts/content_selector.js', 'Scripts/scan_settings.js', 'Scripts/feed_scanner.js'];
+
+// Inject the content scripts into a tab unless they are already running there
+const ensureContentScript = async (tabId) => {
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: "PING_CONTENT_SCRIPT" });
+  } catch (e) { // No listener yet, so inject the scripts
+    await chrome.scripting.executeScript({ target: { tabId }, files: CONTENT_SCRIPT_FILES });
+  }
+};
+
+// Posts sent by feed_scanner.js waiting for analysis: {tabId, frameId, id, text, source}
+const scanQueue = [];
+let scansRunning = 0;
+const scanStartTimes = []; // Analyses started within the last minute
+let scanTimer = null;
+const SCAN_RATE_WINDOW_MS = 60 * 1000;
+
+// Start the scanner on a page whose site has feed scanning turned on
+const startScanIfEnabled = async (tab) => {
+  if (!isScanSiteEnabled(await loadScanSettings(), tab.url)) return;
+  try {
+    await ensureContentScript(tab.id);
+    await chrome.tabs.sendMessage(tab.id, { type: "START_FEED_SCAN" });
+  } catch (error) { // Browser pages and the web store cannot be scripted
+    console.error("Feed scan could not start:", error);
+  }
+};
+
+// Analyze one post's text with the selected backend. Results are cached like
+// the side panel's, but only saved to history when the user opens them. Posts
+// get no on-device estimate: a badge should not pass one off as the server's.
+const analyzeScannedText = async (text, source) => {
+  const profile = await getSelectedBackendProfile();
+  return analyzeContent({ type: 'text', data: text, source }, profile, {
+    verdictSettings: await loadVerdictSettings(),
+    saveToHistory: false
+  });
+};
+
+// Send posts for analysis while the concurrency and per-minute limits allow it
+const pumpScanQueue = async () => {
+  const { paused, concurrency, perMinute } = await loadScanSettings();
+  if (paused) return;
+
+  const now = Date.now();
+  while (scanStartTimes.length && now - scanStartTimes[0] >= SCAN_RATE_WINDOW_MS) scanStartTimes.shift();
+
+  while (scanQueue.length && scansRunning < concurrency && scanStartTimes.length < perMinute) {
+    const { tabId, frameId, id, text, source } = scanQueue.shift();
+    scansRunning++;
+    scanStartTimes.push(Date.now());
+    analyzeScannedText(text, source)
+      .then(result => ({ type: "SCAN_RESULT", id, result }))
+      .catch(error => ({ type: "SCAN_RESULT", id, error: describeJobError(error) }))
+      .then(message => chrome.tabs.sendMessage(tabId, message, { frameId }))
+      .catch(() => {}) // Tab closed or navigated away
+      .finally(() => {
+        scansRunning--;
+        pumpScanQueue();
+      });
+  }
+
+  // Per-minute limit reached: try again when the oldest start leaves the window
+  if (scanQueue.length && scanStartTimes.length >= perMinute && !scanTimer) {
+    scanTimer = setTimeout(() => {
+      scanTimer = null;
+      pumpScanQueue();
+    }, scanStartTimes[0] + SCAN_RATE_WINDOW_MS - now);
+  }
+};
+
+// Analysis jobs running, by tab ID: {job, content, controller}. One job per tab;
+// the state is also stored (analysis_jobs.js) so a panel opened later finds it.
+const runningJobs = new Map();
+
+// Waiting on a slow backend is not activity, so the browser could stop the
+// service worker mid-request; an extension API call now and then prevents it
+const JOB_KEEPALIVE_MS = 20 * 1000;
+let jobKeepAlive = null;
+
+// Toolbar badge colours, the colour-blind safe pair used for page highlights (content_selector.js)
+const BADGE_COLORS = { real: '#0072B2', fake: '#D55E00', uncertain: '#767676' };
+
+// Show a tab's job on the toolbar icon: "…" while it runs, then the verdict's confidence
+const showJobBadge = (job) => {
+  const { tabId } = job;
+  let text = '';
+  let title = t('actionTitle');
+  if (job.status === 'running') {
+    text = '…';
+    title = t('badgeAnalyzing');
+    chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLORS.uncertain });
+  } else if (job.status === 'done') {
+    const { verdict, confidence } = job.result;
+    const label = { real: t('verdictReal'), fake: t('verdictFake'), uncertain: t('verdictUncertain') }[verdict];
+    text = `${getLeadingConfidence(confidence)}%`;
+    title = t('badgeVerdict', [label, getLeadingConfidence(confidence)]); // Colour is not the only cue
+    chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLORS[verdict] });
+  }
+  chrome.action.setBadgeText({ tabId, text }).catch(() => {}); // Tab closed meanwhile
+  chrome.action.setTitle({ tabId, title }).catch(() => {});
+};
+
+// Let the user know a long analysis finished, in case they moved on to something else
+const notifyJobDone = async (job) => {
+  if (job.status !== 'done' && job.status !== 'failed') return;
+  if (job.finishedAt - job.startedAt < ANALYSIS_NOTIFY_AFTER_MS) return;
+  if (!(await loadAnalysisJobSettings()).notifyWhenDone) return;
+
+  let title = t('notifyFailedTitle');
+  let message = job.error ? localizeError(job.error) : '';
+  if (job.status === 'done') {
+    const { verdict, confidence, input } = job.result;
+    const label = { real: t('verdictReal'), fake: t('verdictFake'), uncertain: t('verdictUncertain') }[verdict];
+    title = t('notifyDoneTitle', [label, getLeadingConfidence(confidence)]);
+    message = input.type === 'text' ? input.value.slice(0, 120) : job.result.source?.title || t('labelImage');
+  }
+  chrome.notifications.create(`tun-eye-job-${job.tabId}`, {
+    type: 'basic',
+    iconUrl: 'Images/Logo-Blue.png',
+    title,
+    message
+  });
+};
+
+// Store a job's state, show it on the toolbar and tell open side panels
+const updateJob = (job) => {
+  saveAnalysisJob(job).catch(error => console.error("Saving the analysis job failed:", error));
+  showJobBadge(job);
+  chrome.runtime.sendMessage({ type: "ANALYSIS_JOB", job }).catch(() => {}); // No panel is open
+};
+
+// Analyze content for a tab: from the side panel's Analyze button or the
+// "Analyze immediately" menu item. A new job for the tab replaces the old one.
+const startAnalysisJob = async ({ jobId = crypto.randomUUID(), tabId, content, force = false, compareProfileId = '' }) => {
+  runningJobs.get(tabId)?.controller.abort();
+  const controller = new AbortController();
+  const job = {
+    id: jobId,
+    tabId,
+    status: 'running',
+    progress: t('analyzingPleaseWait'),
+    partial: null,
+    profile: null,
+    compareProfile: null,
+    result: null,
+    otherResult: null,
+    error: null,
+    startedAt: Date.now(),
+    finishedAt: null
+  };
+  runningJobs.set(tabId, { job, controller });
+  if (!jobKeepAlive) jobKeepAlive = setInterval(() => chrome.runtime.getPlatformInfo(), JOB_KEEPALIVE_MS);
+
+  // A panel opened later shows the content being analyzed with the job's progress.
+  // The session only gets the reference of image bytes (keepCapturedImage); the analysis needs the bytes.
+  const sessionContent = await keepCapturedImage(tabId, content);
+  content = await restoreCapturedImage(sessionContent);
+  saveTabSession(tabId, { pageId: 'page-result', content: sessionContent, result: null })
+    .catch(error => console.error("Saving the session failed:", error));
+
+  try {
+    const { profiles, selectedId } = await loadBackendProfiles();
+    const backendProfile = profiles.find(p => p.id === selectedId);
+    const compareProfile = compareProfileId && compareProfileId !== selectedId
+      ? profiles.find(p => p.id === compareProfileId) || null
+      : null;
+    job.profile = backendProfile;
+    job.compareProfile = compareProfile;
+    updateJob(job);
+
+    const options = { force, signal: controller.signal, verdictSettings: await loadVerdictSettings(), classifyOffline: classifyOfflineText };
+
+    // The second model runs alongside; its failure only affects the comparison.
+    // History gets one entry per analysis, the selected backend's.
+    const comparison = compareProfile
+      ? analyzeContent(content, compareProfile, { ...options, saveToHistory: false })
+        .catch(error => ({ error: describeJobError(error) }))
+      : null;
+
+    // Tell the user why it is taking longer when the request is retried
+    const onRetry = ({ attempt, maxRetries, delayMs, reason }) => {
+      job.progress = t('retryStatus', [reason, Math.ceil(delayMs / 1000), attempt, maxRetries]);
+      updateJob(job);
+    };
+
+    // Report each stage the backend streams; the verdict can be shown before the explanation is done
+    const onStage = (event) => {
+      job.progress = describeAnalysisStage(event) || job.progress;
+      if (event.partial) job.partial = event.partial;
+      updateJob(job);
+    };
+
+    job.result = await analyzeContent(content, backendProfile, { ...options, onRetry, onStage });
+    job.otherResult = comparison ? await comparison : null;
+    job.status = 'done';
+  } catch (error) {
+    if (error.kind !== 'cancelled') console.error("Analysis failed:", error);
+    job.status = error.kind === 'cancelled' ? 'cancelled' : 'failed';
+    job.error = describeJobError(error);
+  }
+
+  if (runningJobs.get(tabId)?.job !== job) return; // Replaced by a newer job, or the tab was closed
+  runningJobs.delete(tabId);
+  if (!runningJobs.size) {
+    clearInterval(jobKeepAlive);
+    jobKeepAlive = null;
+  }
+
+  job.finishedAt = Date.now();
+  if (job.status === 'done') {
+    saveTabSession(tabId, { pageId: 'page-result', content: sessionContent, result: job.result })
+      .catch(error => console.error("Saving the session failed:", error));
+  }
+  updateJob(job);
+  notifyJobDone(job);
+};
+
+// Jobs stored as running when the service worker starts were cut off when it last stopped
+const failInterruptedJobs = async () => {
+  const stored = await chrome.storage.session.get(null);
+  Object.entries(stored).forEach(([key, job]) => {
+    if (!key.startsWith(`${TAB_JOB_KEY}:`) || job.status !== 'running' || runningJobs.get(job.tabId)?.job.id === job.id) return;
+    updateJob({ ...job, status: 'failed', error: { kind: 'interrupted', message: t('jobInterrupted'), status: null }, finishedAt: Date.now() });
+  });
+};
+
+failInterruptedJobs();
+
+// Notification clicked: bring the tab back with its result in the side panel
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const tabId = Number(notificationId.replace('tun-eye-job-', ''));
+  chrome.notifications.clear(notificationId);
+  openPanelForTab(tabId).catch(() => {}); // Tab closed, or the click did not count as a user gesture
+  chrome.tabs.update(tabId, { active: true })
+    .then(tab => chrome.windows.update(tab.windowId, { focused: true }))
+    .catch(() => {}); // Tab closed
+});
+
+// Drop the posts a tab is still waiting for (paused, stopped, reloaded or closed)
+const cancelScans = (tabId) => {
+  for (let i = scanQueue.length - 1; i >= 0; i--) {
+    if (scanQueue[i].tabId === tabId) scanQueue.splice(i, 1);
+  }
+};
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'loading') cancelScans(tabId);
+  if (changeInfo.status === 'complete') startScanIfEnabled(tab);
+});
+
+// A closed tab's scans, analysis and session are no longer needed
+chrome.tabs.onRemoved.addListener((tabId) => {
+  cancelScans(tabId);
+  runningJobs.get(tabId)?.controller.abort();
+  runningJobs.delete(tabId);
+  clearTabSession(tabId);
+  dropCapturedImages(tabId);
+});
+
+// Tab sessions do not survive the browser, so neither do the images they referred to
+chrome.runtime.onStartup.addListener(() => dropCapturedImages());
+
+// Listen for messages from content_selector.js, feed_scanner.js and sidepanel.js
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.type === "EXTRACT_ARTICLE") {
+    // Side panel "Analyze Whole Article" button
+    chrome.tabs.get(request.tabId).then(extractArticle);
+  }
+
+  if (request.type === "CAPTURE_REGION" && sender.tab) {
+    // Rectangle dragged in region capture mode
+    captureRegion(request, sender.tab);
+  }
+
+  if (request.type === "SCAN_POST" && sender.tab) {
+    // A scanned post came into view
+    scanQueue.push({
+      tabId: sender.tab.id,
+      frameId: sender.frameId,
+      id: request.id,
+      text: request.text,
+      source: buildSource(sender.tab, request.provenance)
+    });
+    pumpScanQueue();
+  }
+
+  if (request.type === "SCAN_CANCEL" && sender.tab) {
+    cancelScans(sender.tab.id);
+  }
+
+  if (request.type === "START_ANALYSIS") {
+    // Side panel Analyze button; progress goes to open panels as ANALYSIS_JOB messages
+    startAnalysisJob(request);
+    sendResponse({ jobId: request.jobId });
+  }
+
+  if (request.type === "KEEP_CAPTURED_IMAGE") {
+    // Image files picked in the side panel; answers with the content to keep in its session
+    keepCapturedImage(request.tabId, request.content)
+      .then(sendResponse)
+      .catch(error => {
+        console.error("Keeping the picked image failed:", error);
+        sendResponse(null); // The panel says the image could not be kept
+      });
+    return true; // Answered asynchronously
+  }
+
+  if (request.type === "CANCEL_ANALYSIS") {
+    const running = runningJobs.get(request.tabId);
+    if (running?.job.id === request.jobId) running.controller.abort();
+  }
+
+  if (request.type === "OPEN_SCAN_RESULT" && sender.tab) {
+    // Badge clicked: open the panel within the user's click, then show the result there
+    openPanelForTab(sender.tab.id);
+    handToPanel(sender.tab.id, TAB_RESULT_KEY, request.result);
+  }
+
   if (request.type === "CONTENT_SELECTED") {
-    // Save selected content and notify the side panel via storage update
-    chrome.storage.local.set({ contentToAnalyze: request.payload });
+    // Save selected content with its source page and notify the tab's side panel via storage update.
+    // content_selector.js reads the page's provenance when the item is picked.
+    const source = sender.tab ? buildSource(sender.tab, request.provenance) : null;
+    const content = { ...request.payload, source };
+
+    // Images the page would not let the content script read are downloaded here
+    const ready = content.type === 'image' && !content.imageData
+      ? fetchImageAsDataUrl(content.data)
+        .then(imageData => { content.imageData = imageData; })
+        .catch(error => console.error("Image capture failed:", error))
+      : Promise.resolve();
+
+    // Items collected in multi-select mode go to the side panel's queue instead of the preview
+    ready.then(() => {
+      if (!sender.tab) return;
+      if (request.queue) {
+        // Keyed by tab, so only the panel of the tab it was collected on queues it
+        chrome.storage.local.set({ [getTabKey(TAB_QUEUE_KEY, sender.tab.id)]: { ...content, capturedAt: Date.now() } })
+          .catch(error => console.error("Queueing the item failed:", error));
+      } else {
+        handToPanel(sender.tab.id, TAB_CONTENT_KEY, content);
+      }
+    });
   }
-});
\ No newline at end of file
+});
+
+// Resuming, or higher limits set in Settings, may let more queued posts through
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes[SCAN_SETTINGS_KEY]) pumpScanQueue();
+});
+
+// Show or hide "Analyze immediately" when it is turned on or off in Settings
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace !== 'local' || !changes[ANALYSIS_JOB_SETTINGS_KEY]) return;
+  const { analyzeImmediately } = { ...DEFAULT_ANALYSIS_JOB_SETTINGS, ...(changes[ANALYSIS_JOB_SETTINGS_KEY].newValue || {}) };
+  chrome.contextMenus.update("tun-eye-analyze-now", { visible: analyzeImmediately });
+});
+
+// Retitle the context menu when a language is picked in Settings
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace !== 'local' || !changes[LANGUAGE_SETTING_KEY]) return;
+  initI18n().then(() => {
+    Object.entries(CONTEXT_MENU_TITLES).forEach(([id, key]) => {
+      chrome.contextMenus.update(id, { title: t(key) });
+    });
+  });
+});
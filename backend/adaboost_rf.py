@@ -1,10 +1,15 @@
-from flask import Flask, request, jsonify
+from flask import Flask, request, jsonify, Response, stream_with_context
 from flask_cors import CORS
 import requests
 import easyocr
 import numpy as np
 import cv2
 import json
+import os
+import base64
+import binascii
+import queue
+import threading
 from joblib import load
 import torch
 from eli5.lime import TextExplainer
@@ -13,49 +18,174 @@ from sklearn.feature_extraction.text import CountVectorizer
 app = Flask(__name__)
 CORS(app)
 
+# Largest decoded image accepted from the extension (see Frontend/Scripts/image_payload.js)
+MAX_IMAGE_BYTES = 5 * 1024 * 1024
+# Base64 makes the request about a third larger than the image
+app.config["MAX_CONTENT_LENGTH"] = 8 * 1024 * 1024
+
+# LIME perturbs the text this many times and scores the samples in batches of
+# this size, so the streaming endpoint can report how far the explanation is
+LIME_SAMPLES = 300
+LIME_BATCH_SIZE = 30
+
 # Load your fine-tuned model and tokenizer
 loaded_model = load('./adaboost_rf_model.joblib')
 loaded_tokenizer = load("./tfidf_vectorizer.joblib")
 class_names = ["Fake News", "Real News"]
 
+# Reported with every answer so the extension knows which model produced a verdict
+MODEL_INFO = {"id": "adaboost-rf", "name": "AdaBoost-RF"}
+
 # Wrap the model in a prediction function for LIME/ELI5
 def predict_proba(texts):
     X = loaded_tokenizer.transform(texts)        # Convert text to TF-IDF features
     probs = loaded_model.predict_proba(X)        # Get probabilities
     return probs
 
+# Health check endpoint for the extension's backend status indicator
+@app.route("/api/health", methods=["GET"])
+def health_check():
+    return jsonify({"status": "ok", "model": MODEL_INFO})
+
+# Raised when the image URL sent by the extension cannot be downloaded or decoded
+class ImageFetchError(Exception):
+    pass
+
+# Raised when uploaded image bytes are not a usable image
+class ImageDataError(Exception):
+    pass
+
+# Tell the extension the image was the problem, not the server
+@app.errorhandler(ImageFetchError)
+def handle_image_fetch_error(error):
+    return jsonify({"error": "image_fetch_failed", "message": str(error)}), 422
+
+@app.errorhandler(ImageDataError)
+def handle_image_data_error(error):
+    return jsonify({"error": "image_invalid", "message": str(error)}), 422
+
+@app.errorhandler(413)
+def handle_too_large(error):
+    return jsonify({"error": "image_invalid", "message": "The uploaded image is too large."}), 413
+
 # Flask endpoint for frontend
 @app.route("/api/process", methods=["POST"])
 def data_processing():
-    data = request.get_json()
+    data = request.get_json(silent=True) or {}
 
-    match data['type']:
+    match data.get('type'):
         case 'text':
             output = process_text(data['value'])
         case 'image':
             output = process_image(data['value'])
+        case 'image_data':
+            output = process_image_data(data['value'])
+        case _:
+            return jsonify({"error": "bad_request", "message": "Expected a 'text', 'image' or 'image_data' request."}), 400
 
     return jsonify(output)
 
+# Streaming variant of /api/process for the same requests. Each stage is sent as
+# one line of JSON (NDJSON) as soon as it is done, so the extension can show the
+# verdict before the slow explanation:
+#   {"stage": "image"}                                  image downloaded or decoded
+#   {"stage": "ocr", "text": ...}                       text read from the image
+#   {"stage": "verdict", "verdict", "confidence", "text", "model"}
+#   {"stage": "explanation", "progress": 0.1 ... 1.0}   LIME samples scored
+#   {"stage": "done", ...}                              same fields as /api/process
+# Failures after the stream has started are sent as {"stage": "error", "error", "message"}.
+@app.route("/api/process/stream", methods=["POST"])
+def data_processing_stream():
+    data = request.get_json(silent=True) or {}
+
+    # Image problems are found before streaming starts, so they get the same 422 answers as /api/process
+    match data.get('type'):
+        case 'text':
+            image = None
+        case 'image':
+            image = download_image(data['value'])
+        case 'image_data':
+            image = decode_image_data(data['value'])
+        case _:
+            return jsonify({"error": "bad_request", "message": "Expected a 'text', 'image' or 'image_data' request."}), 400
+
+    def stages():
+        try:
+            text_input = data['value']
+            if image is not None:
+                yield {"stage": "image"}
+                text_input = extract_text(image)
+                yield {"stage": "ocr", "text": text_input}
+            yield from process_text_stages(text_input)
+        except Exception as e:
+            print(f"Error streaming analysis: {e}")
+            yield {"stage": "error", "error": "server_error", "message": "The analysis failed on the server."}
+
+    lines = (json.dumps(event) + "\n" for event in stages())
+    return Response(stream_with_context(lines), mimetype="application/x-ndjson")
+
 # Data processing if image
 def process_image(img_url):
+    return process_ocr(download_image(img_url))
+
+# Download and decode an image sent as a URL
+def download_image(img_url):
     # Convert url to image bytes
     url = img_url
-    resp = requests.get(url, stream=True).raw
-    image = np.asarray(bytearray(resp.read()), dtype="uint8")
+    try:
+        resp = requests.get(url, stream=True, timeout=30)
+        resp.raise_for_status()
+    except requests.RequestException as e:
+        raise ImageFetchError(f"The image could not be downloaded ({e.__class__.__name__}).")
+    image = np.asarray(bytearray(resp.raw.read()), dtype="uint8")
     image = cv2.imdecode(image, cv2.IMREAD_COLOR)
-    
+    if image is None:
+        raise ImageFetchError("The downloaded file is not a supported image.")
+
+    return image
+
+# Data processing if image bytes were uploaded (base64, as captured by the extension)
+def process_image_data(encoded):
+    return process_ocr(decode_image_data(encoded))
+
+# Decode uploaded image bytes
+def decode_image_data(encoded):
+    try:
+        raw = base64.b64decode(encoded, validate=True)
+    except (binascii.Error, ValueError, TypeError):
+        raise ImageDataError("The uploaded image is not valid base64.")
+    if len(raw) > MAX_IMAGE_BYTES:
+        raise ImageDataError("The uploaded image is too large.")
+
+    image = cv2.imdecode(np.frombuffer(raw, dtype="uint8"), cv2.IMREAD_COLOR)
+    if image is None:
+        raise ImageDataError("The uploaded file is not a supported image.")
+
+    return image
+
+# Read the text in a decoded image and classify it
+def process_ocr(image):
+    # Call the process_text function to return the results
+    return process_text(extract_text(image))
+
+# Read the text in a decoded image
+def extract_text(image):
     # Use easyocr to extract text from image
     reader = easyocr.Reader(['en', 'tl'], gpu=False)
     results = reader.readtext(image)
     texts = [text for _, text, _ in results]
-    joined_text = " ".join(texts)
-    
-    # Call the process_text function to return the results
-    return process_text(joined_text)
+    return " ".join(texts)
     
 # Data processing if text
 def process_text(text_input):
+    # The last stage holds the whole answer
+    for event in process_text_stages(text_input):
+        pass
+    return {key: value for key, value in event.items() if key != "stage"}
+
+# Classify text and explain the verdict, yielding each stage as it is done
+# (see /api/process/stream): the verdict, explanation progress, then everything
+def process_text_stages(text_input):
     # Create a vectorizer with ngram_range (1,3) for unigrams to trigrams
     vectorizer = CountVectorizer(
         ngram_range=(1, 3),  # Capture 1-word, 2-word, and 3-word phrases
@@ -63,21 +193,12 @@ def process_text(text_input):
         max_features=5000    # Limit features to avoid memory issues
     )
     
-    # Use ELI5's TextExplainer with the custom vectorizer
-    te = TextExplainer(
-        random_state=42,
-        n_samples=300,
-        char_based=False,
-        vec=vectorizer  # Use custom vectorizer for ngrams
-    )
-    
-    # Fit the explainer
-    te.fit(text_input, predict_proba)
-    
     results = {
         "verdict": "",
         "confidence": {},
-        "words": []
+        "words": [],
+        "text": text_input,  # Analyzed text (OCR output for images) so the extension can annotate it
+        "model": MODEL_INFO
     }
     
     # prediction probabilities
@@ -94,6 +215,43 @@ def process_text(text_input):
     predicted_label = class_names[max_index]
     results["verdict"] = predicted_label
 
+    # The verdict is one forward pass; send it before the slow explanation
+    yield {"stage": "verdict", **{key: results[key] for key in ("verdict", "confidence", "text", "model")}}
+
+    # Use ELI5's TextExplainer with the custom vectorizer
+    te = TextExplainer(
+        random_state=42,
+        n_samples=LIME_SAMPLES,
+        char_based=False,
+        vec=vectorizer  # Use custom vectorizer for ngrams
+    )
+    
+    # Fit the explainer on a worker thread; its samples are scored in batches
+    # and the share done so far is passed back here to be reported
+    progress = queue.Queue()
+    failures = []
+
+    def predict_in_batches(texts):
+        probs = []
+        for start in range(0, len(texts), LIME_BATCH_SIZE):
+            probs.append(predict_proba(texts[start:start + LIME_BATCH_SIZE]))
+            progress.put(min(start + LIME_BATCH_SIZE, len(texts)) / len(texts))
+        return np.vstack(probs)
+
+    def fit():
+        try:
+            te.fit(text_input, predict_in_batches)
+        except Exception as e:
+            failures.append(e)
+        finally:
+            progress.put(None)
+
+    threading.Thread(target=fit, daemon=True).start()
+    while (done := progress.get()) is not None:
+        yield {"stage": "explanation", "progress": round(done, 2)}
+    if failures:
+        raise failures[0]
+    
     # Get explanation and extract features
     explanation = te.explain_prediction(target_names=class_names)
     
@@ -139,10 +297,10 @@ def process_text(text_input):
     
     print(json.dumps(results, indent=4))
     
-    return results
+    yield {"stage": "done", **results}
 
 if __name__ == '__main__':
     app.run(
-        port=1234,
+        port=int(os.environ.get("PORT", 1234)),  # e.g. PORT=1235 to run both models side by side
         debug=True
     )
\ No newline at end of file
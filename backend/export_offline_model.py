@@ -0,0 +1,110 @@
+# Converts the trained TF-IDF vectorizer and AdaBoost/random forest model into
+# the JSON weight format read by the extension's offline estimate
+# (Frontend/Scripts/offline_classifier.js), so a rough verdict can be given
+# in the browser when no backend is reachable.
+#
+# Usage (from the backend directory, inside the virtual environment):
+#   python export_offline_model.py [output_path]
+#
+# The default output is Frontend/Models/offline_model.json.
+import json
+import sys
+from pathlib import Path
+
+import numpy as np
+from joblib import load
+
+DEFAULT_OUTPUT = Path(__file__).resolve().parent.parent / "Frontend" / "Models" / "offline_model.json"
+FORMAT_VERSION = 1
+class_names = ["Fake News", "Real News"]
+
+# The JavaScript tokenizer only reproduces sklearn's default word pattern
+SUPPORTED_TOKEN_PATTERN = r"(?u)\b\w\w+\b"
+
+# Rounding keeps the file small; TF-IDF values never need more precision
+DECIMALS = 6
+
+
+def round_list(values):
+    return [round(float(v), DECIMALS) for v in values]
+
+
+# Vocabulary and IDF weights in index order
+def export_vectorizer(vectorizer):
+    if vectorizer.analyzer != "word" or tuple(vectorizer.ngram_range) != (1, 1):
+        raise ValueError("Only word unigram vectorizers can be exported.")
+    if vectorizer.strip_accents or vectorizer.preprocessor or vectorizer.tokenizer:
+        raise ValueError("Custom accent stripping, preprocessors and tokenizers cannot be exported.")
+    if vectorizer.token_pattern != SUPPORTED_TOKEN_PATTERN:
+        raise ValueError(f"Unsupported token pattern: {vectorizer.token_pattern}")
+
+    vocabulary = [None] * len(vectorizer.vocabulary_)
+    for term, index in vectorizer.vocabulary_.items():
+        vocabulary[index] = term
+
+    # Stop words never reach the vocabulary, so they are not needed
+    return {
+        "lowercase": bool(vectorizer.lowercase),
+        "binary": bool(vectorizer.binary),
+        "sublinearTf": bool(vectorizer.sublinear_tf),
+        "norm": vectorizer.norm,
+        "vocabulary": vocabulary,
+        "idf": round_list(vectorizer.idf_) if vectorizer.use_idf else None,
+    }
+
+
+# One decision tree as parallel node arrays. value holds the share of the
+# "Real News" class at every node (not only leaves) so the browser can
+# attribute the prediction to the words it split on.
+def export_tree(tree, positive_index):
+    t = tree.tree_
+    value = t.value[:, 0, :]
+    totals = value.sum(axis=1)
+    positive = value[:, positive_index] / np.where(totals == 0, 1, totals)
+    return {
+        "feature": t.feature.tolist(),
+        "threshold": round_list(t.threshold),
+        "left": t.children_left.tolist(),
+        "right": t.children_right.tolist(),
+        "value": round_list(positive),
+    }
+
+
+# Each AdaBoost estimator is a random forest (or a single tree)
+def export_estimator(estimator, positive_label):
+    trees = estimator.estimators_ if hasattr(estimator, "estimators_") else [estimator]
+    positive_index = list(estimator.classes_).index(positive_label)
+    return {"trees": [export_tree(tree, positive_index) for tree in trees]}
+
+
+def export_model(model):
+    if len(model.classes_) != 2:
+        raise ValueError("Only binary (Fake News / Real News) models can be exported.")
+    positive_label = model.classes_[1]
+    return {
+        "estimatorWeights": round_list(model.estimator_weights_[:len(model.estimators_)]),
+        "estimators": [export_estimator(est, positive_label) for est in model.estimators_],
+    }
+
+
+if __name__ == '__main__':
+    output = Path(sys.argv[1]) if len(sys.argv) > 1 else DEFAULT_OUTPUT
+
+    vectorizer = load("./tfidf_vectorizer.joblib")
+    model = load("./adaboost_rf_model.joblib")
+
+    exported = {
+        "format": FORMAT_VERSION,
+        "name": "AdaBoost + Random Forest (TF-IDF)",
+        "classNames": class_names,
+        "vectorizer": export_vectorizer(vectorizer),
+        **export_model(model),
+    }
+
+    output.parent.mkdir(parents=True, exist_ok=True)
+    with open(output, "w", encoding="utf-8") as f:
+        json.dump(exported, f, ensure_ascii=False, separators=(",", ":"))
+
+    tree_count = sum(len(est["trees"]) for est in exported["estimators"])
+    print(f"Wrote {output} ({len(exported['vectorizer']['vocabulary'])} terms, "
+          f"{len(exported['estimators'])} estimators, {tree_count} trees)")